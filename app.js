@@ -38,6 +38,33 @@
   const nowISO = () => new Date().toISOString();
   const clamp = (n, a, b) => Math.max(a, Math.min(b, n));
   const FOCUSABLE_SELECTOR = "button, [href], input, select, textarea, [tabindex]:not([tabindex='-1'])";
+  // pdf.js is bundled (and precached by the service worker) so PDFs open offline.
+  const PDFJS_WORKER_SRC = "./vendor/pdfjs/pdf.worker.min.js";
+
+  // Shared with import-worker.js; see text-pipeline.js.
+  const {
+    WORD_CHAR_RE,
+    normalizeText,
+    sanitizeExtractedText,
+    mergePunctuationTokens,
+    tokenize,
+    countWords,
+    parseMarkdown,
+    normalizeLineForMatch,
+    parseCustomIgnorePhrases,
+    removeCustomIgnorePhrases,
+    extractPdfLines,
+    comparePdfLineOrder,
+    getPdfLineKey,
+    detectPdfRepeatedLines,
+    buildPdfStripRules,
+    shouldKeepPdfLine,
+    stripPdfHeadersFooters,
+    buildPdfContentFromPages,
+    buildPdfHyphenDictionary,
+    buildPdfParagraphText,
+    readPdfOutline
+  } = window.SwiftReaderText;
 
   function bind(el, event, handler, name = event) {
     if (!el) {
@@ -164,30 +191,21 @@
     return `${String(m).padStart(2, "0")}:${String(s).padStart(2, "0")}`;
   }
 
-  function normalizeText(raw) {
-    if (!raw) return "";
-    // Normalize line endings and remove excessive whitespace
-    let t = raw.replace(/\r\n/g, "\n").replace(/\r/g, "\n");
-
-    // Fix hyphenated line breaks: "some-\nthing" -> "something"
-    t = t.replace(/(\w)-\n(\w)/g, "$1$2");
-
-    // Convert multiple newlines into paragraph breaks marker
-    // We'll preserve paragraph boundaries as "\n\n"
-    t = t.replace(/[ \t]+\n/g, "\n");
-    t = t.replace(/\n{3,}/g, "\n\n");
-
-    // Trim trailing spaces per line
-    t = t.split("\n").map(line => line.trimEnd()).join("\n");
-
-    // Trim overall
-    return t.trim();
+  function formatTimeLeft(ms) {
+    const minutes = Math.round(Math.max(0, ms) / 60000);
+    if (minutes < 1) return "<1 min";
+    if (minutes < 60) return `${minutes} min`;
+    const h = Math.floor(minutes / 60);
+    const m = minutes % 60;
+    return m ? `${h} h ${m} min` : `${h} h`;
   }
 
-  function sanitizeExtractedText(raw) {
-    if (!raw) return "";
-    const cleaned = String(raw).replace(/\u0000/g, "");
-    return normalizeText(cleaned);
+  function formatBytes(bytes) {
+    const value = Math.max(0, Number(bytes) || 0);
+    if (value < 1024) return `${value} B`;
+    if (value < 1024 * 1024) return `${(value / 1024).toFixed(0)} KB`;
+    if (value < 1024 * 1024 * 1024) return `${(value / (1024 * 1024)).toFixed(1)} MB`;
+    return `${(value / (1024 * 1024 * 1024)).toFixed(2)} GB`;
   }
 
   function cloneArrayBuffer(buffer) {
@@ -258,12 +276,16 @@
   }
 
   /* ---------------------------
-     Tokenization
+     Tokenization (tokenize() itself lives in text-pipeline.js)
      We store tokens as objects:
      { t: "word", kind: "word" }
      { t: ".", kind: "punct" }
      { t: "\n\n", kind: "para" }
+     Markdown imports add structure: { block, level, depth, marker, em, strong, code } (see parseMarkdown).
   --------------------------- */
+  // Code lines and table rows are slowed down by this many base intervals, or skipped.
+  const RSVP_BLOCK_SLOWDOWN = 1;
+  const RSVP_PACED_BLOCKS = new Set(["code", "table"]);
   const PUNCT_RE = /^[,.;:!?…]+$/;
   const HARD_PUNCT_RE = /^[.!?…]+$/;
   const SOFT_PUNCT_RE = /^[,;:]+$/;
@@ -271,56 +293,6 @@
   const SOFT_PUNCT_WORD_RE = /[,;:]+$/;
   const LEADING_WRAPPER_RE = /^[([{"'“‘]+/;
   const TRAILING_WRAPPER_RE = /[)\]}"'”’]+$/;
-  const WORD_CHAR_RE = (() => {
-    try {
-      return new RegExp("[\\p{L}\\p{N}]", "u");
-    } catch (err) {
-      return /[A-Za-z0-9]/;
-    }
-  })();
-
-  function mergePunctuationTokens(tokens) {
-    if (!Array.isArray(tokens) || tokens.length === 0) return { tokens: [], changed: false };
-    const merged = [];
-    let leading = "";
-    let changed = false;
-
-    const appendToPreviousWord = (text) => {
-      const last = merged[merged.length - 1];
-      if (last && last.kind === "word") {
-        last.t += text;
-        return;
-      }
-      leading += text;
-    };
-
-    tokens.forEach(tok => {
-      if (!tok) return;
-      if (tok.kind === "para") {
-        if (leading) {
-          changed = true;
-          leading = "";
-        }
-        merged.push({ ...tok });
-        return;
-      }
-
-      if (tok.kind === "punct") {
-        changed = true;
-        appendToPreviousWord(tok.t || "");
-        return;
-      }
-
-      if (tok.kind === "word") {
-        const text = `${leading}${tok.t || ""}`;
-        if (text) merged.push({ ...tok, t: text, kind: "word" });
-        if (leading) changed = true;
-        leading = "";
-      }
-    });
-
-    return { tokens: merged, changed };
-  }
 
   function getWordIndexForTokenIndexFromTokens(tokens, tokenIndex) {
     if (!Array.isArray(tokens) || !tokens.length) return 0;
@@ -345,45 +317,6 @@
     return Math.max(0, tokens.length - 1);
   }
 
-  function tokenize(text) {
-    const t = normalizeText(text);
-    if (!t) return [];
-
-    // Preserve paragraph breaks
-    const parts = t.split(/\n{2,}/g);
-    const tokens = [];
-
-    for (let p = 0; p < parts.length; p++) {
-      const para = parts[p].trim();
-      if (!para) continue;
-
-      const raw = para
-        .split(/\s+/g)
-        .map(token => token.trim())
-        .filter(Boolean);
-
-      for (const r of raw) {
-        const isWordLike = WORD_CHAR_RE.test(r);
-        if (!isWordLike) {
-          tokens.push({ t: r, kind: "punct" });
-        } else {
-          tokens.push({ t: r, kind: "word" });
-        }
-      }
-
-      // Paragraph break (except after last)
-      if (p < parts.length - 1) {
-        tokens.push({ t: "\n\n", kind: "para" });
-      }
-    }
-
-    return mergePunctuationTokens(tokens).tokens;
-  }
-
-  function countWords(tokens) {
-    return tokens.reduce((acc, tok) => acc + (tok.kind === "word" ? 1 : 0), 0);
-  }
-
   /* ---------------------------
      ORP (Optimal Recognition Point)
      Common mapping based on word length
@@ -414,16 +347,40 @@
      IndexedDB (idb)
   --------------------------- */
   const DB_NAME = "swiftreader_v2";
-  const DB_VERSION = 1;
+  const DB_VERSION = 3;
+  const HIGHLIGHT_COLORS = ["yellow", "green", "blue", "pink"];
+  // Mirrors the buildPdfStripRules defaults in text-pipeline.js.
+  const PDF_STRIP_DEFAULTS = { topBand: 0.15, bottomBand: 0.15, minFrequency: 0.35 };
+  const BOOK_SEARCH_MAX_RESULTS = 200;
+  const SEARCH_INDEX_MAX_POSITIONS = 32;
+  const SEARCH_TERM_EDGE_RE = (() => {
+    try {
+      return new RegExp("^[^\\p{L}\\p{N}]+|[^\\p{L}\\p{N}]+$", "gu");
+    } catch (err) {
+      return /^[^A-Za-z0-9]+|[^A-Za-z0-9]+$/g;
+    }
+  })();
+  const COMBINING_MARKS_RE = (() => {
+    try {
+      return new RegExp("\\p{M}+", "gu");
+    } catch (err) {
+      return /[\u0300-\u036f]+/g;
+    }
+  })();
+
   const DB_STORES = {
     books: "books",
     contents: "contents",
     notes: "notes",
-    settings: "settings"
+    settings: "settings",
+    searchIndex: "searchIndex",
+    searchTerms: "searchTerms",
+    snapshots: "snapshots"
   };
 
   let dbPromise = null;
   let idbReady = false;
+  let searchIndexQueue = Promise.resolve();
 
   function getDb() {
     if (!window.idb || !window.idb.openDB) {
@@ -444,6 +401,17 @@
           if (!db.objectStoreNames.contains(DB_STORES.settings)) {
             db.createObjectStore(DB_STORES.settings, { keyPath: "key" });
           }
+          // v2: inverted index (term -> bookId -> word positions) plus each book's term list for removal.
+          if (!db.objectStoreNames.contains(DB_STORES.searchIndex)) {
+            db.createObjectStore(DB_STORES.searchIndex, { keyPath: "term" });
+          }
+          if (!db.objectStoreNames.contains(DB_STORES.searchTerms)) {
+            db.createObjectStore(DB_STORES.searchTerms, { keyPath: "bookId" });
+          }
+          // v3: local snapshots (full backup archives). resetIndexedDb leaves this store alone.
+          if (!db.objectStoreNames.contains(DB_STORES.snapshots)) {
+            db.createObjectStore(DB_STORES.snapshots, { keyPath: "id" });
+          }
         }
       });
     }
@@ -494,6 +462,26 @@
     return (await db).clear(storeName);
   }
 
+  // Writes all values in one transaction.
+  async function idbPutMany(storeName, values) {
+    const db = getDb();
+    if (!db || !values?.length) return;
+    const tx = (await db).transaction(storeName, "readwrite");
+    values.forEach(value => tx.store.put(value));
+    await tx.done;
+  }
+
+  // Visits records one at a time, so large stores (contents with original files) are never all in memory.
+  async function idbForEach(storeName, fn) {
+    const db = getDb();
+    if (!db) return;
+    let cursor = await (await db).transaction(storeName).store.openCursor();
+    while (cursor) {
+      fn(cursor.value);
+      cursor = await cursor.continue();
+    }
+  }
+
   const contentCache = new Map();
   const wordIndexCache = new Map();
   const pageMapCache = new Map();
@@ -507,6 +495,8 @@
   const STORE_KEY = "swiftreader_v1";
 
   const CURRENT_SCHEMA_VERSION = 5;
+  // Upper bound for settings.snapshotKeep (see Local snapshots).
+  const SNAPSHOT_KEEP_MAX = 20;
 
   const defaultState = () => ({
     version: CURRENT_SCHEMA_VERSION,
@@ -521,12 +511,17 @@
       autoPause: true,
       tapControls: true,
       rememberLastBook: true,
+      encryptExport: false,
+      snapshotSchedule: "daily", // "daily" | "weekly" | "off"
+      snapshotKeep: 5,
       punctuationPause: 80, // 0-200 slider value
       chunkSize: 1,
+      rsvpCodeBlocks: "slow", // "slow" | "skip": code lines and table rows in Markdown books
       wakeLock: false,
       readerMode: null,
       autoRemoveHeadersFooters: true,
-      customIgnorePhrases: ""
+      customIgnorePhrases: "",
+      librarySearchContents: false
     },
     reader: {
       currentBookId: null
@@ -545,7 +540,7 @@
   // Book shape:
   // {
   //   id, title, author, tags:[], addedAt, updatedAt,
-  //   sourceType:"paste"|"txt"|"md"|"epub"|"pdf",
+  //   sourceType:"paste"|"txt"|"md"|"epub"|"pdf"|"docx"|"odt"|"html"|"rtf",
   //   text, tokens, wordCount, tokenCount, contentStored,
   //   progress: { index:number, updatedAt, bookmarks: [{id, index, createdAt}] },
   //   readerState: { currentWordIndex, currentPdfPage, wpm, pause, syncRsvpToPage },
@@ -554,6 +549,7 @@
   //
   // Note shape:
   // { id, bookId, bookTitle, index, excerpt, text, createdAt, updatedAt }
+  // Highlights add: { type: "highlight", color, startWordIndex, endWordIndex }
 
   let state = loadState();
 
@@ -573,9 +569,13 @@
       fontSize: Number(settings?.fontSize ?? base.fontSize) || base.fontSize,
       punctuationPause: typeof settings?.punctuationPause === "number" ? settings.punctuationPause : base.punctuationPause,
       chunkSize: Number(settings?.chunkSize ?? base.chunkSize) || base.chunkSize,
+      rsvpCodeBlocks: settings?.rsvpCodeBlocks === "skip" ? "skip" : "slow",
       autoPause: settings?.autoPause !== undefined ? !!settings.autoPause : base.autoPause,
       tapControls: settings?.tapControls !== undefined ? !!settings.tapControls : base.tapControls,
       rememberLastBook: settings?.rememberLastBook !== undefined ? !!settings.rememberLastBook : base.rememberLastBook,
+      encryptExport: !!settings?.encryptExport,
+      snapshotSchedule: ["daily", "weekly", "off"].includes(settings?.snapshotSchedule) ? settings.snapshotSchedule : base.snapshotSchedule,
+      snapshotKeep: clamp(Math.round(Number(settings?.snapshotKeep ?? base.snapshotKeep) || base.snapshotKeep), 1, SNAPSHOT_KEEP_MAX),
       wakeLock: settings?.wakeLock !== undefined ? !!settings.wakeLock : base.wakeLock,
       autoRemoveHeadersFooters: settings?.autoRemoveHeadersFooters !== undefined
         ? !!settings.autoRemoveHeadersFooters
@@ -593,11 +593,48 @@
       wordIndex: typeof note?.wordIndex === "number" ? note.wordIndex : (note?.index ?? 0),
       excerpt: note?.excerpt || "",
       text: (note?.text || "").trim(),
+      ...normalizeHighlightFields(note),
       createdAt: note?.createdAt || nowISO(),
       updatedAt: note?.updatedAt || nowISO()
     };
   }
 
+  // Highlights are notes with a word range; plain notes carry no extra fields.
+  function normalizeHighlightFields(note) {
+    if (note?.type !== "highlight") return {};
+    const start = Number.isFinite(note.startWordIndex) ? Math.max(0, Math.floor(note.startWordIndex)) : (note.wordIndex ?? 0);
+    const end = Number.isFinite(note.endWordIndex) ? Math.max(start, Math.floor(note.endWordIndex)) : start;
+    return {
+      type: "highlight",
+      color: HIGHLIGHT_COLORS.includes(note.color) ? note.color : HIGHLIGHT_COLORS[0],
+      startWordIndex: start,
+      endWordIndex: end
+    };
+  }
+
+  // PDF header/footer rules saved per book:
+  // { topBand, bottomBand, minFrequency, stripLines: [key] | null, pageOverrides: { [page]: { keep, strip } } }
+  // stripLines null means "whatever the frequency threshold picks".
+  function normalizePdfStripRules(rules) {
+    if (!rules || typeof rules !== "object") return null;
+    const ratio = (value, fallback, max) => (Number.isFinite(value) ? clamp(value, 0, max) : fallback);
+    const keys = list => (Array.isArray(list) ? list.filter(key => typeof key === "string" && key) : []);
+    const pageOverrides = {};
+    Object.entries(rules.pageOverrides && typeof rules.pageOverrides === "object" ? rules.pageOverrides : {})
+      .forEach(([page, override]) => {
+        const keep = keys(override?.keep);
+        const strip = keys(override?.strip);
+        if (keep.length || strip.length) pageOverrides[page] = { keep, strip };
+      });
+    return {
+      topBand: ratio(rules.topBand, PDF_STRIP_DEFAULTS.topBand, 0.5),
+      bottomBand: ratio(rules.bottomBand, PDF_STRIP_DEFAULTS.bottomBand, 0.5),
+      minFrequency: ratio(rules.minFrequency, PDF_STRIP_DEFAULTS.minFrequency, 1),
+      stripLines: Array.isArray(rules.stripLines) ? keys(rules.stripLines) : null,
+      pageOverrides
+    };
+  }
+
   function migrateState(rawState) {
     try {
       const base = defaultState();
@@ -758,7 +795,7 @@
     URL.revokeObjectURL(url);
   }
 
-  function repairStorage() {
+  async function repairStorage() {
     const raw = localStorage.getItem(STORE_KEY);
     if (!raw) {
       showToast({ title: "No storage data", message: "Nothing to repair yet.", type: "info" });
@@ -777,6 +814,7 @@
     const migrated = migrateState(parsed);
     const serialized = safeStringifyJSON(migrated, "repaired storage");
     if (!serialized) return false;
+    if (!(await snapshotBeforeChange("repair", null))) return false;
     try {
       localStorage.setItem(STORE_KEY, serialized);
     } catch (err) {
@@ -808,7 +846,8 @@
       source: {
         filename: b?.source?.filename || b?.filename || "",
         fileType: b?.source?.fileType || b?.fileType || "",
-        size: typeof b?.source?.size === "number" ? b.source.size : (typeof b?.size === "number" ? b.size : null)
+        size: typeof b?.source?.size === "number" ? b.source.size : (typeof b?.size === "number" ? b.size : null),
+        contentHash: typeof b?.source?.contentHash === "string" ? b.source.contentHash : ""
       },
       text: typeof b?.text === "string" ? b.text : "",
       tokens: Array.isArray(b?.tokens) ? b.tokens : [],
@@ -837,7 +876,10 @@
           : true,
         customIgnorePhrases: typeof b?.readerState?.customIgnorePhrases === "string"
           ? b.readerState.customIgnorePhrases
-          : ""
+          : "",
+        pdfAsides: b?.readerState?.pdfAsides === "skip" ? "skip" : "end",
+        pdfRepairLines: !!b?.readerState?.pdfRepairLines,
+        pdfStripRules: normalizePdfStripRules(b?.readerState?.pdfStripRules)
       },
       stats: {
         openedAt: b?.stats?.openedAt || null,
@@ -907,6 +949,7 @@
       wordIndex: typeof note.wordIndex === "number" ? note.wordIndex : (note.index ?? 0),
       excerpt: note.excerpt || "",
       text: (note.text || "").trim(),
+      ...normalizeHighlightFields(note),
       createdAt: note.createdAt || nowISO(),
       updatedAt: nowISO()
     };
@@ -951,12 +994,14 @@
     };
     await idbPut(DB_STORES.contents, payload);
     contentCache.set(bookId, payload);
+    queueSearchIndexUpdate(bookId, payload.tokens);
   }
 
   async function deleteBookFromIdb(bookId) {
     if (!idbReady) return;
     await idbDelete(DB_STORES.books, bookId);
     await idbDelete(DB_STORES.contents, bookId);
+    queueSearchIndexUpdate(bookId, null);
     contentCache.delete(bookId);
     wordIndexCache.delete(bookId);
     pageMapCache.delete(bookId);
@@ -1026,11 +1071,151 @@
       idbClear(DB_STORES.books),
       idbClear(DB_STORES.contents),
       idbClear(DB_STORES.notes),
-      idbClear(DB_STORES.settings)
+      idbClear(DB_STORES.settings),
+      idbClear(DB_STORES.searchIndex),
+      idbClear(DB_STORES.searchTerms)
     ]);
     contentCache.clear();
   }
 
+  /* ---------------------------
+     Full-text search index
+  --------------------------- */
+  function toSearchTerm(word) {
+    return foldSearchTerm(word).replace(SEARCH_TERM_EDGE_RE, "");
+  }
+
+  function buildSearchPostings(tokens) {
+    const postings = new Map();
+    let wordIndex = 0;
+    for (const tok of tokens) {
+      if (tok.kind !== "word") continue;
+      const term = toSearchTerm(tok.t);
+      if (term) {
+        const entry = postings.get(term);
+        if (entry) {
+          entry.count += 1;
+          if (entry.positions.length < SEARCH_INDEX_MAX_POSITIONS) entry.positions.push(wordIndex);
+        } else {
+          postings.set(term, { count: 1, positions: [wordIndex] });
+        }
+      }
+      wordIndex += 1;
+    }
+    return postings;
+  }
+
+  // Index writes are serialized so two books never read-modify-write the same term record at once.
+  // tokens may be a function that loads them when the update runs, so queued updates don't pin
+  // large token arrays in memory.
+  function queueSearchIndexUpdate(bookId, tokens) {
+    if (!idbReady) return searchIndexQueue;
+    searchIndexQueue = searchIndexQueue
+      .then(async () => updateSearchIndexForBook(bookId, typeof tokens === "function" ? await tokens() : tokens))
+      .catch(err => console.warn("Search index update failed", err));
+    return searchIndexQueue;
+  }
+
+  // Replaces a book's postings; pass null tokens to remove the book from the index.
+  async function updateSearchIndexForBook(bookId, tokens) {
+    const dbHandle = getDb();
+    if (!dbHandle) return;
+    const db = await dbHandle;
+    const postings = Array.isArray(tokens) ? buildSearchPostings(tokens) : new Map();
+    const tx = db.transaction([DB_STORES.searchIndex, DB_STORES.searchTerms], "readwrite");
+    const indexStore = tx.objectStore(DB_STORES.searchIndex);
+    const termsStore = tx.objectStore(DB_STORES.searchTerms);
+
+    const previous = await termsStore.get(bookId);
+    const stale = (previous?.terms || []).filter(term => !postings.has(term));
+    for (const term of stale) {
+      const record = await indexStore.get(term);
+      if (!record?.postings?.[bookId]) continue;
+      delete record.postings[bookId];
+      if (Object.keys(record.postings).length) await indexStore.put(record);
+      else await indexStore.delete(term);
+    }
+    for (const [term, entry] of postings) {
+      const record = (await indexStore.get(term)) || { term, postings: {} };
+      record.postings[bookId] = entry;
+      await indexStore.put(record);
+    }
+    if (postings.size) {
+      await termsStore.put({ bookId, terms: [...postings.keys()], indexedAt: nowISO() });
+    } else {
+      await termsStore.delete(bookId);
+    }
+    await tx.done;
+  }
+
+  // Indexes books stored before the search index existed (or while it failed).
+  async function backfillSearchIndex() {
+    if (!idbReady) return;
+    try {
+      const db = await getDb();
+      const [contentKeys, indexedKeys] = await Promise.all([
+        db.getAllKeys(DB_STORES.contents),
+        db.getAllKeys(DB_STORES.searchTerms)
+      ]);
+      const indexed = new Set(indexedKeys);
+      for (const bookId of contentKeys) {
+        if (indexed.has(bookId) || !getBook(bookId)) continue;
+        const content = await idbGet(DB_STORES.contents, bookId);
+        if (Array.isArray(content?.tokens) && content.tokens.length) {
+          await queueSearchIndexUpdate(bookId, content.tokens);
+        }
+      }
+    } catch (err) {
+      console.warn("Search index backfill failed", err);
+    }
+  }
+
+  // Books containing every query term, ranked by total hits. The last term also matches as a prefix.
+  async function searchLibraryContents(query) {
+    const terms = String(query || "").split(/\s+/).map(toSearchTerm).filter(Boolean);
+    if (!terms.length || !idbReady) return [];
+    const db = await getDb();
+    const tx = db.transaction(DB_STORES.searchIndex);
+    const perTerm = [];
+    for (let i = 0; i < terms.length; i += 1) {
+      const term = terms[i];
+      const isLast = i === terms.length - 1;
+      const records = isLast && term.length >= 2
+        ? await tx.store.getAll(IDBKeyRange.bound(term, `${term}\uffff`), 200)
+        : [await tx.store.get(term)].filter(Boolean);
+      const byBook = new Map();
+      records.forEach(record => {
+        Object.entries(record.postings || {}).forEach(([bookId, entry]) => {
+          const prev = byBook.get(bookId) || { count: 0, first: Infinity };
+          prev.count += entry.count || 0;
+          prev.first = Math.min(prev.first, entry.positions?.[0] ?? Infinity);
+          byBook.set(bookId, prev);
+        });
+      });
+      perTerm.push(byBook);
+    }
+    await tx.done;
+
+    const results = [];
+    for (const [bookId, entry] of perTerm[0]) {
+      if (!getBook(bookId)) continue;
+      let hits = entry.count;
+      let firstWordIndex = entry.first;
+      let matchesAll = true;
+      for (const byBook of perTerm.slice(1)) {
+        const other = byBook.get(bookId);
+        if (!other) {
+          matchesAll = false;
+          break;
+        }
+        hits += other.count;
+        firstWordIndex = Math.min(firstWordIndex, other.first);
+      }
+      if (matchesAll) results.push({ bookId, hits, firstWordIndex: Number.isFinite(firstWordIndex) ? firstWordIndex : 0 });
+    }
+    return results.sort((a, b) => b.hits - a.hits);
+  }
+
   /* ---------------------------
      DOM References
   --------------------------- */
@@ -1058,21 +1243,30 @@
   const importSection = $("#import-section");
   const importAutoRemoveHeadersCheckbox = $("#import-auto-remove-headers");
   const importCustomIgnorePhrasesInput = $("#import-custom-ignore-phrases");
+  const importPdfAsidesSelect = $("#import-pdf-asides");
+  const importPdfRepairLinesCheckbox = $("#import-pdf-repair-lines");
   const importConfirmBtn = $("#import-confirm-btn");
   const importClearBtn = $("#import-clear-btn");
+  const importCancelBtn = $("#import-cancel-btn");
+  const importProgress = $("#import-progress");
+  const importQueueList = $("#import-queue");
+  const importMetaFields = $("#import-meta-fields");
   const importStatus = $("#import-status");
 
   const pasteText = $("#paste-text");
   const pasteTitle = $("#paste-title");
+  const pasteAuthor = $("#paste-author");
   const pasteAddBtn = $("#paste-add-btn");
   const pasteClearBtn = $("#paste-clear-btn");
   const pasteStatus = $("#paste-status");
 
   const librarySearch = $("#library-search");
+  const librarySearchContents = $("#library-search-contents");
   const librarySort = $("#library-sort");
   const bookList = $("#book-list");
   const libraryEmpty = $("#library-empty");
   const storageEstimate = $("#storage-estimate");
+  const storageManageBtn = $("#storage-manage-btn");
   const dangerResetBtn = $("#danger-reset-btn");
   const emptyDemoBtn = $("#empty-demo-btn");
   const emptyPasteBtn = $("#empty-paste-btn");
@@ -1081,6 +1275,10 @@
   const exportBtn = $("#export-btn");
   const importDataBtn = $("#import-data-btn");
   const repairStorageBtn = $("#repair-storage-btn");
+  const snapshotScheduleSelect = $("#snapshot-schedule");
+  const snapshotKeepInput = $("#snapshot-keep");
+  const snapshotNowBtn = $("#snapshot-now-btn");
+  const snapshotList = $("#snapshot-list");
 
   // Reader view elements
   const openLibraryBtn = $("#open-library-btn");
@@ -1089,6 +1287,11 @@
   const wpmValue = $("#wpm-value");
   const readerProgressEl = $("#reader-progress");
   const pageView = $("#page-view");
+  const formattedView = $("#formatted-view");
+  const formattedViewBtn = $("#formatted-view-btn");
+  const highlightToolbar = $("#highlight-toolbar");
+  const highlightNoteInput = $("#highlight-note-input");
+  const highlightRemoveBtn = $("#highlight-remove-btn");
   const pageProgress = $("#page-progress");
   const progressSlider = $("#progress-slider");
   const progressLabel = $("#progress-label");
@@ -1138,6 +1341,18 @@
   const noteList = $("#note-list");
   const bookmarkList = $("#bookmark-list");
   const bookmarkEmpty = $("#bookmark-empty");
+  const readerChapterPill = $("#reader-chapter-pill");
+  const readerChapterProgress = $("#reader-chapter-progress");
+  const chapterProgressLabel = $("#chapter-progress-label");
+  const progressMarkers = $("#progress-markers");
+  const bookSearchInput = $("#book-search-input");
+  const bookSearchCase = $("#book-search-case");
+  const bookSearchDiacritics = $("#book-search-diacritics");
+  const bookSearchWhole = $("#book-search-whole");
+  const bookSearchStatus = $("#book-search-status");
+  const bookSearchResults = $("#book-search-results");
+  const chapterList = $("#chapter-list");
+  const chapterEmpty = $("#chapter-empty");
 
   // Notes view elements
   const notesSearch = $("#notes-search");
@@ -1158,12 +1373,13 @@
   const fontFamilySelect = $("#font-family");
   const chunkSizeSelect = $("#chunk-size");
   const autoPauseCheckbox = $("#auto-pause");
+  const rsvpCodeBlocksSelect = $("#rsvp-code-blocks");
   const tapControlsCheckbox = $("#tap-controls");
   const wakeLockCheckbox = $("#wake-lock");
   const rememberLastBookCheckbox = $("#remember-last-book");
   const autoRemoveHeadersCheckbox = $("#auto-remove-headers");
   const customIgnorePhrasesInput = $("#custom-ignore-phrases");
-  const encryptExportCheckbox = $("#encrypt-export"); // stub
+  const encryptExportCheckbox = $("#encrypt-export");
 
   const settingsExportBtn = $("#settings-export-btn");
   const settingsImportBtn = $("#settings-import-btn");
@@ -1175,6 +1391,59 @@
   const confirmMessage = $("#confirm-message");
   const confirmOkBtn = $("#confirm-ok-btn");
   const confirmCancelBtn = $("#confirm-cancel-btn");
+  const confirmChoices = $("#confirm-choices");
+  const modalExport = $("#modal-export");
+  const exportScopeSelect = $("#export-scope");
+  const exportTagRow = $("#export-tag-row");
+  const exportTagSelect = $("#export-tag");
+  const exportFilterRow = $("#export-filter-row");
+  const exportFilterInput = $("#export-filter");
+  const exportBookList = $("#export-book-list");
+  const exportIncludeContents = $("#export-include-contents");
+  const exportIncludeFiles = $("#export-include-files");
+  const exportIncludeNotes = $("#export-include-notes");
+  const exportIncludeBookmarks = $("#export-include-bookmarks");
+  const exportIncludeSettings = $("#export-include-settings");
+  const exportSummary = $("#export-summary");
+  const exportConfirmBtn = $("#export-confirm-btn");
+  const modalMerge = $("#modal-merge");
+  const mergeSummary = $("#merge-summary");
+  const mergeList = $("#merge-list");
+  const mergeMore = $("#merge-more");
+  const mergeConfirmBtn = $("#merge-confirm-btn");
+  const modalPassphrase = $("#modal-passphrase");
+  const passphraseTitle = $("#passphrase-title");
+  const passphraseMessage = $("#passphrase-message");
+  const passphraseInput = $("#passphrase-input");
+  const passphraseConfirmRow = $("#passphrase-confirm-row");
+  const passphraseConfirmInput = $("#passphrase-confirm");
+  const passphraseError = $("#passphrase-error");
+  const passphraseOkBtn = $("#passphrase-ok-btn");
+  const modalReprocess = $("#modal-reprocess");
+  const reprocessMessage = $("#reprocess-message");
+  const reprocessAutoRemoveHeaders = $("#reprocess-auto-remove-headers");
+  const reprocessCustomIgnorePhrases = $("#reprocess-custom-ignore-phrases");
+  const reprocessPdfAsides = $("#reprocess-pdf-asides");
+  const reprocessPdfRepairLines = $("#reprocess-pdf-repair-lines");
+  const reprocessProgress = $("#reprocess-progress");
+  const reprocessStatus = $("#reprocess-status");
+  const reprocessConfirmBtn = $("#reprocess-confirm-btn");
+  const modalStripRules = $("#modal-strip-rules");
+  const stripRulesSummary = $("#strip-rules-summary");
+  const stripRulesTopInput = $("#strip-rules-top");
+  const stripRulesBottomInput = $("#strip-rules-bottom");
+  const stripRulesFrequencyInput = $("#strip-rules-frequency");
+  const stripRulesLines = $("#strip-rules-lines");
+  const stripRulesPageInput = $("#strip-rules-page");
+  const stripRulesPageLines = $("#strip-rules-page-lines");
+  const stripRulesAfter = $("#strip-rules-after");
+  const stripRulesResetBtn = $("#strip-rules-reset-btn");
+  const stripRulesApplyBtn = $("#strip-rules-apply-btn");
+  const modalStorage = $("#modal-storage");
+  const storageSummary = $("#storage-summary");
+  const storagePersistBtn = $("#storage-persist-btn");
+  const storageBookList = $("#storage-book-list");
+  const storageReattachInput = $("#storage-reattach-input");
   const toastRegion = $("#toast-region");
 
   // Footer buttons (optional)
@@ -1189,10 +1458,28 @@
   let activeModal = null;
   let lastFocusedEl = null;
   let confirmResolver = null;
+  let passphraseResolver = null;
+  let mergeReviewResolver = null;
+  let reprocessBookId = null;
+  let reprocessAbortController = null;
+  let stripRulesDraft = null;
   let scrollLocked = false;
   let scrollLockY = 0;
   let wakeLockHandle = null;
   let pageViewBookId = null;
+  let formattedViewOpen = false;
+  // HTML pasted or dropped on the paste panel: { html, headings: [{ text, level }], url }
+  let pasteRichSource = null;
+  let chapterListKey = null;
+  let progressMarkersKey = null;
+  let playbackTimelineCache = null;
+  let pendingHighlight = null;
+  let bookSearchCache = null;
+  let bookSearchTimer = null;
+  let bookSearchBookId = null;
+  let libraryContentSearch = { query: "", results: null };
+  let libraryContentSearchTimer = null;
+  let libraryContentSearchPending = false;
   let scrubberActive = false;
   let scrubberRaf = null;
   let pendingScrubValue = null;
@@ -1247,12 +1534,17 @@
 
   // Import buffer for file panel
   let importBuffer = {
-    files: [],
-    items: [],
     text: "",
     sourceType: null,
     suggestedTitle: ""
   };
+  let importQueue = [];
+  let importQueueRunner = null;
+  const importQueueElements = new Map();
+  let importWorker = null;
+  let importWorkerFailed = false;
+  let importTaskSeq = 0;
+  const importTasks = new Map();
 
   /* ---------------------------
      Init
@@ -1297,6 +1589,13 @@
     renderAll();
     restoreLastBookIfNeeded();
     registerServiceWorker();
+    initFileHandling();
+    void consumeSharedContent();
+    void backfillSearchIndex();
+    void backfillContentHashes();
+    void refreshStoragePersistence().then(() => updateStorageEstimate());
+    void renderSnapshotList();
+    scheduleSnapshotCheck(SNAPSHOT_FIRST_CHECK_MS);
   }
 
   /* ---------------------------
@@ -1333,6 +1632,95 @@
     on(confirmOkBtn, "click", () => resolveConfirm(true), "#confirm-ok-btn");
     on(confirmCancelBtn, "click", () => resolveConfirm(false), "#confirm-cancel-btn");
 
+    on(modalExport, "click", (e) => {
+      const t = e.target;
+      if (t && t.dataset && t.dataset.close === "true") closeModal(modalExport);
+    }, "#modal-export");
+    on(modalExport, "change", () => updateExportDialog(), "#modal-export");
+    on(exportFilterInput, "input", () => updateExportDialog(), "#export-filter");
+    on(exportConfirmBtn, "click", () => {
+      const options = getExportDialogOptions();
+      closeModal(modalExport);
+      void exportData(exportDialogOpener, options);
+    }, "#export-confirm-btn");
+
+    on(modalMerge, "click", (e) => {
+      const t = e.target;
+      if (t && t.dataset && t.dataset.close === "true") resolveMergeReview(false);
+    }, "#modal-merge");
+    on(mergeConfirmBtn, "click", () => resolveMergeReview(true), "#merge-confirm-btn");
+
+    on(modalPassphrase, "click", (e) => {
+      const t = e.target;
+      if (t && t.dataset && t.dataset.close === "true") resolvePassphrase(null);
+    }, "#modal-passphrase");
+    on(modalPassphrase, "keydown", (e) => {
+      if (e.key === "Enter" && e.target instanceof HTMLInputElement) {
+        e.preventDefault();
+        submitPassphrase();
+      }
+    }, "#modal-passphrase");
+    on(passphraseOkBtn, "click", () => submitPassphrase(), "#passphrase-ok-btn");
+
+    on(modalReprocess, "click", (e) => {
+      const t = e.target;
+      if (t && t.dataset && t.dataset.close === "true") closeReprocessModal();
+    }, "#modal-reprocess");
+    on(reprocessConfirmBtn, "click", () => void runReprocessFromModal(), "#reprocess-confirm-btn");
+
+    on(modalStripRules, "click", (e) => {
+      const t = e.target;
+      if (t && t.dataset && t.dataset.close === "true") closeModal(modalStripRules);
+    }, "#modal-strip-rules");
+    [
+      [stripRulesTopInput, "topBand", "#strip-rules-top"],
+      [stripRulesBottomInput, "bottomBand", "#strip-rules-bottom"],
+      [stripRulesFrequencyInput, "minFrequency", "#strip-rules-frequency"]
+    ].forEach(([input, field, selector]) => {
+      on(input, "change", () => {
+        if (!stripRulesDraft) return;
+        const value = Number(input.value);
+        if (!Number.isFinite(value)) return;
+        // New bands/threshold mean a new candidate list, so explicit ticks start over.
+        stripRulesDraft.rules = normalizePdfStripRules({ ...stripRulesDraft.rules, [field]: value / 100, stripLines: null });
+        renderStripRulesPreview();
+      }, selector);
+    });
+    on(stripRulesPageInput, "change", () => {
+      if (!stripRulesDraft) return;
+      stripRulesDraft.samplePage = clamp(Math.round(Number(stripRulesPageInput.value) || 1), 1, stripRulesDraft.pages.length);
+      renderStripRulesPreview();
+    }, "#strip-rules-page");
+    on(stripRulesResetBtn, "click", () => {
+      if (!stripRulesDraft) return;
+      stripRulesDraft.rules = normalizePdfStripRules(PDF_STRIP_DEFAULTS);
+      renderStripRulesPreview();
+    }, "#strip-rules-reset-btn");
+    on(stripRulesApplyBtn, "click", () => applyStripRules(), "#strip-rules-apply-btn");
+
+    on(modalStorage, "click", (e) => {
+      const t = e.target;
+      if (t && t.dataset && t.dataset.close === "true") closeModal(modalStorage);
+    }, "#modal-storage");
+    on(storagePersistBtn, "click", async () => {
+      const granted = await requestPersistentStorage({ force: true });
+      if (!granted) {
+        showToast({
+          title: "Not granted",
+          message: "The browser decides when to allow persistent storage. Installing the app or bookmarking it usually helps.",
+          type: "info",
+          duration: 6000
+        });
+      }
+      await renderStorageManager();
+    }, "#storage-persist-btn");
+    on(storageReattachInput, "change", () => {
+      const file = storageReattachInput.files?.[0];
+      const bookId = storageReattachBookId;
+      storageReattachBookId = null;
+      if (file && bookId) void reattachBookOriginal(bookId, file);
+    }, "#storage-reattach-input");
+
     // Nav
     navButtons.forEach(btn => {
       on(btn, "click", () => {
@@ -1514,8 +1902,6 @@ Try:
 Paragraph two begins here. Commas, periods, and paragraph breaks can pause slightly to support comprehension.
 `;
       importBuffer = {
-        files: [],
-        items: [],
         text: normalizeText(demo),
         sourceType: "paste",
         suggestedTitle: "SwiftReader Demo"
@@ -1536,86 +1922,58 @@ Paragraph two begins here. Commas, periods, and paragraph breaks can pause sligh
           .map(s => s.trim())
           .filter(Boolean);
 
-        const bufferItems = Array.isArray(importBuffer.items) ? importBuffer.items : [];
-        const hasItems = bufferItems.length > 0;
-        if (!hasItems && !importBuffer.text) {
+        if (importQueue.length) {
+          await addReadyImportsToLibrary();
+          return;
+        }
+        if (!importBuffer.text) {
           // No file selected? Let user still add from file panel if they filled nothing.
           setImportStatus("Please choose a file or load demo text first.");
           showToast({ title: "Add text first", message: "Choose a file or load the demo text.", type: "error" });
           return;
         }
-        if (bufferItems.length > 1) {
-          const created = [];
-          for (const item of bufferItems) {
-            const book = await createBookFromText({
-              title: item.suggestedTitle || "Untitled",
-              author,
-              tags,
-              text: item.text,
-              sourceType: item.sourceType || "paste",
-              contentExtras: item.contentExtras,
-              tokens: item.tokens,
-              wordCount: item.wordCount,
-              sourceMeta: item.sourceMeta,
-              readerState: item.readerState,
-              importError: item.importError
-            });
-            if (book?.sourceType === "pdf") {
-              logPdfDiagnostic("PDF_BEFORE_SAVE_BOOK", { keys: Object.keys(book) });
-            }
-            upsertBook(book);
-            if (book?.sourceType === "pdf") {
-              logPdfDiagnostic("PDF_AFTER_SAVE_OK", { bookId: book.id });
-            }
-            created.push(book);
-          }
-          clearFileImportUI();
-          const lastBook = created[created.length - 1];
-          if (lastBook) {
-            await openBookInReader(lastBook.id);
-            setView("reader");
-          }
-          showToast({ title: "Books added", message: `${created.length} files imported.`, type: "success" });
-          return;
-        }
 
-        const item = bufferItems[0];
-        const title = (importTitle.value || item?.suggestedTitle || importBuffer.suggestedTitle || "Untitled").trim() || "Untitled";
+        const title = (importTitle.value || importBuffer.suggestedTitle || "Untitled").trim() || "Untitled";
         const book = await createBookFromText({
           title,
           author,
           tags,
-          text: item?.text || importBuffer.text,
-          sourceType: item?.sourceType || importBuffer.sourceType || "paste",
-          contentExtras: item?.contentExtras,
-          tokens: item?.tokens,
-          wordCount: item?.wordCount,
-          sourceMeta: item?.sourceMeta,
-          readerState: item?.readerState,
-          importError: item?.importError
+          text: importBuffer.text,
+          sourceType: importBuffer.sourceType || "paste"
         });
-
-        if (book?.sourceType === "pdf") {
-          logPdfDiagnostic("PDF_BEFORE_SAVE_BOOK", { keys: Object.keys(book) });
-        }
+        if (!book) return;
         upsertBook(book);
-        if (book?.sourceType === "pdf") {
-          logPdfDiagnostic("PDF_AFTER_SAVE_OK", { bookId: book.id });
-        }
         clearFileImportUI();
 
         // Auto-open in reader
         await openBookInReader(book.id);
         setView("reader");
-        showToast({ title: "Book added", message: "Ready to read.", type: "success" });
+        showToast({ ...getImportOutcomeToast(book), type: "success" });
       } finally {
         setButtonLoading(importConfirmBtn, false);
       }
     }, "#import-confirm-btn");
 
     on(importClearBtn, "click", () => clearFileImportUI(), "#import-clear-btn");
+    on(importCancelBtn, "click", () => cancelAllImports(), "#import-cancel-btn");
 
     // Paste import
+    on(pasteText, "paste", e => {
+      const html = e.clipboardData?.getData("text/html");
+      if (html && applyRichPaste(html)) e.preventDefault();
+    }, "#paste-text");
+
+    on(pasteText, "dragover", e => {
+      const types = Array.from(e.dataTransfer?.types || []);
+      if (types.includes("text/html") || types.includes("text/uri-list")) e.preventDefault();
+    }, "#paste-text");
+
+    on(pasteText, "drop", handlePasteDrop, "#paste-text");
+
+    on(pasteText, "input", () => {
+      if (!pasteText.value.trim()) pasteRichSource = null;
+    }, "#paste-text");
+
     on(pasteAddBtn, "click", async () => {
       const text = normalizeText(pasteText.value || "");
       const title = (pasteTitle.value || "Pasted Text").trim() || "Pasted Text";
@@ -1624,27 +1982,32 @@ Paragraph two begins here. Commas, periods, and paragraph breaks can pause sligh
         showToast({ title: "Paste required", message: "Add some text to create a book.", type: "error" });
         return;
       }
+      const rich = pasteRichSource;
+      const contentExtras = rich
+        ? { html: rich.html, toc: await buildPasteToc(text, rich.headings), ...(rich.url ? { sourceUrl: rich.url } : {}) }
+        : undefined;
       const book = await createBookFromText({
         title,
-        author: "",
+        author: (pasteAuthor?.value || "").trim(),
         tags: ["paste"],
         text,
-        sourceType: "paste"
+        sourceType: "paste",
+        contentExtras
       });
+      if (!book) return;
       upsertBook(book);
-      pasteText.value = "";
-      pasteTitle.value = "";
-      setPasteStatus("");
+      resetPastePanel();
       await openBookInReader(book.id);
       setView("reader");
-      showToast({ title: "Book added", message: "Ready to read.", type: "success" });
+      showToast({ ...getImportOutcomeToast(book), type: "success" });
     }, "#paste-add-btn");
 
-    on(pasteClearBtn, "click", () => {
-      pasteText.value = "";
-      pasteTitle.value = "";
-      setPasteStatus("");
-    }, "#paste-clear-btn");
+    on(pasteClearBtn, "click", () => resetPastePanel(), "#paste-clear-btn");
+
+    on(formattedViewBtn, "click", () => {
+      formattedViewOpen = !formattedViewOpen;
+      updateFormattedView(selectedBookId ? getBook(selectedBookId) : null);
+    }, "#formatted-view-btn");
 
     on(emptyDemoBtn, "click", () => demoLoadBtn?.click(), "#empty-demo-btn");
     on(emptyPasteBtn, "click", () => {
@@ -1654,16 +2017,31 @@ Paragraph two begins here. Commas, periods, and paragraph breaks can pause sligh
     on(emptyHelpBtn, "click", () => openModal(modalHelp, emptyHelpBtn), "#empty-help-btn");
 
     // Library interactions
-    on(librarySearch, "input", () => renderLibraryList(), "#library-search");
+    on(librarySearch, "input", () => {
+      scheduleLibraryContentSearch();
+      renderLibraryList();
+    }, "#library-search");
+    on(librarySearchContents, "change", () => {
+      state.settings.librarySearchContents = !!librarySearchContents.checked;
+      saveState();
+      libraryContentSearch = { query: "", results: null };
+      scheduleLibraryContentSearch();
+      renderLibraryList();
+    }, "#library-search-contents");
     on(librarySort, "change", () => renderLibraryList(), "#library-sort");
 
+    on(storageManageBtn, "click", () => void openStorageManager(storageManageBtn), "#storage-manage-btn");
+
     on(dangerResetBtn, "click", async () => {
       const confirmed = await openConfirm({
         title: "Reset local data",
-        message: "This will delete all local books and notes for SwiftReader. Continue?",
+        message: "This will delete all local books and notes for SwiftReader. A snapshot is saved first, so you can restore them from Settings. Continue?",
         confirmText: "Reset data"
       });
       if (!confirmed) return;
+      const proceed = await snapshotBeforeChange("reset", dangerResetBtn);
+      setButtonLoading(dangerResetBtn, false);
+      if (!proceed) return;
       state = defaultState();
       saveState();
       void resetIndexedDb();
@@ -1679,7 +2057,7 @@ Paragraph two begins here. Commas, periods, and paragraph breaks can pause sligh
     }, "#danger-reset-btn");
 
     // Sidebar export/import
-    on(exportBtn, "click", () => void exportData(), "#export-btn");
+    on(exportBtn, "click", () => openExportDialog(exportBtn), "#export-btn");
     on(importDataBtn, "click", () => importData(importDataBtn), "#import-data-btn");
 
     // Reader controls
@@ -1697,6 +2075,7 @@ Paragraph two begins here. Commas, periods, and paragraph breaks can pause sligh
       if (selectedBookId) {
         updateBookReaderState(selectedBookId, { wpm: v });
       }
+      updateProgressUI(selectedBookId ? getBook(selectedBookId) : null);
     }, "#wpm-slider");
 
     on(pauseSlider, "input", () => {
@@ -1706,6 +2085,7 @@ Paragraph two begins here. Commas, periods, and paragraph breaks can pause sligh
       if (selectedBookId) {
         updateBookReaderState(selectedBookId, { pause: v });
       }
+      updateProgressUI(selectedBookId ? getBook(selectedBookId) : null);
     }, "#pause-slider");
 
     on(progressSlider, "pointerdown", () => {
@@ -1756,6 +2136,43 @@ Paragraph two begins here. Commas, periods, and paragraph breaks can pause sligh
 
     on(clearNoteBtn, "click", () => (quickNote.value = ""), "#clear-note-btn");
 
+    on(bookSearchInput, "input", () => scheduleBookSearch(), "#book-search-input");
+    on(bookSearchInput, "keydown", (e) => {
+      if (e.key === "Enter") {
+        e.preventDefault();
+        runBookSearch();
+      }
+    }, "#book-search-input");
+    on(bookSearchCase, "change", () => runBookSearch(), "#book-search-case");
+    on(bookSearchDiacritics, "change", () => runBookSearch(), "#book-search-diacritics");
+    on(bookSearchWhole, "change", () => runBookSearch(), "#book-search-whole");
+
+    on(pageView, "mouseup", () => handlePageViewSelection(), "#page-view");
+    on(pageView, "keyup", (e) => {
+      if (e.shiftKey) handlePageViewSelection();
+    }, "#page-view");
+    on(pageView, "touchend", () => setTimeout(handlePageViewSelection, 0), "#page-view");
+    on(pageView, "click", (e) => handlePageViewClick(e), "#page-view");
+    on(pageView, "scroll", () => hideHighlightToolbar(), "#page-view");
+    on(highlightToolbar, "click", (e) => {
+      const colorBtn = e.target.closest("[data-highlight-color]");
+      if (colorBtn) saveHighlight(colorBtn.dataset.highlightColor);
+    }, "#highlight-toolbar");
+    on(highlightRemoveBtn, "click", () => removeHighlight(), "#highlight-remove-btn");
+    on(highlightNoteInput, "keydown", (e) => {
+      if (e.key === "Enter") {
+        e.preventDefault();
+        saveHighlight(null);
+      } else if (e.key === "Escape") {
+        hideHighlightToolbar();
+      }
+    }, "#highlight-note-input");
+    document.addEventListener("mousedown", (e) => {
+      if (highlightToolbar && !highlightToolbar.hidden && !highlightToolbar.contains(e.target) && !pageView?.contains(e.target)) {
+        hideHighlightToolbar();
+      }
+    });
+
     // Keyboard shortcuts
     document.addEventListener("keydown", (e) => {
       // Ignore if typing in inputs/textareas/selects
@@ -1850,7 +2267,7 @@ Paragraph two begins here. Commas, periods, and paragraph breaks can pause sligh
       const note = state.notes.find(n => n.id === selectedNoteId);
       if (!note) return;
       const text = (noteEdit.value || "").trim();
-      if (!text) {
+      if (!text && note.type !== "highlight") {
         showToast({ title: "Note is empty", message: "Add text before updating.", type: "error" });
         return;
       }
@@ -1878,6 +2295,7 @@ Paragraph two begins here. Commas, periods, and paragraph breaks can pause sligh
       clearNotePreview();
       renderNotesView();
       renderReaderNotes();
+      if (note.type === "highlight") refreshHighlightViews(getBook(note.bookId));
       showToast({ title: "Note deleted", message: "The note has been removed.", type: "success" });
     }, "#note-delete-btn");
 
@@ -1910,13 +2328,21 @@ Paragraph two begins here. Commas, periods, and paragraph breaks can pause sligh
       const v = clamp(Number(chunkSizeSelect.value), 1, 4);
       state.settings.chunkSize = v;
       saveState();
+      updateProgressUI(selectedBookId ? getBook(selectedBookId) : null);
     }, "#chunk-size");
 
     on(autoPauseCheckbox, "change", () => {
       state.settings.autoPause = !!autoPauseCheckbox.checked;
       saveState();
+      updateProgressUI(selectedBookId ? getBook(selectedBookId) : null);
     }, "#auto-pause");
 
+    on(rsvpCodeBlocksSelect, "change", () => {
+      state.settings.rsvpCodeBlocks = rsvpCodeBlocksSelect.value === "skip" ? "skip" : "slow";
+      saveState();
+      updateProgressUI(selectedBookId ? getBook(selectedBookId) : null);
+    }, "#rsvp-code-blocks");
+
     on(tapControlsCheckbox, "change", () => {
       state.settings.tapControls = !!tapControlsCheckbox.checked;
       saveState();
@@ -1937,6 +2363,23 @@ Paragraph two begins here. Commas, periods, and paragraph breaks can pause sligh
       saveState();
     }, "#remember-last-book");
 
+    on(encryptExportCheckbox, "change", () => {
+      state.settings.encryptExport = !!encryptExportCheckbox.checked;
+      saveState();
+    }, "#encrypt-export");
+
+    on(snapshotScheduleSelect, "change", () => {
+      state.settings.snapshotSchedule = normalizeSettings({ snapshotSchedule: snapshotScheduleSelect.value }).snapshotSchedule;
+      saveState();
+      scheduleSnapshotCheck(SNAPSHOT_FIRST_CHECK_MS);
+    }, "#snapshot-schedule");
+    on(snapshotKeepInput, "change", () => {
+      state.settings.snapshotKeep = clamp(Math.round(Number(snapshotKeepInput.value)) || 1, 1, SNAPSHOT_KEEP_MAX);
+      snapshotKeepInput.value = String(state.settings.snapshotKeep);
+      saveState();
+    }, "#snapshot-keep");
+    on(snapshotNowBtn, "click", () => void saveSnapshotNow(), "#snapshot-now-btn");
+
     on(autoRemoveHeadersCheckbox, "change", () => {
       state.settings.autoRemoveHeadersFooters = !!autoRemoveHeadersCheckbox.checked;
       saveState();
@@ -1950,7 +2393,7 @@ Paragraph two begins here. Commas, periods, and paragraph breaks can pause sligh
     }, "#custom-ignore-phrases");
 
     // Export/import from settings too
-    on(settingsExportBtn, "click", () => void exportData(), "#settings-export-btn");
+    on(settingsExportBtn, "click", () => openExportDialog(settingsExportBtn), "#settings-export-btn");
     on(settingsImportBtn, "click", () => importData(settingsImportBtn), "#settings-import-btn");
     on(repairStorageBtn, "click", () => {
       showToast({
@@ -2086,8 +2529,113 @@ Paragraph two begins here. Commas, periods, and paragraph breaks can pause sligh
   --------------------------- */
   function registerServiceWorker() {
     if (!("serviceWorker" in navigator)) return;
-    navigator.serviceWorker.register("./service-worker.js").catch((err) => {
-      console.warn("Service worker registration failed", err);
+    navigator.serviceWorker.register("./service-worker.js")
+      .then(registration => watchServiceWorkerUpdates(registration))
+      .catch((err) => {
+        console.warn("Service worker registration failed", err);
+      });
+  }
+
+  // A new version installs in the background and waits; the toast's Reload activates it, and the
+  // controller change reloads the page onto the new shell.
+  function watchServiceWorkerUpdates(registration) {
+    let reloading = false;
+    navigator.serviceWorker.addEventListener("controllerchange", () => {
+      if (reloading) return;
+      reloading = true;
+      window.location.reload();
+    });
+
+    const offerUpdate = worker => {
+      if (!worker || !navigator.serviceWorker.controller) return;
+      showToast({
+        title: "Update available",
+        message: "A new version of SwiftReader is ready.",
+        duration: 0,
+        actions: [
+          { label: "Reload", handler: () => worker.postMessage({ type: "SKIP_WAITING" }) },
+          { label: "Later" }
+        ]
+      });
+    };
+
+    if (registration.waiting) offerUpdate(registration.waiting);
+    registration.addEventListener("updatefound", () => {
+      const worker = registration.installing;
+      worker?.addEventListener("statechange", () => {
+        if (worker.state === "installed") offerUpdate(worker);
+      });
+    });
+  }
+
+  /* ---------------------------
+     Share target and file handling
+     Shares to the installed app (manifest share_target) are POSTed to ./?share-target; the service
+     worker stores them in the share cache and redirects here. Files opened with the app arrive
+     through launchQueue (manifest file_handlers). Files go to the import queue, text and links to
+     the paste panel.
+  --------------------------- */
+  const SHARE_CACHE_NAME = "swiftreader-share";
+
+  async function consumeSharedContent() {
+    const params = new URLSearchParams(window.location.search);
+    if (!params.has("share-target")) return;
+    window.history.replaceState(null, "", `${window.location.pathname}${window.location.hash}`);
+    if (params.get("share-target") === "failed" || !("caches" in window)) {
+      showToast({ title: "Share failed", message: "The shared content could not be received.", type: "error" });
+      return;
+    }
+    try {
+      const cache = await caches.open(SHARE_CACHE_NAME);
+      const metaResponse = await cache.match("./__share/meta");
+      if (!metaResponse) return;
+      const meta = await metaResponse.json();
+      const files = [];
+      for (const entry of meta.files || []) {
+        const response = await cache.match(entry.key);
+        if (response) files.push(new File([await response.blob()], entry.name, { type: entry.type || "" }));
+      }
+      await caches.delete(SHARE_CACHE_NAME);
+      routeSharedContent({ title: meta.title, text: meta.text, url: meta.url, files });
+    } catch (err) {
+      console.warn("Shared content could not be read", err);
+      showToast({ title: "Share failed", message: "The shared content could not be read.", type: "error" });
+    }
+  }
+
+  function routeSharedContent({ title = "", text = "", url = "", files = [] }) {
+    if (files.length) {
+      setImportTab("file");
+      openImportSection({ focus: false });
+      void handleFilesSelected(files);
+      return;
+    }
+    // Many apps send the link inside "text" rather than "url".
+    const link = url || (text.match(/https?:\/\/\S+/) || [])[0] || "";
+    const body = link ? text.replace(link, "").trim() : text.trim();
+    if (!body && !link) return;
+    setImportTab("paste");
+    openImportSection();
+    if (pasteTitle && title && !pasteTitle.value.trim()) pasteTitle.value = title;
+    if (body) {
+      insertPasteText(normalizeText(body));
+      setPasteStatus(link ? `Shared from ${link}` : "");
+    } else {
+      void fetchPageForPaste(link);
+    }
+  }
+
+  function initFileHandling() {
+    if (!("launchQueue" in window)) return;
+    window.launchQueue.setConsumer(async launchParams => {
+      if (!launchParams?.files?.length) return;
+      try {
+        const files = await Promise.all(launchParams.files.map(handle => handle.getFile()));
+        routeSharedContent({ files });
+      } catch (err) {
+        console.warn("Opened files could not be read", err);
+        showToast({ title: "Open failed", message: "The file could not be read.", type: "error" });
+      }
     });
   }
 
@@ -2105,6 +2653,12 @@ Paragraph two begins here. Commas, periods, and paragraph breaks can pause sligh
     if (e.key === "Escape") {
       if (activeModal === modalConfirm) {
         resolveConfirm(false);
+      } else if (activeModal === modalPassphrase) {
+        resolvePassphrase(null);
+      } else if (activeModal === modalMerge) {
+        resolveMergeReview(false);
+      } else if (activeModal === modalReprocess) {
+        closeReprocessModal();
       } else {
         closeModal(activeModal);
       }
@@ -2177,22 +2731,102 @@ Paragraph two begins here. Commas, periods, and paragraph breaks can pause sligh
     confirmTitle.textContent = title || "Confirm action";
     confirmMessage.textContent = message || "Are you sure you want to continue?";
     confirmOkBtn.textContent = confirmText;
+    confirmOkBtn.hidden = false;
     confirmCancelBtn.textContent = cancelText;
     confirmCancelBtn.hidden = !!hideCancel;
+    if (confirmChoices) {
+      confirmChoices.innerHTML = "";
+      confirmChoices.hidden = true;
+    }
+    openModal(modalConfirm, document.activeElement);
+    return new Promise(resolve => {
+      confirmResolver = result => resolve(!!result);
+    });
+  }
+
+  // Like openConfirm, but with several actions. Resolves to the chosen value, or null when dismissed.
+  function openChoice({ title, message, choices = [], cancelText = "Cancel" } = {}) {
+    if (!modalConfirm || !confirmChoices || !confirmTitle || !confirmMessage || !confirmCancelBtn || !confirmOkBtn) {
+      showToast({ title: "Confirmation unavailable", message: "Unable to open confirmation dialog.", type: "error" });
+      return Promise.resolve(null);
+    }
+    confirmTitle.textContent = title || "Choose an action";
+    confirmMessage.textContent = message || "";
+    confirmOkBtn.hidden = true;
+    confirmCancelBtn.textContent = cancelText;
+    confirmCancelBtn.hidden = false;
+    confirmChoices.innerHTML = "";
+    choices.forEach((choice, i) => {
+      const btn = document.createElement("button");
+      btn.type = "button";
+      btn.className = i === 0 ? "btn btn-primary" : "btn btn-ghost";
+      btn.textContent = choice.label;
+      btn.addEventListener("click", () => resolveConfirm(choice.value));
+      confirmChoices.appendChild(btn);
+    });
+    confirmChoices.hidden = false;
     openModal(modalConfirm, document.activeElement);
     return new Promise(resolve => {
-      confirmResolver = resolve;
+      confirmResolver = result => resolve(result === false ? null : result);
     });
   }
 
   function resolveConfirm(result) {
     if (activeModal === modalConfirm) closeModal(modalConfirm);
     if (confirmResolver) {
-      confirmResolver(!!result);
+      confirmResolver(result);
       confirmResolver = null;
     }
   }
 
+  // Resolves to the passphrase, or null when dismissed. With confirm, it has to be typed twice.
+  function askPassphrase({ title, message, okText = "OK", confirm = false, error = "" } = {}) {
+    if (!modalPassphrase || !passphraseInput || !passphraseOkBtn) {
+      showToast({ title: "Passphrase unavailable", message: "Unable to open the passphrase dialog.", type: "error" });
+      return Promise.resolve(null);
+    }
+    if (passphraseTitle) passphraseTitle.textContent = title || "Passphrase";
+    if (passphraseMessage) passphraseMessage.textContent = message || "";
+    if (passphraseError) passphraseError.textContent = error;
+    if (passphraseConfirmRow) passphraseConfirmRow.hidden = !confirm;
+    passphraseInput.autocomplete = confirm ? "new-password" : "current-password";
+    passphraseInput.value = "";
+    if (passphraseConfirmInput) passphraseConfirmInput.value = "";
+    passphraseOkBtn.textContent = okText;
+    modalPassphrase.dataset.confirm = confirm ? "true" : "false";
+    openModal(modalPassphrase, document.activeElement);
+    passphraseInput.focus();
+    return new Promise(resolve => {
+      passphraseResolver = resolve;
+    });
+  }
+
+  function submitPassphrase() {
+    const value = passphraseInput?.value || "";
+    const confirm = modalPassphrase?.dataset.confirm === "true";
+    let error = "";
+    if (!value) error = "Enter a passphrase.";
+    else if (confirm && value.length < MIN_EXPORT_PASSPHRASE_LENGTH) error = `Use at least ${MIN_EXPORT_PASSPHRASE_LENGTH} characters.`;
+    else if (confirm && value !== passphraseConfirmInput?.value) error = "The passphrases don't match.";
+    if (error) {
+      if (passphraseError) passphraseError.textContent = error;
+      passphraseInput?.focus();
+      return;
+    }
+    resolvePassphrase(value);
+  }
+
+  function resolvePassphrase(value) {
+    if (activeModal === modalPassphrase) closeModal(modalPassphrase);
+    // Don't leave the passphrase sitting in the DOM.
+    if (passphraseInput) passphraseInput.value = "";
+    if (passphraseConfirmInput) passphraseConfirmInput.value = "";
+    if (passphraseResolver) {
+      passphraseResolver(value);
+      passphraseResolver = null;
+    }
+  }
+
   function showToast({ title, message, type = "info", duration = 3200, action, actions } = {}) {
     if (!toastRegion) return;
     const actionList = Array.isArray(actions)
@@ -2288,9 +2922,14 @@ Paragraph two begins here. Commas, periods, and paragraph breaks can pause sligh
     if (chunkSizeSelect) chunkSizeSelect.value = String(state.settings.chunkSize || 1);
 
     if (autoPauseCheckbox) autoPauseCheckbox.checked = !!state.settings.autoPause;
+    if (rsvpCodeBlocksSelect) rsvpCodeBlocksSelect.value = state.settings.rsvpCodeBlocks || "slow";
+    if (librarySearchContents) librarySearchContents.checked = !!state.settings.librarySearchContents;
     if (tapControlsCheckbox) tapControlsCheckbox.checked = !!state.settings.tapControls;
     if (wakeLockCheckbox) wakeLockCheckbox.checked = !!state.settings.wakeLock;
     if (rememberLastBookCheckbox) rememberLastBookCheckbox.checked = !!state.settings.rememberLastBook;
+    if (encryptExportCheckbox) encryptExportCheckbox.checked = !!state.settings.encryptExport;
+    if (snapshotScheduleSelect) snapshotScheduleSelect.value = state.settings.snapshotSchedule || "daily";
+    if (snapshotKeepInput) snapshotKeepInput.value = String(state.settings.snapshotKeep || 5);
     if (autoRemoveHeadersCheckbox) autoRemoveHeadersCheckbox.checked = !!state.settings.autoRemoveHeadersFooters;
     if (customIgnorePhrasesInput) customIgnorePhrasesInput.value = state.settings.customIgnorePhrases || "";
 
@@ -2329,8 +2968,60 @@ Paragraph two begins here. Commas, periods, and paragraph breaks can pause sligh
   }
 
   /* ---------------------------
-     Storage estimate (best-effort)
+     Storage estimate and persistence (best-effort)
+     Without persistent storage the browser may evict the library under storage pressure. The app
+     asks once per session when a book is added, and again from the storage manager.
   --------------------------- */
+  // Rough serialized sizes: strings as UTF-16, plus a per-token allowance for the object itself.
+  const TOKEN_OVERHEAD_BYTES = 48;
+  // Leave room for notes, the search index and settings when checking an import against the quota.
+  const STORAGE_QUOTA_MARGIN = 0.05;
+
+  let storagePersisted = null;
+  let storagePersistRequested = false;
+
+  async function refreshStoragePersistence() {
+    if (!navigator.storage?.persisted) return null;
+    try {
+      storagePersisted = await navigator.storage.persisted();
+    } catch {
+      storagePersisted = null;
+    }
+    return storagePersisted;
+  }
+
+  async function requestPersistentStorage({ force = false } = {}) {
+    if (!navigator.storage?.persist) return false;
+    if (storagePersisted) return true;
+    if (storagePersistRequested && !force) return false;
+    storagePersistRequested = true;
+    try {
+      storagePersisted = await navigator.storage.persist();
+    } catch (err) {
+      console.warn("Persistent storage request failed", err);
+      storagePersisted = false;
+    }
+    updateStorageEstimate();
+    return storagePersisted;
+  }
+
+  function getStoragePersistenceLabel() {
+    if (storagePersisted === true) return "persistent";
+    if (storagePersisted === false) return "may be cleared by the browser";
+    return "";
+  }
+
+  async function getStorageHeadroom() {
+    if (!navigator.storage?.estimate) return null;
+    try {
+      const { usage, quota } = await navigator.storage.estimate();
+      if (!quota) return null;
+      return { usage: usage || 0, quota, free: Math.max(0, quota * (1 - STORAGE_QUOTA_MARGIN) - (usage || 0)) };
+    } catch {
+      return null;
+    }
+  }
+
   async function updateStorageEstimate() {
     try {
       if (!storageEstimate) return;
@@ -2345,32 +3036,339 @@ Paragraph two begins here. Commas, periods, and paragraph breaks can pause sligh
       }
       const usedMB = (usage / (1024 * 1024)).toFixed(1);
       const quotaMB = (quota / (1024 * 1024)).toFixed(0);
-      storageEstimate.textContent = `${usedMB}MB / ~${quotaMB}MB`;
+      const persistence = getStoragePersistenceLabel();
+      storageEstimate.textContent = `${usedMB}MB / ~${quotaMB}MB${persistence ? ` • ${persistence}` : ""}`;
     } catch {
       storageEstimate.textContent = "localStorage/IndexedDB";
     }
   }
 
-  /* ---------------------------
-     Import handling
-  --------------------------- */
-  function setImportStatus(message) {
-    if (!importStatus) return;
-    importStatus.textContent = message || "";
+  function getBinarySize(data) {
+    if (!data) return 0;
+    if (data instanceof ArrayBuffer || ArrayBuffer.isView(data)) return data.byteLength;
+    if (data instanceof Blob) return data.size;
+    if (typeof data === "string") return data.length;
+    return 0;
   }
 
-  function setPasteStatus(message) {
-    if (!pasteStatus) return;
-    pasteStatus.textContent = message || "";
+  function estimateTokensSize(tokens) {
+    if (!Array.isArray(tokens)) return 0;
+    let size = 0;
+    for (const token of tokens) {
+      size += TOKEN_OVERHEAD_BYTES + (token?.t?.length || 0) * 2;
+    }
+    return size;
   }
 
-  function syncImportCleanupDefaults() {
-    if (importAutoRemoveHeadersCheckbox) {
-      importAutoRemoveHeadersCheckbox.checked = !!state.settings.autoRemoveHeadersFooters;
-    }
-    if (importCustomIgnorePhrasesInput) {
-      importCustomIgnorePhrasesInput.value = state.settings.customIgnorePhrases || "";
-    }
+  // { text, tokens, file } for a contents record (or an import item shaped like one).
+  function estimateContentSize(content) {
+    const text = ((content?.rawText?.length || 0) + (typeof content?.html === "string" ? content.html.length : 0)) * 2;
+    return {
+      text,
+      tokens: estimateTokensSize(content?.tokens),
+      file: getBinarySize(content?.fileData)
+    };
+  }
+
+  function estimateImportItemSize(item) {
+    const size = estimateContentSize({ ...item?.contentExtras, rawText: item?.text, tokens: item?.tokens });
+    return size.text + size.tokens + size.file;
+  }
+
+  /* ---------------------------
+     Storage manager
+     Lists what each book keeps in the contents store. Originals (PDF/EPUB bytes) can be dropped to
+     save space: the text, tokens, notes and position stay, and the book opens in the text view.
+     Re-attaching checks the file against source.contentHash, which is the hash of the original bytes.
+  --------------------------- */
+  let storageReattachBookId = null;
+
+  function canKeepOriginal(book) {
+    return ["pdf", "epub"].includes(book?.sourceType);
+  }
+
+  async function openStorageManager(opener) {
+    if (!modalStorage) return;
+    openModal(modalStorage, opener);
+    await renderStorageManager();
+  }
+
+  async function renderStorageManager() {
+    await refreshStoragePersistence();
+    const headroom = await getStorageHeadroom();
+    if (storageSummary) {
+      const usage = headroom ? `${formatBytes(headroom.usage)} of about ${formatBytes(headroom.quota)} used.` : "Storage usage is unavailable in this browser.";
+      const persistence = storagePersisted === true
+        ? "Your library is stored persistently."
+        : storagePersisted === false
+          ? "The browser may clear your library when space runs low."
+          : "";
+      storageSummary.textContent = [usage, persistence].filter(Boolean).join(" ");
+    }
+    if (storagePersistBtn) storagePersistBtn.hidden = storagePersisted !== false;
+    if (!storageBookList) return;
+
+    const sizes = new Map();
+    if (idbReady) {
+      await idbForEach(DB_STORES.contents, content => {
+        sizes.set(content.bookId, estimateContentSize(content));
+      });
+    }
+    const rows = state.library.books
+      .map(book => {
+        const size = sizes.get(book.id) || { text: 0, tokens: 0, file: 0 };
+        return { book, size, total: size.text + size.tokens + size.file };
+      })
+      .sort((a, b) => b.total - a.total);
+
+    storageBookList.innerHTML = "";
+    if (!rows.length) {
+      const empty = document.createElement("li");
+      empty.className = "subtle";
+      empty.textContent = "No books stored yet.";
+      storageBookList.appendChild(empty);
+      return;
+    }
+    rows.forEach(({ book, size, total }) => {
+      const li = document.createElement("li");
+      li.className = "storage-item";
+
+      const info = document.createElement("div");
+      const title = document.createElement("div");
+      title.className = "storage-item-title";
+      title.textContent = book.title || "Untitled";
+      const meta = document.createElement("div");
+      meta.className = "storage-item-meta";
+      const parts = [`Text ${formatBytes(size.text)}`, `Tokens ${formatBytes(size.tokens)}`];
+      if (size.file) parts.push(`Original ${formatBytes(size.file)}`);
+      else if (canKeepOriginal(book)) parts.push("Original removed");
+      meta.textContent = `${formatBytes(total)} • ${parts.join(" • ")}`;
+      info.append(title, meta);
+      li.appendChild(info);
+
+      if (canKeepOriginal(book)) {
+        const btn = document.createElement("button");
+        btn.type = "button";
+        btn.className = "btn btn-ghost btn-sm";
+        if (size.file) {
+          btn.textContent = "Remove original";
+          btn.addEventListener("click", () => void removeBookOriginal(book.id));
+        } else {
+          btn.textContent = "Re-attach original";
+          btn.addEventListener("click", () => {
+            storageReattachBookId = book.id;
+            if (storageReattachInput) {
+              storageReattachInput.value = "";
+              storageReattachInput.accept = book.sourceType === "pdf" ? ".pdf,application/pdf" : ".epub,application/epub+zip";
+              storageReattachInput.click();
+            }
+          });
+        }
+        li.appendChild(btn);
+      }
+      storageBookList.appendChild(li);
+    });
+  }
+
+  async function removeBookOriginal(bookId) {
+    const book = getBook(bookId);
+    if (!book || !idbReady) return;
+    const confirmed = await openConfirm({
+      title: "Remove original file",
+      message: `Keep the text of "${book.title}" but delete its ${book.sourceType.toUpperCase()} file? The page view and re-processing need the original; you can re-attach the same file later.`,
+      confirmText: "Remove original"
+    });
+    if (confirmed) {
+      try {
+        const content = await idbGet(DB_STORES.contents, bookId);
+        if (content) {
+          const updated = { ...content, fileData: null, updatedAt: nowISO() };
+          await idbPut(DB_STORES.contents, updated);
+          contentCache.set(bookId, updated);
+        }
+        if (pdfState.currentBookId === bookId) resetPdfViewer();
+        if (epubState.currentBookId === bookId) resetEpubViewer();
+        if (selectedBookId === bookId) void renderDocumentViewer(book);
+        updateStorageEstimate();
+        showToast({ title: "Original removed", message: `"${book.title}" now opens in the text view.`, type: "success" });
+      } catch (err) {
+        console.error("Removing original file failed", err);
+        showToast({ title: "Couldn't remove the original", message: err?.message || "Storage error.", type: "error" });
+      }
+    }
+    await openStorageManager();
+  }
+
+  async function reattachBookOriginal(bookId, file) {
+    const book = getBook(bookId);
+    if (!book || !file || !idbReady) return;
+    try {
+      const fileData = await file.arrayBuffer();
+      const hash = await computeContentHash(fileData);
+      if (book.source?.contentHash && hash !== book.source.contentHash) {
+        showToast({
+          title: "Different file",
+          message: `This isn't the file "${book.title}" was imported from. Import it as a new book instead.`,
+          type: "error",
+          duration: 6000
+        });
+        return;
+      }
+      const content = await idbGet(DB_STORES.contents, bookId);
+      if (!content) throw new Error("This book has no stored content.");
+      const updated = { ...content, fileData, fileType: content.fileType || file.type || "", updatedAt: nowISO() };
+      await idbPut(DB_STORES.contents, updated);
+      contentCache.set(bookId, updated);
+      if (selectedBookId === bookId) void renderDocumentViewer(book);
+      updateStorageEstimate();
+      showToast({ title: "Original re-attached", message: `"${book.title}" has its ${book.sourceType.toUpperCase()} pages back.`, type: "success" });
+    } catch (err) {
+      console.error("Re-attaching original file failed", err);
+      showToast({ title: "Couldn't re-attach the file", message: err?.message || "Storage error.", type: "error" });
+    }
+    if (activeModal === modalStorage) await renderStorageManager();
+  }
+
+  /* ---------------------------
+     Import handling
+  --------------------------- */
+  function setImportStatus(message) {
+    if (!importStatus) return;
+    importStatus.textContent = message || "";
+  }
+
+  // fraction in [0, 1]; null hides the bar.
+  function setImportProgress(fraction) {
+    if (!importProgress) return;
+    if (fraction === null) {
+      importProgress.hidden = true;
+      importProgress.value = 0;
+      return;
+    }
+    importProgress.hidden = false;
+    importProgress.value = clamp(fraction, 0, 1);
+  }
+
+  function setPasteStatus(message) {
+    if (!pasteStatus) return;
+    pasteStatus.textContent = message || "";
+  }
+
+  /* ---------------------------
+     Rich paste
+     HTML pasted or dropped on #paste-text becomes plain paragraphs in the textarea. Headings and the
+     sanitized HTML are kept aside and saved with the book (TOC + formatted page view).
+  --------------------------- */
+  function insertPasteText(text) {
+    if (!pasteText) return;
+    const start = pasteText.selectionStart ?? pasteText.value.length;
+    const end = pasteText.selectionEnd ?? start;
+    const before = pasteText.value.slice(0, start).replace(/\s+$/, "");
+    const after = pasteText.value.slice(end).replace(/^\s+/, "");
+    const head = before ? `${before}\n\n` : "";
+    pasteText.value = `${head}${text}${after ? `\n\n${after}` : ""}`;
+    const caret = head.length + text.length;
+    pasteText.setSelectionRange(caret, caret);
+  }
+
+  function applyRichPaste(html, url = "") {
+    const { title, author, blocks, html: cleanHtml } = readHtmlBlocks(html);
+    const paragraphs = blocks
+      .map(block => ({ text: block.text.replace(/\s+/g, " ").trim(), level: block.level }))
+      .filter(block => block.text);
+    if (!paragraphs.length) return false;
+    insertPasteText(paragraphs.map(block => block.text).join("\n\n"));
+    pasteRichSource = {
+      html: [pasteRichSource?.html, cleanHtml].filter(Boolean).join("\n"),
+      headings: [...(pasteRichSource?.headings || []), ...paragraphs.filter(block => block.level)],
+      url: pasteRichSource?.url || url
+    };
+    if (pasteTitle && !pasteTitle.value.trim() && title) pasteTitle.value = title.trim();
+    if (pasteAuthor && !pasteAuthor.value.trim() && author) pasteAuthor.value = author;
+    setPasteStatus("Formatted text converted. Headings become chapters and the original layout is kept for the formatted view.");
+    return true;
+  }
+
+  // Cross-origin pages only load when the site allows it (CORS); most articles need copy/paste instead.
+  async function fetchPageForPaste(url) {
+    setPasteStatus("Loading page…");
+    try {
+      const response = await fetch(url, { mode: "cors", credentials: "omit" });
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      const type = response.headers.get("content-type") || "";
+      const body = await response.text();
+      if (/html/i.test(type)) {
+        if (!applyRichPaste(body, url)) throw new Error("No readable text on the page.");
+        return;
+      }
+      const text = normalizeText(body);
+      if (!text) throw new Error("No readable text on the page.");
+      insertPasteText(text);
+      setPasteStatus("");
+    } catch (err) {
+      console.warn("Page fetch failed", err);
+      setPasteStatus("");
+      showToast({
+        title: "Couldn't load the page",
+        message: err instanceof TypeError
+          ? "The site doesn't let other apps read it. Open the page, select the article and paste it here."
+          : `${err instanceof Error ? err.message : "The page could not be read."}`,
+        type: "error"
+      });
+    }
+  }
+
+  function handlePasteDrop(e) {
+    const data = e.dataTransfer;
+    if (!data || data.files?.length) return;
+    const html = data.getData("text/html");
+    const url = (data.getData("text/uri-list") || "").split(/\r?\n/).find(line => line && !line.startsWith("#")) || "";
+    if (html && applyRichPaste(html, url)) {
+      e.preventDefault();
+      return;
+    }
+    if (/^https?:\/\//i.test(url)) {
+      e.preventDefault();
+      void fetchPageForPaste(url);
+    }
+  }
+
+  // Matches saved headings to paragraphs of the (possibly edited) text, in order.
+  async function buildPasteToc(text, headings) {
+    if (!headings?.length) return [];
+    const key = value => value.replace(/\s+/g, " ").trim().toLowerCase();
+    const paragraphs = text.split(/\n{2,}/).map(part => part.trim()).filter(Boolean);
+    const counts = await countWordsPerText(paragraphs);
+    const topLevel = Math.min(...headings.map(h => h.level));
+    const toc = [];
+    let next = 0;
+    let wordIndex = 0;
+    paragraphs.forEach((para, i) => {
+      const heading = headings[next];
+      if (heading && key(para) === key(heading.text)) {
+        toc.push({ title: heading.text, depth: heading.level - topLevel, wordIndex });
+        next += 1;
+      }
+      wordIndex += counts[i] || 0;
+    });
+    return normalizeToc(toc, wordIndex);
+  }
+
+  function resetPastePanel() {
+    pasteText.value = "";
+    pasteTitle.value = "";
+    if (pasteAuthor) pasteAuthor.value = "";
+    pasteRichSource = null;
+    setPasteStatus("");
+  }
+
+  function syncImportCleanupDefaults() {
+    if (importAutoRemoveHeadersCheckbox) {
+      importAutoRemoveHeadersCheckbox.checked = !!state.settings.autoRemoveHeadersFooters;
+    }
+    if (importCustomIgnorePhrasesInput) {
+      importCustomIgnorePhrasesInput.value = state.settings.customIgnorePhrases || "";
+    }
   }
 
   function getImportPdfCleanupOptions() {
@@ -2383,238 +3381,389 @@ Paragraph two begins here. Commas, periods, and paragraph breaks can pause sligh
     return {
       enabled,
       customPhrases: parseCustomIgnorePhrases(rawCustom),
-      customIgnoreRaw: rawCustom
+      customIgnoreRaw: rawCustom,
+      asides: importPdfAsidesSelect?.value === "skip" ? "skip" : "end",
+      repairLines: importPdfRepairLinesCheckbox ? !!importPdfRepairLinesCheckbox.checked : true,
+      stripRules: null
     };
   }
 
-  function normalizeLineForMatch(text) {
-    return String(text || "")
-      .toLowerCase()
-      .replace(/[^\w\s]/g, "")
-      .replace(/\s+/g, " ")
-      .trim();
+  // Flattens saved strip rules into the options object the PDF pipeline reads.
+  function withPdfStripRules(cleanupOptions, rules) {
+    const stripRules = normalizePdfStripRules(rules);
+    return { ...cleanupOptions, ...(stripRules || {}), stripRules };
   }
 
-  function removeDigits(text) {
-    return String(text || "").replace(/\d+/g, "").trim();
+  /* ---------------------------
+     Import worker
+     Extraction + tokenization run in import-worker.js. If the worker cannot start
+     (file:// pages, blocked scripts) the same pipeline runs on the main thread.
+  --------------------------- */
+  function createWorkerUnavailableError() {
+    const err = new Error("Import worker unavailable.");
+    err.name = "WorkerUnavailableError";
+    return err;
   }
 
-  function parseCustomIgnorePhrases(raw) {
-    return String(raw || "")
-      .split("\n")
-      .map(line => line.trim())
-      .filter(Boolean);
+  function getImportWorker() {
+    if (importWorker) return importWorker;
+    if (importWorkerFailed || typeof Worker === "undefined") return null;
+    try {
+      importWorker = new Worker("./import-worker.js");
+    } catch (err) {
+      console.warn("Import worker unavailable", err);
+      importWorkerFailed = true;
+      return null;
+    }
+    importWorker.addEventListener("message", handleImportWorkerMessage);
+    importWorker.addEventListener("error", (event) => {
+      // Load-time failures (e.g. importScripts blocked) reject pending tasks so callers fall back.
+      console.warn("Import worker failed", event?.message || event);
+      event?.preventDefault?.();
+      importWorkerFailed = true;
+      importWorker?.terminate();
+      importWorker = null;
+      importTasks.forEach(task => task.reject(createWorkerUnavailableError()));
+      importTasks.clear();
+    });
+    return importWorker;
   }
 
-  function escapeRegExp(value) {
-    return String(value).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  function handleImportWorkerMessage(event) {
+    const { type, id, result, error, current, total, message } = event.data || {};
+    const task = importTasks.get(id);
+    if (!task) return;
+    if (type === "progress") {
+      task.onProgress?.({ current, total, message });
+      return;
+    }
+    importTasks.delete(id);
+    task.cleanup();
+    if (type === "result") {
+      task.resolve(result);
+    } else {
+      const err = new Error(error?.message || "Import task failed.");
+      err.name = error?.name || "Error";
+      task.reject(err);
+    }
   }
 
-  function removeCustomIgnorePhrases(text, phrases) {
-    if (!text) return "";
-    if (!Array.isArray(phrases) || phrases.length === 0) return text;
-    let cleaned = String(text);
-    phrases.forEach(phrase => {
-      const parts = String(phrase).match(/[\p{L}\p{N}]+/gu);
-      if (!parts || !parts.length) return;
-      const pattern = parts.map(part => escapeRegExp(part)).join("[\\s\\W_]*");
-      const regex = new RegExp(pattern, "gi");
-      cleaned = cleaned.replace(regex, " ");
-    });
-    return cleaned;
-  }
-
-  function isPageNumberLike(text) {
-    const trimmed = String(text || "").trim();
-    if (!trimmed) return false;
-    const compact = trimmed.replace(/\s+/g, "");
-    if (/^[\W_]*\d+[\W_]*$/.test(compact)) return true;
-    if (/^\d+\s*\/\s*\d+$/.test(trimmed)) return true;
-    if (/^page\s*\d+(\s*(of|\/)\s*\d+)?/i.test(trimmed)) return true;
-    if (/^[\W_]*[ivxlcdm]+[\W_]*$/i.test(compact)) return true;
-    return false;
-  }
-
-  function extractPdfLines(content, pageIndex, pageHeight) {
-    const items = (content?.items || [])
-      .map(item => ({
-        text: item?.str || "",
-        x: item?.transform?.[4] || 0,
-        y: item?.transform?.[5] || 0
-      }))
-      .filter(item => item.text.trim().length);
-
-    items.sort((a, b) => {
-      if (Math.abs(b.y - a.y) > 1) return b.y - a.y;
-      return a.x - b.x;
-    });
-
-    const lines = [];
-    const tolerance = 2;
-    for (const item of items) {
-      const last = lines[lines.length - 1];
-      if (!last || Math.abs(last.y - item.y) > tolerance) {
-        lines.push({ y: item.y, items: [item] });
-      } else {
-        last.items.push(item);
+  function runImportTask(type, payload, { onProgress, signal, transfer = [] } = {}) {
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(createAbortError());
+        return;
       }
-    }
-
-    return lines.map(line => {
-      const text = line.items
-        .sort((a, b) => a.x - b.x)
-        .map(i => i.text)
-        .join(" ")
-        .replace(/\s+/g, " ")
-        .trim();
-      return {
-        pageIndex,
-        y: line.y,
-        text,
-        pageHeight
+      const worker = getImportWorker();
+      if (!worker) {
+        reject(createWorkerUnavailableError());
+        return;
+      }
+      importTaskSeq += 1;
+      const id = importTaskSeq;
+      const onAbort = () => {
+        if (!importTasks.has(id)) return;
+        importTasks.delete(id);
+        worker.postMessage({ type: "cancel", id });
+        reject(createAbortError());
       };
-    }).filter(line => line.text.length);
-  }
-
-  function buildPdfStripRules(pages, options = {}) {
-    const totalPages = pages.length || 0;
-    const topBand = options.topBand ?? 0.15;
-    const bottomBand = options.bottomBand ?? 0.15;
-    const minPct = options.minFrequency ?? 0.35;
-    const minLen = options.minLength ?? 3;
-    const maxLen = options.maxLength ?? 90;
-    const lineMap = new Map();
-
-    pages.forEach(page => {
-      const height = page.pageHeight || 0;
-      const topMin = height * (1 - topBand);
-      const bottomMax = height * bottomBand;
-      const seen = new Set();
-      (page.lines || []).forEach(line => {
-        if (line.y < bottomMax || line.y > topMin) {
-          const norm = normalizeLineForMatch(line.text);
-          const normNoDigits = removeDigits(norm);
-          const candidates = [norm, normNoDigits].filter(Boolean);
-          candidates.forEach(key => {
-            if (key.length < minLen || key.length > maxLen) return;
-            if (seen.has(key)) return;
-            seen.add(key);
-            if (!lineMap.has(key)) lineMap.set(key, new Set());
-            lineMap.get(key).add(page.pageIndex);
-          });
-        }
+      signal?.addEventListener("abort", onAbort, { once: true });
+      importTasks.set(id, {
+        resolve,
+        reject,
+        onProgress,
+        cleanup: () => signal?.removeEventListener("abort", onAbort)
       });
+      worker.postMessage({ type, id, ...payload }, transfer);
     });
+  }
 
-    const removeSet = new Set();
-    lineMap.forEach((pagesSet, key) => {
-      if (totalPages && pagesSet.size / totalPages >= minPct) {
-        removeSet.add(key);
-      }
-    });
+  // Runs a worker task, falling back to `fallback()` on the main thread if no worker is available.
+  async function runImportTaskWithFallback(type, payload, options, fallback) {
+    try {
+      return await runImportTask(type, payload, options);
+    } catch (err) {
+      if (err?.name !== "WorkerUnavailableError") throw err;
+      return fallback();
+    }
+  }
 
-    const customPhrases = (options.customPhrases || [])
-      .map(phrase => normalizeLineForMatch(phrase))
-      .filter(Boolean);
-
-    return { removeSet, customPhrases };
-  }
-
-  function stripPdfHeadersFooters(pages, options = {}) {
-    if (!pages.length) return { pageTexts: [], pageRanges: [] };
-    const enabled = options.enabled !== false;
-    const rules = buildPdfStripRules(pages, options);
-
-    const pageTexts = pages.map(page => {
-      const filtered = (page.lines || []).filter(line => {
-        if (!enabled && !rules.customPhrases.length) return true;
-        const rawText = line.text.trim();
-        if (!rawText) return false;
-        const norm = normalizeLineForMatch(rawText);
-        const normNoDigits = removeDigits(norm);
-        const wordCount = rawText.split(/\s+/).filter(Boolean).length;
-        if (rawText.length > 120 || wordCount > 15) return true;
-        if (isPageNumberLike(rawText)) return false;
-        if (rules.removeSet.has(norm) || rules.removeSet.has(normNoDigits)) return false;
-        if (rules.customPhrases.length) {
-          const matchesCustom = rules.customPhrases.some(phrase => norm.includes(phrase) || normNoDigits.includes(phrase));
-          if (matchesCustom) return false;
-        }
-        return true;
-      });
+  async function tokenizeOffMainThread(text, { signal } = {}) {
+    return runImportTaskWithFallback("tokenize", { text }, { signal }, () => {
+      const tokens = tokenize(text);
+      return { tokens, wordCount: countWords(tokens) };
+    });
+  }
 
-      const ordered = filtered
-        .sort((a, b) => b.y - a.y)
-        .map(line => line.text)
-        .join("\n");
-      return normalizeText(ordered);
+  async function parseMarkdownOffMainThread(text, { signal } = {}) {
+    return runImportTaskWithFallback("parse-markdown", { text }, { signal }, () => {
+      const parsed = parseMarkdown(text);
+      return { ...parsed, wordCount: countWords(parsed.tokens) };
     });
+  }
 
-    return { pageTexts };
+  async function countWordsPerText(texts, { signal } = {}) {
+    return runImportTaskWithFallback("count-words", { texts }, { signal }, () => (
+      texts.map(text => countWords(tokenize(text)))
+    ));
   }
 
-  function buildPdfContentFromPages(pages, options = {}) {
-    const { pageTexts } = stripPdfHeadersFooters(pages, options);
-    const customPhrases = Array.isArray(options.customPhrases) ? options.customPhrases : [];
-    const sanitizedPageTexts = pageTexts.map(text => normalizeText(removeCustomIgnorePhrases(text, customPhrases)));
-    const tokensByPage = sanitizedPageTexts.map(text => tokenize(text));
-    const wordCounts = tokensByPage.map(tokens => countWords(tokens));
-    let cursor = 0;
-    const pageRanges = wordCounts.map((wordCount, idx) => {
-      const start = cursor;
-      const end = wordCount ? cursor + wordCount - 1 : cursor;
-      cursor += wordCount;
-      return {
-        page: idx + 1,
-        start,
-        end,
-        wordCount
-      };
-    });
-    const combinedText = sanitizedPageTexts.join("\n\n");
-    const combinedTokens = tokensByPage.flat();
-    return {
-      text: combinedText,
-      tokens: combinedTokens,
-      wordCount: countWords(combinedTokens),
-      pageRanges
+  // Returns { text, totalPages, fileData, outline, content, pages }; content (tokens + page ranges) is
+  // null when the text layer is too thin, so the caller can offer OCR instead.
+  async function extractTextFromPdf(file, { onStatus, onProgress, signal, cleanupOptions } = {}) {
+    const buffer = await file.arrayBuffer();
+    const fileData = buffer.slice(0);
+    const report = ({ current, total, message }) => {
+      if (message) onStatus?.(message);
+      if (total) onProgress?.(current / total);
     };
+    const result = await runImportTaskWithFallback(
+      "extract-pdf",
+      { buffer, cleanupOptions },
+      { onProgress: report, signal, transfer: [buffer] },
+      // buffer is detached once it is posted to the worker; the fallback reads the kept copy.
+      () => extractTextFromPdfOnMainThread(fileData, { report, signal, cleanupOptions })
+    );
+    if (result.totalPages > 1 && result.text.trim().length < 300) {
+      onStatus?.("Scanned PDF detected.");
+    }
+    return { ...result, fileData };
   }
 
-  async function extractTextFromPdf(file, onStatus) {
+  async function extractTextFromPdfOnMainThread(buffer, { report, signal, cleanupOptions }) {
     const pdfjsLib = window["pdfjs-dist/build/pdf"];
     if (!pdfjsLib) {
       throw new Error("PDF.js not available");
     }
-    pdfjsLib.GlobalWorkerOptions.workerSrc = "https://cdnjs.cloudflare.com/ajax/libs/pdf.js/3.11.174/pdf.worker.min.js";
-    const buffer = await file.arrayBuffer();
-    const fileData = buffer.slice(0);
+    pdfjsLib.GlobalWorkerOptions.workerSrc = PDFJS_WORKER_SRC;
     const loadingTask = pdfjsLib.getDocument({ data: cloneArrayBuffer(buffer) });
     const pdf = await loadingTask.promise;
     const totalPages = pdf.numPages || 0;
     const pages = [];
 
-    for (let i = 1; i <= totalPages; i += 1) {
-      onStatus?.(`Extracting PDF… page ${i} / ${totalPages}`);
-      const page = await pdf.getPage(i);
-      const viewport = page.getViewport({ scale: 1 });
-      const content = await page.getTextContent();
-      const lines = extractPdfLines(content, i, viewport.height);
-      const normalizedPageText = normalizeText(lines.map(line => line.text).join("\n"));
-      pages.push({
-        pageIndex: i,
-        pageHeight: viewport.height,
-        lines,
-        text: normalizedPageText
+    try {
+      for (let i = 1; i <= totalPages; i += 1) {
+        throwIfAborted(signal);
+        report({ current: i, total: totalPages, message: `Extracting PDF… page ${i} / ${totalPages}` });
+        const page = await pdf.getPage(i);
+        const viewport = page.getViewport({ scale: 1 });
+        const content = await page.getTextContent();
+        const lines = extractPdfLines(content, i, viewport.height, viewport.width);
+        const normalizedPageText = normalizeText(lines.map(line => line.text).join("\n"));
+        pages.push({
+          pageIndex: i,
+          pageHeight: viewport.height,
+          lines,
+          text: normalizedPageText
+        });
+        await sleep(0);
+      }
+
+      const text = pages.map(p => p.text).join("\n\n");
+      const outline = await readPdfOutline(pdf);
+      const content = text.length >= 40 ? buildPdfContentFromPages(pages, cleanupOptions || {}) : null;
+      return { text, totalPages, outline, content, pages };
+    } finally {
+      void pdf.destroy?.();
+    }
+  }
+
+  /* ---------------------------
+     Table of contents
+     toc entries: { title, depth, wordIndex } sorted by wordIndex, stored on the contents record.
+  --------------------------- */
+  function normalizeToc(toc, totalWords = Infinity) {
+    if (!Array.isArray(toc)) return [];
+    const maxWord = Math.max(0, totalWords - 1);
+    return toc
+      .map(entry => ({
+        title: String(entry?.title || "").replace(/\s+/g, " ").trim(),
+        depth: Math.max(0, Number(entry?.depth) || 0),
+        wordIndex: clamp(Math.floor(Number(entry?.wordIndex) || 0), 0, maxWord)
+      }))
+      .filter(entry => entry.title)
+      .map((entry, order) => ({ entry, order }))
+      .sort((a, b) => (a.entry.wordIndex - b.entry.wordIndex) || (a.order - b.order))
+      .map(({ entry }) => entry);
+  }
+
+  function buildTocFromPdfOutline(outline, pageRanges) {
+    if (!Array.isArray(outline) || !Array.isArray(pageRanges) || !pageRanges.length) return [];
+    const totalWords = pageRanges.reduce((acc, range) => acc + (range.wordCount || 0), 0);
+    return normalizeToc(outline.map(entry => ({
+      title: entry.title,
+      depth: entry.depth,
+      wordIndex: pageRanges.find(range => range.page === entry.page)?.start ?? 0
+    })), totalWords);
+  }
+
+  async function readEpubToc(book, sections, sectionWordStarts) {
+    let navigation = null;
+    try {
+      navigation = await book.loaded.navigation;
+    } catch (err) {
+      console.warn("EPUB navigation read failed", err);
+      return [];
+    }
+    const items = navigation?.toc || [];
+    if (!items.length) return [];
+    const stripHash = href => String(href || "").split("#")[0];
+    const findSectionIndex = href => {
+      const target = stripHash(href);
+      if (!target) return -1;
+      const viaSpine = book.spine?.get?.(target);
+      if (viaSpine && typeof viaSpine.index === "number") return viaSpine.index;
+      const fileName = decodeURIComponent(target.split("/").pop() || "");
+      return sections.findIndex(section => decodeURIComponent(stripHash(section?.href).split("/").pop() || "") === fileName);
+    };
+    const entries = [];
+    const walk = (list, depth) => {
+      list.forEach(item => {
+        const sectionIndex = findSectionIndex(item?.href);
+        if (sectionIndex >= 0 && typeof sectionWordStarts[sectionIndex] === "number") {
+          entries.push({ title: item?.label || "", depth, wordIndex: sectionWordStarts[sectionIndex] });
+        }
+        if (Array.isArray(item?.subitems) && item.subitems.length) walk(item.subitems, depth + 1);
+      });
+    };
+    walk(items, 0);
+    return normalizeToc(entries);
+  }
+
+  /* ---------------------------
+     OCR (scanned PDFs)
+     Tesseract (WASM) runs in its own worker; engine + language data are bundled in vendor/tesseract.
+  --------------------------- */
+  const OCR_ASSET_BASE = "./vendor/tesseract/";
+  const OCR_LANG = "eng";
+  const OCR_RENDER_SCALE = 2;
+  let ocrScriptPromise = null;
+
+  function createAbortError(message = "Import cancelled.") {
+    return new DOMException(message, "AbortError");
+  }
+
+  function isAbortError(err) {
+    return err?.name === "AbortError";
+  }
+
+  function throwIfAborted(signal) {
+    if (signal?.aborted) throw createAbortError();
+  }
+
+  function loadOcrScript() {
+    if (window.Tesseract) return Promise.resolve(window.Tesseract);
+    if (!ocrScriptPromise) {
+      ocrScriptPromise = new Promise((resolve, reject) => {
+        const script = document.createElement("script");
+        script.src = `${OCR_ASSET_BASE}tesseract.min.js`;
+        script.onload = () => {
+          if (window.Tesseract) resolve(window.Tesseract);
+          else reject(new Error("OCR engine unavailable"));
+        };
+        script.onerror = () => {
+          ocrScriptPromise = null;
+          script.remove();
+          reject(new Error("OCR engine failed to load"));
+        };
+        document.head.appendChild(script);
       });
-      await sleep(0);
     }
+    return ocrScriptPromise;
+  }
 
-    const combined = pages.map(p => p.text).join("\n\n");
-    if (totalPages > 1 && combined.trim().length < 300) {
-      onStatus?.("Scanned PDF detected.");
+  async function createOcrWorker(onProgress) {
+    const Tesseract = await loadOcrScript();
+    const assetUrl = path => new URL(`${OCR_ASSET_BASE}${path}`, location.href).href;
+    return Tesseract.createWorker(OCR_LANG, Tesseract.OEM?.LSTM_ONLY ?? 1, {
+      workerPath: assetUrl("worker.min.js"),
+      corePath: assetUrl("tesseract-core-lstm.wasm.js"),
+      langPath: assetUrl("lang"),
+      workerBlobURL: false,
+      cacheMethod: "none",
+      logger: message => onProgress?.(message)
+    });
+  }
+
+  function ocrLinesToPdfLines(data, pageIndex, pageHeight, scale) {
+    const rawLines = Array.isArray(data?.lines) && data.lines.length
+      ? data.lines
+      : String(data?.text || "")
+        .split("\n")
+        .map((text, i) => ({ text, bbox: { y1: (i + 1) * 12 * scale } }));
+    return rawLines
+      .map(line => ({
+        pageIndex,
+        // Tesseract measures from the top of the bitmap; pdf.js lines are bottom-up page units.
+        y: pageHeight - ((line?.bbox?.y1 ?? 0) / scale),
+        text: String(line?.text || "").replace(/\s+/g, " ").trim(),
+        pageHeight
+      }))
+      .filter(line => line.text.length);
+  }
+
+  async function recognizePdfPages(fileData, { onStatus, onProgress, signal } = {}) {
+    const pdfjsLib = window["pdfjs-dist/build/pdf"];
+    if (!pdfjsLib) {
+      throw new Error("PDF.js not available");
+    }
+    pdfjsLib.GlobalWorkerOptions.workerSrc = PDFJS_WORKER_SRC;
+    throwIfAborted(signal);
+    const pdf = await pdfjsLib.getDocument({ data: cloneArrayBuffer(fileData) }).promise;
+    const totalPages = pdf.numPages || 0;
+    let currentPage = 0;
+    let worker = null;
+    const abortPromise = new Promise((_, reject) => {
+      signal?.addEventListener("abort", () => reject(createAbortError()), { once: true });
+    });
+    abortPromise.catch(() => {});
+    const pages = [];
+    const canvas = document.createElement("canvas");
+
+    try {
+      onStatus?.("Loading OCR engine…");
+      worker = await Promise.race([
+        createOcrWorker(message => {
+          if (message?.status !== "recognizing text" || !currentPage) return;
+          const pct = Math.round((message.progress || 0) * 100);
+          onStatus?.(`Recognizing text (OCR)… page ${currentPage} / ${totalPages} (${pct}%)`);
+          onProgress?.((currentPage - 1 + (message.progress || 0)) / Math.max(1, totalPages));
+        }),
+        abortPromise
+      ]);
+
+      for (let i = 1; i <= totalPages; i += 1) {
+        throwIfAborted(signal);
+        currentPage = i;
+        onStatus?.(`Recognizing text (OCR)… page ${i} / ${totalPages}`);
+        const page = await pdf.getPage(i);
+        const baseViewport = page.getViewport({ scale: 1 });
+        const viewport = page.getViewport({ scale: OCR_RENDER_SCALE });
+        canvas.width = Math.ceil(viewport.width);
+        canvas.height = Math.ceil(viewport.height);
+        const ctx = canvas.getContext("2d");
+        ctx.fillStyle = "#fff";
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+        await page.render({ canvasContext: ctx, viewport }).promise;
+        const { data } = await Promise.race([worker.recognize(canvas), abortPromise]);
+        const lines = ocrLinesToPdfLines(data, i, baseViewport.height, OCR_RENDER_SCALE);
+        pages.push({
+          pageIndex: i,
+          pageHeight: baseViewport.height,
+          lines,
+          text: normalizeText(lines.map(line => line.text).join("\n"))
+        });
+        page.cleanup?.();
+        await sleep(0);
+      }
+    } finally {
+      canvas.width = 0;
+      canvas.height = 0;
+      if (worker) await worker.terminate().catch(() => {});
+      void pdf.destroy?.();
     }
-    return { pages, text: combined, totalPages, fileData };
+
+    return pages;
   }
 
   function extractEpubTextFromContent(contents) {
@@ -2666,10 +3815,13 @@ Paragraph two begins here. Commas, periods, and paragraph breaks can pause sligh
       const sections = book.spine?.spineItems || book.spine?.items || [];
       debugLog("EPUB sections", { count: sections.length });
       const chunks = [];
+      const chunkSections = [];
 
       for (let i = 0; i < sections.length; i += 1) {
         const section = sections[i];
+        throwIfAborted(options.signal);
         onStatus?.(`Extracting EPUB… ${i + 1} / ${sections.length}`);
+        options.onProgress?.(i / Math.max(1, sections.length));
         let contents = null;
         try {
           if (section?.load && typeof section.load === "function") {
@@ -2691,7 +3843,10 @@ Paragraph two begins here. Commas, periods, and paragraph breaks can pause sligh
         const bodyText = extractEpubTextFromContent(contents);
         if (bodyText) {
           const cleaned = sanitizeExtractedText(bodyText);
-          if (cleaned) chunks.push(cleaned);
+          if (cleaned) {
+            chunks.push(cleaned);
+            chunkSections.push(i);
+          }
           debugLog("EPUB section text", {
             index: i,
             length: cleaned.length
@@ -2702,21 +3857,37 @@ Paragraph two begins here. Commas, periods, and paragraph breaks can pause sligh
         await sleep(0);
       }
 
+      // Section word offsets for the TOC; counting tokenizes every chunk, so it runs in the worker.
+      const chunkWordCounts = await countWordsPerText(chunks, { signal: options.signal });
+      const sectionWordStarts = [];
+      let wordCursor = 0;
+      let chunkIdx = 0;
+      for (let i = 0; i < sections.length; i += 1) {
+        sectionWordStarts[i] = wordCursor;
+        while (chunkIdx < chunks.length && chunkSections[chunkIdx] === i) {
+          wordCursor += chunkWordCounts[chunkIdx] || 0;
+          chunkIdx += 1;
+        }
+      }
+
       const text = chunks.join("\n\n");
       const isProtected = !!options.isProtected;
       let parseError = null;
       if (!text || text.length < MIN_EPUB_TEXT_LENGTH) {
         parseError = isProtected ? "drm" : "empty";
       }
-      debugLog("EPUB extracted", { length: text.length });
+      const toc = await readEpubToc(book, sections, sectionWordStarts);
+      debugLog("EPUB extracted", { length: text.length, tocEntries: toc.length });
       return {
         title: metadata?.title || "",
         text,
+        toc,
         parseError
       };
     } catch (err) {
+      if (isAbortError(err)) throw err;
       console.warn("EPUB text extraction failed", err);
-      return { title: "", text: "", parseError: "empty" };
+      return { title: "", text: "", toc: [], parseError: "empty" };
     } finally {
       if (book?.destroy) {
         book.destroy();
@@ -2724,7 +3895,7 @@ Paragraph two begins here. Commas, periods, and paragraph breaks can pause sligh
     }
   }
 
-  async function extractTextFromEpub(file, onStatus) {
+  async function extractTextFromEpub(file, onStatus, { onProgress, signal } = {}) {
     if (!window.JSZip) {
       onStatus?.("EPUB support missing (JSZip not loaded).");
       showToast({ title: "EPUB support missing", message: "JSZip is required to import EPUB files.", type: "error" });
@@ -2733,34 +3904,609 @@ Paragraph two begins here. Commas, periods, and paragraph breaks can pause sligh
     const buffer = await file.arrayBuffer();
     const fileData = cloneArrayBuffer(buffer);
     const isProtected = await detectEpubProtection(buffer);
-    const { title, text, parseError } = await extractTextFromEpubBuffer(buffer, onStatus, { isProtected });
-    return { title, text, fileData, isProtected, parseError };
+    const { title, text, toc, parseError } = await extractTextFromEpubBuffer(buffer, onStatus, { isProtected, onProgress, signal });
+    return { title, text, toc, fileData, isProtected, parseError };
   }
-  async function parseImportFile(file, index, total) {
-    const name = file.name || "Untitled";
-    const lower = name.toLowerCase();
-    const sourceMeta = {
-      filename: name,
-      fileType: file.type || "",
-      size: typeof file.size === "number" ? file.size : null
+
+  /* ---------------------------
+     Document import (DOCX, ODT, HTML, RTF)
+     Each format is read into blocks: { text, level } where level is a heading level (1 = top) or
+     null for a body paragraph. Headings become TOC entries; every block is its own paragraph.
+  --------------------------- */
+  const MIN_DOCUMENT_TEXT_LENGTH = 40;
+  const DOCX_NS = "http://schemas.openxmlformats.org/wordprocessingml/2006/main";
+  const ODF_TEXT_NS = "urn:oasis:names:tc:opendocument:xmlns:text:1.0";
+  const DOCUMENT_TYPES = [
+    { ext: /\.docx$/i, sourceType: "docx", fileType: "application/vnd.openxmlformats-officedocument.wordprocessingml.document" },
+    { ext: /\.odt$/i, sourceType: "odt", fileType: "application/vnd.oasis.opendocument.text" },
+    { ext: /\.x?html?$/i, sourceType: "html", fileType: "text/html" },
+    { ext: /\.rtf$/i, sourceType: "rtf", fileType: "application/rtf" }
+  ];
+  const HTML_BOILERPLATE_SELECTOR = [
+    "script", "style", "noscript", "template", "iframe", "svg", "canvas", "form", "button", "select",
+    "nav", "aside", "menu", "dialog",
+    "[role=navigation]", "[role=banner]", "[role=contentinfo]", "[role=complementary]", "[role=search]",
+    "[aria-hidden=true]", "[hidden]"
+  ].join(",");
+  const HTML_BLOCK_TAGS = new Set([
+    "p", "div", "section", "article", "main", "li", "ul", "ol", "dl", "dt", "dd", "blockquote", "pre",
+    "figure", "figcaption", "table", "tr", "td", "th", "caption", "address", "hr", "center"
+  ]);
+  // Lines that are mostly link text (menus, "related posts", tag clouds) are dropped.
+  const HTML_MAX_LINK_DENSITY = 0.6;
+  // Formatted view: tags kept as-is; others are unwrapped to their text, images and media dropped.
+  const VIEW_HTML_TAGS = new Set([
+    "p", "br", "h1", "h2", "h3", "h4", "h5", "h6", "ul", "ol", "li", "blockquote", "pre", "code", "em", "strong",
+    "b", "i", "u", "s", "sub", "sup", "small", "mark", "abbr", "cite", "q", "a", "hr", "dl", "dt", "dd",
+    "table", "thead", "tbody", "tfoot", "tr", "td", "th", "caption", "figure", "figcaption"
+  ]);
+  const VIEW_HTML_DROP_SELECTOR = "img, picture, video, audio, source, object, embed, link, meta, base, style, script";
+
+  // Password-protected Office files are OLE containers rather than ZIP archives.
+  function isOleContainer(buffer) {
+    const bytes = new Uint8Array(buffer, 0, Math.min(4, buffer.byteLength));
+    return bytes.length === 4 && bytes[0] === 0xd0 && bytes[1] === 0xcf && bytes[2] === 0x11 && bytes[3] === 0xe0;
+  }
+
+  function parseXml(source, label) {
+    const doc = new DOMParser().parseFromString(source, "application/xml");
+    if (doc.getElementsByTagName("parsererror").length) throw new Error(`${label} is not valid XML.`);
+    return doc;
+  }
+
+  function readXmlTitle(doc) {
+    const node = doc?.getElementsByTagNameNS("http://purl.org/dc/elements/1.1/", "title")[0];
+    return (node?.textContent || "").trim();
+  }
+
+  // Word style id -> heading level, from built-in names ("heading 1", "Title") or the outline level.
+  function readDocxHeadingStyles(stylesDoc) {
+    const levels = new Map();
+    if (!stylesDoc) return levels;
+    Array.from(stylesDoc.getElementsByTagNameNS(DOCX_NS, "style")).forEach(style => {
+      const id = style.getAttributeNS(DOCX_NS, "styleId") || style.getAttribute("w:styleId");
+      const name = (style.getElementsByTagNameNS(DOCX_NS, "name")[0]?.getAttributeNS(DOCX_NS, "val") || "").toLowerCase();
+      const outline = style.getElementsByTagNameNS(DOCX_NS, "outlineLvl")[0]?.getAttributeNS(DOCX_NS, "val");
+      const heading = name.match(/^heading\s*(\d)$/);
+      if (!id) return;
+      if (name === "title") levels.set(id, 1);
+      else if (heading) levels.set(id, Number(heading[1]));
+      else if (outline !== undefined && outline !== null && outline !== "") levels.set(id, Number(outline) + 1);
+    });
+    return levels;
+  }
+
+  function readDocxParagraph(paragraph, headingStyles) {
+    let text = "";
+    const walk = node => {
+      Array.from(node.childNodes).forEach(child => {
+        if (child.nodeType !== 1 || child.namespaceURI !== DOCX_NS) return;
+        const name = child.localName;
+        if (name === "t") text += child.textContent || "";
+        else if (name === "tab" || name === "br" || name === "cr") text += " ";
+        else if (name === "noBreakHyphen") text += "-";
+        else if (name === "pPr" || name === "rPr" || name === "del" || name === "instrText" || name === "txbxContent") return;
+        else walk(child);
+      });
+    };
+    walk(paragraph);
+    const props = Array.from(paragraph.childNodes).find(node => node.localName === "pPr");
+    const styleId = props?.getElementsByTagNameNS(DOCX_NS, "pStyle")[0]?.getAttributeNS(DOCX_NS, "val");
+    const outline = props?.getElementsByTagNameNS(DOCX_NS, "outlineLvl")[0]?.getAttributeNS(DOCX_NS, "val");
+    let level = styleId && headingStyles.has(styleId) ? headingStyles.get(styleId) : null;
+    if (outline !== undefined && outline !== null && outline !== "" && Number(outline) < 9) level = Number(outline) + 1;
+    return { text, level };
+  }
+
+  async function readDocxBlocks(buffer) {
+    const zip = await window.JSZip.loadAsync(buffer);
+    const documentFile = zip.file("word/document.xml");
+    if (!documentFile) throw new Error("word/document.xml is missing.");
+    const doc = parseXml(await documentFile.async("string"), "word/document.xml");
+    const stylesFile = zip.file("word/styles.xml");
+    const headingStyles = readDocxHeadingStyles(stylesFile ? parseXml(await stylesFile.async("string"), "word/styles.xml") : null);
+    const coreFile = zip.file("docProps/core.xml");
+    const title = coreFile ? readXmlTitle(parseXml(await coreFile.async("string"), "docProps/core.xml")) : "";
+    const body = doc.getElementsByTagNameNS(DOCX_NS, "body")[0];
+    // Table cells and text boxes hold their own paragraphs, so every w:p in document order is one
+    // block; text boxes repeated in a legacy fallback are skipped.
+    const inFallback = node => {
+      for (let parent = node.parentNode; parent; parent = parent.parentNode) {
+        if (parent.localName === "Fallback") return true;
+      }
+      return false;
     };
-    setImportStatus(total > 1 ? `Reading ${index + 1} / ${total}…` : "Reading file…");
+    const blocks = Array.from(body ? body.getElementsByTagNameNS(DOCX_NS, "p") : [])
+      .filter(paragraph => !inFallback(paragraph))
+      .map(paragraph => readDocxParagraph(paragraph, headingStyles));
+    return { title, blocks };
+  }
 
-    if (lower.endsWith(".txt") || lower.endsWith(".md")) {
-      const baseTitle = name.replace(/\.(txt|md)$/i, "");
-      const text = await fileToTextAsync(file);
-      return {
-        file,
-        text: normalizeText(text),
-        sourceType: lower.endsWith(".md") ? "md" : "txt",
-        suggestedTitle: baseTitle,
-        sourceMeta,
-        contentExtras: {
-          fileType: file.type || "text/plain"
+  function readOdtText(node) {
+    let text = "";
+    Array.from(node.childNodes).forEach(child => {
+      if (child.nodeType === 3) {
+        text += child.data;
+        return;
+      }
+      if (child.nodeType !== 1) return;
+      if (child.namespaceURI === ODF_TEXT_NS) {
+        const name = child.localName;
+        if (name === "s") {
+          text += " ".repeat(Math.max(1, Number(child.getAttributeNS(ODF_TEXT_NS, "c")) || 1));
+          return;
         }
-      };
-    }
-
+        if (name === "tab" || name === "line-break") {
+          text += " ";
+          return;
+        }
+        if (name === "note" || name === "tracked-changes" || name === "bookmark-ref") return;
+      }
+      text += readOdtText(child);
+    });
+    return text;
+  }
+
+  async function readOdtBlocks(buffer) {
+    const zip = await window.JSZip.loadAsync(buffer);
+    const manifest = zip.file("META-INF/manifest.xml");
+    if (manifest && /encryption-data/.test(await manifest.async("string"))) {
+      const err = new Error("This document is password-protected.");
+      err.importType = "drm";
+      throw err;
+    }
+    const contentFile = zip.file("content.xml");
+    if (!contentFile) throw new Error("content.xml is missing.");
+    const doc = parseXml(await contentFile.async("string"), "content.xml");
+    const metaFile = zip.file("meta.xml");
+    const title = metaFile ? readXmlTitle(parseXml(await metaFile.async("string"), "meta.xml")) : "";
+    const insideNote = node => {
+      for (let parent = node.parentNode; parent; parent = parent.parentNode) {
+        if (parent.namespaceURI === ODF_TEXT_NS && (parent.localName === "note" || parent.localName === "tracked-changes")) return true;
+      }
+      return false;
+    };
+    const blocks = Array.from(doc.getElementsByTagNameNS(ODF_TEXT_NS, "*"))
+      .filter(node => (node.localName === "h" || node.localName === "p") && !insideNote(node))
+      .map(node => ({
+        text: readOdtText(node),
+        level: node.localName === "h" ? Math.max(1, Number(node.getAttributeNS(ODF_TEXT_NS, "outline-level")) || 1) : null
+      }));
+    return { title, blocks };
+  }
+
+  // Main content root: the <article>/<main> with the most text, else <body>.
+  function findHtmlContentRoot(doc) {
+    const candidates = Array.from(doc.querySelectorAll("article, main, [role=main]"));
+    const scored = candidates
+      .map(node => ({ node, length: (node.textContent || "").trim().length }))
+      .sort((a, b) => b.length - a.length);
+    return scored[0]?.length > 200 ? scored[0].node : doc.body;
+  }
+
+  // Title and author from document metadata (Open Graph, article/author meta tags, JSON-LD, bylines).
+  function readHtmlMetadata(doc) {
+    const meta = selector => (doc.querySelector(selector)?.getAttribute("content") || "").trim();
+    let jsonLdAuthor = "";
+    doc.querySelectorAll("script[type='application/ld+json']").forEach(script => {
+      if (jsonLdAuthor) return;
+      try {
+        const data = JSON.parse(script.textContent || "");
+        const items = Array.isArray(data) ? data : [data, ...(Array.isArray(data?.["@graph"]) ? data["@graph"] : [])];
+        const author = items.map(item => item?.author).find(Boolean);
+        const first = Array.isArray(author) ? author[0] : author;
+        jsonLdAuthor = String(typeof first === "string" ? first : first?.name || "").trim();
+      } catch (err) {
+        // Malformed JSON-LD is common; fall back to the other sources.
+      }
+    });
+    const byline = doc.querySelector("[rel=author], [itemprop=author], .byline, .author")?.textContent || "";
+    return {
+      title: meta("meta[property='og:title']") || meta("meta[name='twitter:title']")
+        || (doc.querySelector("title")?.textContent || doc.querySelector("h1")?.textContent || "").trim(),
+      author: meta("meta[name='author']") || meta("meta[property='article:author']") || jsonLdAuthor
+        || byline.replace(/\s+/g, " ").replace(/^by\s+/i, "").trim().slice(0, 120)
+    };
+  }
+
+  function sanitizeHtmlElement(root) {
+    const container = root.cloneNode(true);
+    container.querySelectorAll(`${HTML_BOILERPLATE_SELECTOR}, ${VIEW_HTML_DROP_SELECTOR}`).forEach(node => node.remove());
+    // Deepest first, so unwrapping a parent never skips its children.
+    Array.from(container.querySelectorAll("*")).reverse().forEach(el => {
+      const tag = el.tagName.toLowerCase();
+      if (!VIEW_HTML_TAGS.has(tag)) {
+        el.replaceWith(...el.childNodes);
+        return;
+      }
+      const href = tag === "a" ? el.getAttribute("href") || "" : "";
+      const span = ["td", "th"].includes(tag) ? [el.getAttribute("colspan"), el.getAttribute("rowspan")] : [];
+      Array.from(el.attributes).forEach(attr => el.removeAttribute(attr.name));
+      if (/^(https?:|mailto:)/i.test(href)) {
+        el.setAttribute("href", href);
+        el.setAttribute("target", "_blank");
+        el.setAttribute("rel", "noopener noreferrer");
+      }
+      if (span[0]) el.setAttribute("colspan", String(parseInt(span[0], 10) || 1));
+      if (span[1]) el.setAttribute("rowspan", String(parseInt(span[1], 10) || 1));
+    });
+    return container.innerHTML.trim();
+  }
+
+  // Stored HTML is sanitized again before display, since it can also arrive through a JSON import.
+  function sanitizeHtmlForView(html) {
+    const doc = new DOMParser().parseFromString(String(html || ""), "text/html");
+    return doc.body ? sanitizeHtmlElement(doc.body) : "";
+  }
+
+  // { title, author, blocks, html }: html is the sanitized main content for the formatted view.
+  function readHtmlBlocks(source) {
+    const doc = new DOMParser().parseFromString(source, "text/html");
+    const { title, author } = readHtmlMetadata(doc);
+    doc.querySelectorAll(HTML_BOILERPLATE_SELECTOR).forEach(node => node.remove());
+    // Site headers and footers go; an article's own header (its title) stays.
+    doc.querySelectorAll("header, footer").forEach(node => {
+      if (!node.parentElement?.closest("article, main, [role=main]")) node.remove();
+    });
+    const root = findHtmlContentRoot(doc);
+    const blocks = [];
+    let current = "";
+    let linkChars = 0;
+    const flush = () => {
+      const text = current.replace(/\s+/g, " ").trim();
+      const linkDensity = text ? linkChars / text.length : 0;
+      if (text && linkDensity <= HTML_MAX_LINK_DENSITY) blocks.push({ text, level: null });
+      current = "";
+      linkChars = 0;
+    };
+    const walk = (node, inLink) => {
+      Array.from(node.childNodes).forEach(child => {
+        if (child.nodeType === 3) {
+          current += child.data;
+          if (inLink) linkChars += child.data.trim().length;
+          return;
+        }
+        if (child.nodeType !== 1) return;
+        const tag = child.tagName.toLowerCase();
+        const heading = tag.match(/^h([1-6])$/);
+        if (heading) {
+          flush();
+          blocks.push({ text: child.textContent || "", level: Number(heading[1]) });
+          return;
+        }
+        if (tag === "br") {
+          current += " ";
+          return;
+        }
+        if (tag === "img") {
+          return;
+        }
+        const block = HTML_BLOCK_TAGS.has(tag);
+        if (block) flush();
+        walk(child, inLink || tag === "a");
+        if (block) flush();
+      });
+    };
+    if (root) walk(root, false);
+    flush();
+    return { title, author, blocks, html: root ? sanitizeHtmlElement(root) : "" };
+  }
+
+  /* RTF: control words and groups; destinations such as font/color tables, pictures and
+     headers are skipped. Headings come from \outlinelevelN or a "heading N" style. */
+  const RTF_SKIP_DESTINATIONS = new Set([
+    "fonttbl", "colortbl", "stylesheet", "info", "pict", "object", "header", "headerl", "headerr", "headerf",
+    "footer", "footerl", "footerr", "footerf", "footnote", "field", "fldinst", "themedata", "colorschememapping",
+    "latentstyles", "datastore", "xmlnstbl", "listtable", "listoverridetable", "rsidtbl", "generator", "filetbl",
+    "revtbl", "bkmkstart", "bkmkend", "shp", "shpinst", "nonshppict", "comment", "atnid", "annotation"
+  ]);
+  const RTF_SYMBOLS = {
+    emdash: "—",
+    endash: "–",
+    lquote: "‘",
+    rquote: "’",
+    ldblquote: "“",
+    rdblquote: "”",
+    bullet: "•",
+    tab: " ",
+    line: " "
+  };
+
+  function readRtfBlocks(source) {
+    if (!/^\s*\{\\rtf/.test(source)) throw new Error("Missing RTF header.");
+    const blocks = [];
+    const styleNames = new Map();
+    let title = "";
+    let codepage = 1252;
+    let group = { skip: false, dest: "", uc: 1, style: null, outline: null, styleEntry: null };
+    const stack = [];
+    let text = "";
+    let bytes = [];
+    let pendingSkip = 0;
+    let para = { style: null, outline: null };
+
+    const decodeBytes = () => {
+      if (!bytes.length) return "";
+      let decoded = "";
+      try {
+        decoded = new TextDecoder(`windows-${codepage}`).decode(new Uint8Array(bytes));
+      } catch (err) {
+        decoded = new TextDecoder("windows-1252").decode(new Uint8Array(bytes));
+      }
+      bytes = [];
+      return decoded;
+    };
+    const emit = chars => {
+      const decoded = decodeBytes();
+      if (group.dest === "stylesheet" && group.styleEntry) {
+        group.styleEntry.name += decoded + chars;
+        return;
+      }
+      if (group.dest === "title") {
+        title += decoded + chars;
+        return;
+      }
+      if (group.skip) return;
+      text += decoded + chars;
+    };
+    const endParagraph = () => {
+      emit("");
+      const styleName = para.style !== null ? (styleNames.get(para.style) || "") : "";
+      const heading = styleName.match(/^heading\s*(\d)/i);
+      let level = null;
+      if (para.outline !== null && para.outline < 9) level = para.outline + 1;
+      else if (heading) level = Number(heading[1]);
+      blocks.push({ text, level });
+      text = "";
+    };
+
+    const pattern = /\\([a-z]+)(-?\d+)? ?|\\'([0-9a-f]{2})|\\([^a-z])|([{}])|[\r\n]+|([^\\{}\r\n]+)/gi;
+    let match;
+    while ((match = pattern.exec(source))) {
+      const [, word, param, hex, symbol, brace, plain] = match;
+      if (pendingSkip > 0 && !brace) {
+        // Characters following \uN stand in for readers without Unicode support.
+        if (plain) {
+          const skipped = Math.min(pendingSkip, plain.length);
+          pendingSkip -= skipped;
+          if (plain.length > skipped) emit(plain.slice(skipped));
+          continue;
+        }
+        if (hex || word) {
+          pendingSkip -= 1;
+          continue;
+        }
+      }
+      if (brace === "{") {
+        emit("");
+        stack.push(group);
+        group = { ...group, styleEntry: null };
+        continue;
+      }
+      if (brace === "}") {
+        emit("");
+        const closing = group;
+        if (closing.styleEntry && closing.styleEntry.id !== null) {
+          styleNames.set(closing.styleEntry.id, closing.styleEntry.name.replace(/;\s*$/, "").trim());
+        }
+        group = stack.pop() || group;
+        continue;
+      }
+      if (hex) {
+        bytes.push(parseInt(hex, 16));
+        continue;
+      }
+      if (plain) {
+        emit(plain);
+        continue;
+      }
+      if (symbol) {
+        if (symbol === "*") {
+          group.skip = true;
+        } else if (symbol === "~") {
+          emit(" ");
+        } else if (symbol === "_") {
+          emit("-");
+        } else if (symbol === "\\" || symbol === "{" || symbol === "}") {
+          emit(symbol);
+        } else if (symbol === "\n" || symbol === "\r") {
+          if (!group.skip) endParagraph();
+        }
+        continue;
+      }
+      if (!word) continue;
+      const value = param === undefined ? null : Number(param);
+      if (word === "ansicpg" && value) {
+        codepage = value;
+      } else if (word === "uc") {
+        group.uc = value ?? 1;
+      } else if (word === "u") {
+        emit(String.fromCharCode(value < 0 ? value + 65536 : value));
+        pendingSkip = group.uc;
+      } else if (word === "stylesheet") {
+        group.dest = "stylesheet";
+        group.skip = true;
+      } else if (word === "title" && group.dest === "info") {
+        group.dest = "title";
+      } else if (RTF_SKIP_DESTINATIONS.has(word)) {
+        group.skip = true;
+        if (word === "info") group.dest = "info";
+      } else if (word === "s" && group.dest === "stylesheet") {
+        group.styleEntry = { id: value, name: "" };
+      } else if (word === "s") {
+        para.style = value;
+      } else if (word === "outlinelevel") {
+        para.outline = value;
+      } else if (word === "pard") {
+        para = { style: null, outline: null };
+      } else if (word === "par" || word === "sect" || word === "page") {
+        if (!group.skip) endParagraph();
+      } else if (word === "fldrslt") {
+        group.skip = false;
+      } else if (RTF_SYMBOLS[word]) {
+        emit(RTF_SYMBOLS[word]);
+      }
+    }
+    emit("");
+    if (text.trim()) endParagraph();
+    return { title: title.trim(), blocks };
+  }
+
+  // Blocks -> { text, toc }: paragraphs separated by blank lines; heading levels are shifted so the
+  // shallowest heading in the document is depth 0.
+  async function buildDocumentFromBlocks(blocks, { signal } = {}) {
+    const cleaned = blocks
+      .map(block => ({ text: sanitizeExtractedText(block.text).replace(/\s+/g, " ").trim(), level: block.level }))
+      .filter(block => block.text);
+    const wordCounts = await countWordsPerText(cleaned.map(block => block.text), { signal });
+    const headingLevels = cleaned.filter(block => block.level).map(block => block.level);
+    const topLevel = headingLevels.length ? Math.min(...headingLevels) : 1;
+    const toc = [];
+    let wordCursor = 0;
+    cleaned.forEach((block, i) => {
+      if (block.level) toc.push({ title: block.text, depth: block.level - topLevel, wordIndex: wordCursor });
+      wordCursor += wordCounts[i] || 0;
+    });
+    return {
+      text: cleaned.map(block => block.text).join("\n\n"),
+      toc: normalizeToc(toc, wordCursor)
+    };
+  }
+
+  function getDocumentType(name) {
+    return DOCUMENT_TYPES.find(type => type.ext.test(name)) || null;
+  }
+
+  async function parseDocumentFile(file, docType, { signal, onStatus, onProgress, sourceMeta }) {
+    const name = file.name || "Untitled";
+    const label = docType.sourceType.toUpperCase();
+    const baseTitle = name.replace(docType.ext, "");
+    const zipped = docType.sourceType === "docx" || docType.sourceType === "odt";
+    if (zipped && !window.JSZip) {
+      onStatus(`${label} support missing (JSZip not loaded).`);
+      return importFailure("unavailable", `JSZip is required to import ${label} files.`);
+    }
+    onStatus(`Extracting ${label}…`);
+    let parsed = null;
+    try {
+      if (zipped) {
+        const buffer = await file.arrayBuffer();
+        if (isOleContainer(buffer)) {
+          onStatus(`${label} is password-protected.`);
+          return importFailure("drm", "This document is password-protected or encrypted; it can't be read locally.");
+        }
+        parsed = docType.sourceType === "docx" ? await readDocxBlocks(buffer) : await readOdtBlocks(buffer);
+      } else {
+        const source = await fileToTextAsync(file);
+        parsed = docType.sourceType === "html" ? readHtmlBlocks(source) : readRtfBlocks(source);
+      }
+      throwIfAborted(signal);
+      onProgress?.(0.5);
+      const { text, toc } = await buildDocumentFromBlocks(parsed.blocks, { signal });
+      onProgress?.(1);
+      if (text.length < MIN_DOCUMENT_TEXT_LENGTH) {
+        onStatus(`No text found in ${label}.`);
+        return importFailure("empty", `No readable text found in this ${label} file.`);
+      }
+      return {
+        file,
+        text: normalizeText(text),
+        sourceType: docType.sourceType,
+        suggestedTitle: parsed.title || baseTitle,
+        suggestedAuthor: parsed.author || "",
+        sourceMeta,
+        contentExtras: {
+          fileType: file.type || docType.fileType,
+          toc,
+          ...(parsed.html ? { html: parsed.html } : {})
+        }
+      };
+    } catch (err) {
+      if (isAbortError(err)) throw err;
+      console.error(`${label} import failed`, err);
+      if (err?.importType === "drm") {
+        onStatus(`${label} is password-protected.`);
+        return importFailure("drm", "This document is password-protected or encrypted; it can't be read locally.");
+      }
+      onStatus(`${label} import failed.`);
+      return importFailure("parse", `${label} could not be read${err instanceof Error && err.message ? `: ${err.message}` : "."}`);
+    }
+  }
+
+  async function runPdfOcr(fileData, { signal, onProgress, onStatus = setImportStatus } = {}) {
+    if (!fileData) throw new Error("PDF data unavailable for OCR.");
+    return recognizePdfPages(fileData, {
+      onStatus,
+      onProgress,
+      signal
+    });
+  }
+
+  // parseImportFile resolves to an item or to a failure; failures keep the reason for the import queue.
+  function importFailure(type, message) {
+    return { failed: true, importError: { type, message } };
+  }
+
+  async function parseImportFile(file, index, total, {
+    signal,
+    onProgress,
+    onStatus = setImportStatus,
+    cleanupOptions: cleanupOverride
+  } = {}) {
+    const name = file.name || "Untitled";
+    const lower = name.toLowerCase();
+    const sourceMeta = {
+      filename: name,
+      fileType: file.type || "",
+      size: typeof file.size === "number" ? file.size : null
+    };
+    onStatus(total > 1 ? `Reading ${index + 1} / ${total}…` : "Reading file…");
+
+    if (lower.endsWith(".md") || lower.endsWith(".markdown")) {
+      const baseTitle = name.replace(/\.(md|markdown)$/i, "");
+      try {
+        const source = await fileToTextAsync(file);
+        const { title, text, tokens, wordCount, toc } = await parseMarkdownOffMainThread(source, { signal });
+        if (!wordCount) {
+          onStatus("No text found in Markdown file.");
+          return importFailure("empty", "No readable text found in this Markdown file.");
+        }
+        return {
+          file,
+          text,
+          tokens,
+          wordCount,
+          sourceType: "md",
+          suggestedTitle: title || baseTitle,
+          sourceMeta,
+          contentExtras: {
+            fileType: file.type || "text/markdown",
+            toc: normalizeToc(toc, wordCount)
+          }
+        };
+      } catch (err) {
+        if (isAbortError(err)) throw err;
+        console.error("Markdown import failed", err);
+        onStatus("Markdown import failed.");
+        return importFailure("parse", `Markdown could not be read${err instanceof Error && err.message ? `: ${err.message}` : "."}`);
+      }
+    }
+
+    if (lower.endsWith(".txt")) {
+      const baseTitle = name.replace(/\.txt$/i, "");
+      const text = await fileToTextAsync(file);
+      return {
+        file,
+        text: normalizeText(text),
+        sourceType: "txt",
+        suggestedTitle: baseTitle,
+        sourceMeta,
+        contentExtras: {
+          fileType: file.type || "text/plain"
+        }
+      };
+    }
+
     if (lower.endsWith(".pdf")) {
       const baseTitle = name.replace(/\.pdf$/i, "");
       logPdfDiagnostic("PDF_UPLOAD_START", {
@@ -2769,21 +4515,53 @@ Paragraph two begins here. Commas, periods, and paragraph breaks can pause sligh
         type: file.type || "application/pdf"
       });
       try {
-        const result = await extractTextFromPdf(file, status => setImportStatus(status));
-        const text = result?.text || "";
+        const cleanupOptions = cleanupOverride || getImportPdfCleanupOptions();
+        const result = await extractTextFromPdf(file, {
+          onStatus,
+          onProgress,
+          signal,
+          cleanupOptions
+        });
+        let text = result?.text || "";
+        let content = result?.content || null;
+        let pages = result?.pages || [];
         const totalPages = result?.totalPages || 1;
-        if (totalPages > 1 && text.trim().length < 300) {
-          setImportStatus("Scanned PDF detected.");
-          showToast({ title: "Scanned PDF detected", message: "OCR is not supported yet.", type: "error" });
-          return null;
+        let usedOcr = false;
+        if ((totalPages > 1 && text.trim().length < 300) || text.trim().length < 40) {
+          onStatus("Scanned PDF detected.");
+          const runOcr = await openConfirm({
+            title: "Scanned PDF detected",
+            message: `"${name}" has little or no selectable text. Recognize it on this device with OCR? Long documents can take several minutes.`,
+            confirmText: "Run OCR",
+            cancelText: "Skip file"
+          });
+          if (!runOcr) {
+            onStatus("Scanned PDF skipped.");
+            return importFailure("scanned", "Scanned PDF skipped (OCR not run).");
+          }
+          let ocrPages = null;
+          try {
+            ocrPages = await runPdfOcr(result.fileData, { signal, onProgress, onStatus });
+          } catch (err) {
+            if (isAbortError(err)) throw err;
+            console.error("PDF OCR failed", err);
+            onStatus("OCR failed.");
+            return importFailure("ocr", `OCR failed: ${err instanceof Error ? err.message : "text recognition could not run on this device."}`);
+          }
+          text = ocrPages.map(p => p.text).join("\n\n");
+          content = text.length >= 40 ? buildPdfContentFromPages(ocrPages, cleanupOptions) : null;
+          pages = ocrPages;
+          usedOcr = true;
         }
-        if (!text || text.length < 40) {
-          setImportStatus("No text found in PDF.");
-          showToast({ title: "No text found", message: "This PDF may be scanned or image-based.", type: "error" });
-          return null;
+        if (!text || text.length < 40 || !content) {
+          onStatus("No text found in PDF.");
+          return importFailure(
+            "empty",
+            usedOcr ? "OCR could not recognize readable text in this PDF." : "No text found. This PDF may be scanned or image-based."
+          );
         }
-        const cleanupOptions = getImportPdfCleanupOptions();
-        const { text: strippedText, tokens, wordCount, pageRanges } = buildPdfContentFromPages(result.pages || [], cleanupOptions);
+        const { text: strippedText, tokens, wordCount, pageRanges } = content;
+        const toc = buildTocFromPdfOutline(result?.outline, pageRanges);
         return {
           file,
           text: normalizeText(strippedText || text),
@@ -2796,34 +4574,44 @@ Paragraph two begins here. Commas, periods, and paragraph breaks can pause sligh
             fileData: result?.fileData || null,
             fileType: file.type || "application/pdf",
             pageRanges,
-            pdfTotalPages: totalPages
+            toc,
+            pdfTotalPages: totalPages,
+            ocr: usedOcr
           },
+          // Kept in memory for the strip-rules preview; not persisted.
+          pdfPages: pages,
+          pdfOutline: result?.outline || [],
           readerState: {
             autoRemoveHeadersFooters: cleanupOptions.enabled,
-            customIgnorePhrases: cleanupOptions.customIgnoreRaw
+            customIgnorePhrases: cleanupOptions.customIgnoreRaw,
+            pdfAsides: cleanupOptions.asides,
+            pdfRepairLines: !!cleanupOptions.repairLines,
+            pdfStripRules: cleanupOptions.stripRules || null
           }
         };
       } catch (err) {
+        if (isAbortError(err)) throw err;
         console.error("PDF import failed", err);
-        setImportStatus("PDF import failed.");
-        showToast({ title: "PDF import failed", message: "Please try another PDF.", type: "error" });
-        return null;
+        onStatus("PDF import failed.");
+        return importFailure("parse", `PDF could not be read${err instanceof Error && err.message ? `: ${err.message}` : "."}`);
       }
     }
 
     if (lower.endsWith(".epub")) {
       const baseTitle = name.replace(/\.epub$/i, "");
       if (!window.ePub) {
-        setImportStatus("EPUB viewer unavailable.");
-        showToast({ title: "EPUB unavailable", message: "EPUB support is not loaded yet.", type: "error" });
-        return null;
+        onStatus("EPUB viewer unavailable.");
+        return importFailure("unavailable", "EPUB support is not loaded yet.");
       }
       if (!window.JSZip) {
-        setImportStatus("EPUB support missing (JSZip not loaded).");
-        showToast({ title: "EPUB support missing", message: "JSZip is required to import EPUB files.", type: "error" });
-        return null;
+        onStatus("EPUB support missing (JSZip not loaded).");
+        return importFailure("unavailable", "JSZip is required to import EPUB files.");
       }
-      const { text, title, fileData, isProtected, parseError } = await extractTextFromEpub(file, status => setImportStatus(status));
+      const { text, title, toc, fileData, isProtected, parseError } = await extractTextFromEpub(
+        file,
+        onStatus,
+        { onProgress, signal }
+      );
       const normalizedEpubText = normalizeText(text);
       debugLog("EPUB extraction result", {
         title: title || baseTitle,
@@ -2834,8 +4622,8 @@ Paragraph two begins here. Commas, periods, and paragraph breaks can pause sligh
         const message = isDrm
           ? "This EPUB appears DRM-protected; extraction isn’t possible locally."
           : "We couldn’t extract readable text from this EPUB.";
-        setImportStatus(isDrm ? "EPUB is DRM-protected." : "EPUB parse failed.");
-        showToast({ title: isDrm ? "EPUB protected" : "EPUB parse failed", message, type: "error" });
+        onStatus(isDrm ? "EPUB is DRM-protected." : "EPUB parse failed.");
+        // Still added, with its file: epub.js may be able to show what text extraction couldn't.
         return {
           file,
           text: "",
@@ -2862,65 +4650,991 @@ Paragraph two begins here. Commas, periods, and paragraph breaks can pause sligh
         sourceMeta,
         contentExtras: {
           fileData,
-          fileType: file.type || "application/epub+zip"
+          fileType: file.type || "application/epub+zip",
+          toc: toc || []
         }
       };
     }
 
-    showToast({ title: "Unsupported file", message: "Choose TXT, MD, EPUB, or PDF.", type: "error" });
-    return null;
+    const docType = getDocumentType(lower);
+    if (docType) {
+      return parseDocumentFile(file, docType, { signal, onStatus, onProgress, sourceMeta });
+    }
+
+    return importFailure("unsupported", "Unsupported file type. Choose PDF, EPUB, DOCX, ODT, HTML, RTF, TXT or MD.");
   }
 
-  async function handleFilesSelected(files) {
+  /* ---------------------------
+     Import queue
+     Entry: { id, file, status, title, author, tags, item, importError, progress, controller }
+     status: queued → extracting → ready | failed | cancelled; ready → importing → done
+  --------------------------- */
+  const IMPORT_STATUS_LABELS = {
+    queued: "Queued",
+    extracting: "Extracting",
+    ready: "Ready",
+    importing: "Adding",
+    done: "Added",
+    failed: "Failed",
+    cancelled: "Cancelled"
+  };
+
+  function handleFilesSelected(files) {
     if (!files || files.length === 0) return;
-    const items = [];
-    try {
-      for (let i = 0; i < files.length; i += 1) {
-        const item = await parseImportFile(files[i], i, files.length);
-        if (item) items.push(item);
-      }
+    const defaultAuthor = (importAuthor?.value || "").trim();
+    const defaultTags = (importTags?.value || "").trim();
+    Array.from(files).forEach(file => {
+      importQueue.push({
+        id: uid("import"),
+        file,
+        status: "queued",
+        title: "",
+        author: defaultAuthor,
+        tags: defaultTags,
+        item: null,
+        importError: null,
+        progress: 0,
+        controller: null
+      });
+    });
+    importBuffer = { text: "", sourceType: null, suggestedTitle: "" };
+    renderImportQueue();
+    return processImportQueue();
+  }
 
-      if (!items.length) {
-        setImportStatus("No readable files selected.");
-        return;
+  // Extracts queued entries one at a time; re-entrant calls join the running loop.
+  function processImportQueue() {
+    if (importQueueRunner) return importQueueRunner;
+    importQueueRunner = (async () => {
+      if (importCancelBtn) importCancelBtn.hidden = false;
+      try {
+        let entry = importQueue.find(e => e.status === "queued");
+        while (entry) {
+          await extractImportEntry(entry);
+          entry = importQueue.find(e => e.status === "queued");
+        }
+      } finally {
+        importQueueRunner = null;
+        if (importCancelBtn) importCancelBtn.hidden = true;
+        setImportProgress(null);
+        updateImportQueueSummary();
       }
-
-      const primary = items[0];
-      importBuffer = {
-        files: items.map(item => item.file),
-        items,
-        text: primary.text || "",
-        sourceType: primary.sourceType || null,
-        suggestedTitle: primary.suggestedTitle || ""
+      const count = status => importQueue.filter(e => e.status === status).length;
+      if (!importQueue.length) return;
+      const parts = [`${count("ready")} ready`];
+      if (count("failed")) parts.push(`${count("failed")} failed`);
+      if (count("cancelled")) parts.push(`${count("cancelled")} cancelled`);
+      showToast({
+        title: "Extraction finished",
+        message: parts.join(" • "),
+        type: count("failed") ? "error" : "info",
+        duration: count("failed") ? 6000 : 3200
+      });
+    })();
+    return importQueueRunner;
+  }
+
+  async function extractImportEntry(entry) {
+    const controller = new AbortController();
+    entry.controller = controller;
+    entry.status = "extracting";
+    entry.progress = 0;
+    entry.importError = null;
+    renderImportQueueEntry(entry);
+    const position = importQueue.indexOf(entry);
+    let result = null;
+    let error = null;
+    try {
+      result = await parseImportFile(entry.file, position, importQueue.length, {
+        signal: controller.signal,
+        onProgress: fraction => {
+          entry.progress = clamp(fraction, 0, 1);
+          updateImportEntryProgress(entry);
+        }
+      });
+    } catch (err) {
+      error = err;
+    }
+    entry.controller = null;
+    // Clear aborts the running entry and empties the queue; a removed entry gets no status or row.
+    if (!importQueue.includes(entry)) return;
+    if (error && isAbortError(error)) {
+      entry.status = "cancelled";
+    } else if (error) {
+      console.error("Import failed", error);
+      entry.status = "failed";
+      entry.importError = {
+        type: "parse",
+        message: error instanceof Error ? error.message : "This file could not be read."
       };
+    } else if (result?.failed) {
+      entry.status = "failed";
+      entry.importError = result.importError;
+    } else {
+      entry.item = result;
+      // Ready but with a warning (an EPUB only the viewer can show): the row shows why.
+      entry.importError = result.importError || null;
+      entry.title = entry.title || result.suggestedTitle || "";
+      entry.author = entry.author || result.suggestedAuthor || "";
+      entry.status = "ready";
+    }
+    entry.progress = entry.status === "ready" ? 1 : 0;
+    renderImportQueueEntry(entry, { rebuild: true });
+  }
 
-      if (items.length === 1) {
-        if (!importTitle.value.trim()) importTitle.value = primary.suggestedTitle || "";
-        setImportStatus(`Loaded ${primary.file.name}`);
-      } else {
-        importTitle.value = "";
-        setImportStatus(`Loaded ${items.length} files. Click Add to Library to import all.`);
-      }
-    } catch (err) {
-      console.error(err);
-      setImportStatus("Import failed.");
-      showToast({
-        title: "Import failed",
-        message: err instanceof Error ? err.message : "Please try another file.",
-        type: "error"
+  function cancelImportEntry(entry) {
+    if (entry.status === "extracting") {
+      entry.controller?.abort();
+    } else if (entry.status === "queued") {
+      entry.status = "cancelled";
+      renderImportQueueEntry(entry, { rebuild: true });
+      updateImportQueueSummary();
+    }
+  }
+
+  function cancelAllImports() {
+    importQueue.forEach(entry => {
+      if (entry.status === "queued" || entry.status === "extracting") cancelImportEntry(entry);
+    });
+  }
+
+  function retryImportEntry(entry) {
+    entry.status = "queued";
+    entry.importError = null;
+    entry.item = null;
+    renderImportQueueEntry(entry, { rebuild: true });
+    void processImportQueue();
+  }
+
+  function removeImportEntry(entry) {
+    if (entry.status === "extracting" || entry.status === "importing") return;
+    importQueue = importQueue.filter(e => e !== entry);
+    importQueueElements.get(entry.id)?.remove();
+    importQueueElements.delete(entry.id);
+    renderImportQueue();
+  }
+
+  function renderImportQueue() {
+    if (!importQueueList) return;
+    const hasEntries = importQueue.length > 0;
+    importQueueList.hidden = !hasEntries;
+    if (importMetaFields) importMetaFields.hidden = hasEntries;
+    importQueue.forEach(entry => renderImportQueueEntry(entry));
+    updateImportQueueSummary();
+  }
+
+  // Updates an entry row in place so typing in one row survives status changes in another.
+  function renderImportQueueEntry(entry, { rebuild = false } = {}) {
+    if (!importQueueList) return;
+    let li = importQueueElements.get(entry.id);
+    if (li && !rebuild) {
+      updateImportEntryProgress(entry);
+      return;
+    }
+    const fresh = document.createElement("li");
+    fresh.className = `import-queue-item is-${entry.status}`;
+    fresh.dataset.entryId = entry.id;
+
+    const head = document.createElement("div");
+    head.className = "import-queue-head";
+    const name = document.createElement("div");
+    name.className = "import-queue-name";
+    name.textContent = entry.file.name || "Untitled";
+    name.title = entry.file.name || "";
+    const badge = document.createElement("span");
+    badge.className = "import-queue-badge";
+    badge.textContent = IMPORT_STATUS_LABELS[entry.status] || entry.status;
+    head.appendChild(name);
+    head.appendChild(badge);
+    fresh.appendChild(head);
+
+    if (entry.status === "extracting") {
+      const bar = document.createElement("progress");
+      bar.className = "import-progress";
+      bar.max = 1;
+      bar.value = entry.progress;
+      bar.setAttribute("aria-label", `Extracting ${entry.file.name || "file"}`);
+      fresh.appendChild(bar);
+    }
+
+    if (entry.importError?.message) {
+      const reason = document.createElement("div");
+      reason.className = "import-queue-reason";
+      reason.textContent = entry.importError.message;
+      fresh.appendChild(reason);
+    }
+
+    if (entry.status === "ready") {
+      const fields = document.createElement("div");
+      fields.className = "import-queue-fields";
+      [
+        ["title", "Title"],
+        ["author", "Author"],
+        ["tags", "Tags (comma separated)"]
+      ].forEach(([key, label]) => {
+        const input = document.createElement("input");
+        input.className = "input";
+        input.type = "text";
+        input.autocomplete = "off";
+        input.placeholder = label;
+        input.setAttribute("aria-label", `${label} for ${entry.file.name || "file"}`);
+        input.value = entry[key] || "";
+        input.addEventListener("input", () => {
+          entry[key] = input.value;
+        });
+        fields.appendChild(input);
       });
+      fresh.appendChild(fields);
+    }
+
+    const actions = document.createElement("div");
+    actions.className = "import-queue-actions";
+    const addAction = (label, handler) => {
+      const btn = document.createElement("button");
+      btn.type = "button";
+      btn.className = "btn btn-ghost btn-sm";
+      btn.textContent = label;
+      btn.addEventListener("click", handler);
+      actions.appendChild(btn);
+    };
+    if (entry.status === "queued" || entry.status === "extracting") addAction("Cancel", () => cancelImportEntry(entry));
+    if (entry.status === "ready" && entry.item?.pdfPages?.length) {
+      addAction("Header/footer rules", e => openStripRulesModal(entry, e.currentTarget));
+    }
+    if (entry.status === "failed" || entry.status === "cancelled") addAction("Retry", () => retryImportEntry(entry));
+    if (!["extracting", "importing"].includes(entry.status)) addAction("Remove", () => removeImportEntry(entry));
+    if (actions.childElementCount) fresh.appendChild(actions);
+
+    if (li) {
+      li.replaceWith(fresh);
+    } else {
+      importQueueList.appendChild(fresh);
     }
+    importQueueElements.set(entry.id, fresh);
+  }
+
+  function updateImportEntryProgress(entry) {
+    const li = importQueueElements.get(entry.id);
+    const bar = li?.querySelector("progress");
+    if (bar) bar.value = entry.progress;
+    const active = importQueue.filter(e => e.status !== "done");
+    if (!active.length) return;
+    const finished = active.filter(e => !["queued", "extracting"].includes(e.status)).length;
+    const current = active.find(e => e.status === "extracting");
+    setImportProgress((finished + (current ? current.progress : 0)) / active.length);
+  }
+
+  function updateImportQueueSummary() {
+    if (!importQueue.length) return;
+    const count = status => importQueue.filter(e => e.status === status).length;
+    const pending = count("queued") + count("extracting");
+    const parts = [];
+    if (pending) parts.push(`${pending} extracting`);
+    if (count("ready")) parts.push(`${count("ready")} ready`);
+    if (count("failed")) parts.push(`${count("failed")} failed`);
+    if (count("cancelled")) parts.push(`${count("cancelled")} cancelled`);
+    setImportStatus(parts.length ? `${parts.join(" • ")}${!pending && count("ready") ? ". Click Add to Library to import." : ""}` : "");
   }
 
   function clearFileImportUI() {
+    cancelAllImports();
     importTitle.value = "";
     importAuthor.value = "";
     importTags.value = "";
-    importBuffer = { files: [], items: [], text: "", sourceType: null, suggestedTitle: "" };
+    importBuffer = { text: "", sourceType: null, suggestedTitle: "" };
+    importQueue = [];
+    importQueueElements.clear();
+    if (importQueueList) importQueueList.innerHTML = "";
+    renderImportQueue();
     setImportStatus("");
     syncImportCleanupDefaults();
   }
 
+  // Resolves to true (add as is), false (add without the original files) or null (cancelled).
+  async function confirmImportFitsStorage(items) {
+    const headroom = await getStorageHeadroom();
+    if (!headroom) return true;
+    const needed = items.reduce((sum, item) => sum + estimateImportItemSize(item), 0);
+    if (needed <= headroom.free) return true;
+    const originals = items.reduce((sum, item) => sum + getBinarySize(item?.contentExtras?.fileData), 0);
+    const choices = originals
+      ? [{ label: "Add without original files", value: "text" }, { label: "Add anyway", value: "all" }]
+      : [{ label: "Add anyway", value: "all" }];
+    const choice = await openChoice({
+      title: "Not enough storage",
+      message: `These books need about ${formatBytes(needed)}, but only about ${formatBytes(headroom.free)} is free. `
+        + (originals
+          ? `Leaving out the original PDF/EPUB files saves ${formatBytes(originals)}; the text can be read and the files re-attached later in Manage storage.`
+          : "Free up space in Manage storage, or the browser may refuse to save them."),
+      choices
+    });
+    if (!choice) return null;
+    return choice !== "text";
+  }
+
+  async function addReadyImportsToLibrary() {
+    const ready = importQueue.filter(e => e.status === "ready");
+    if (!ready.length) {
+      const pending = importQueue.some(e => e.status === "queued" || e.status === "extracting");
+      showToast({
+        title: pending ? "Still extracting" : "Nothing to add",
+        message: pending ? "Files will be ready to add once extraction finishes." : "Retry or remove the failed files first.",
+        type: "info"
+      });
+      return;
+    }
+
+    const keepOriginal = await confirmImportFitsStorage(ready.map(e => e.item));
+    if (keepOriginal === null) return;
+
+    const created = [];
+    let failedNow = 0;
+    for (const entry of ready) {
+      const { item } = entry;
+      entry.status = "importing";
+      renderImportQueueEntry(entry, { rebuild: true });
+      try {
+        const book = await createBookFromText({
+          title: (entry.title || item.suggestedTitle || "Untitled").trim() || "Untitled",
+          author: (entry.author || "").trim(),
+          tags: (entry.tags || "").split(",").map(t => t.trim()).filter(Boolean),
+          text: item.text,
+          sourceType: item.sourceType || "paste",
+          contentExtras: item.contentExtras,
+          tokens: item.tokens,
+          wordCount: item.wordCount,
+          sourceMeta: item.sourceMeta,
+          readerState: item.readerState,
+          importError: item.importError,
+          // A book without extracted text is only readable from its original file.
+          keepOriginal: keepOriginal || !!item.importError
+        });
+        if (!book) {
+          entry.status = "cancelled";
+          entry.importError = { type: "duplicate", message: "Already in your library; import skipped." };
+          renderImportQueueEntry(entry, { rebuild: true });
+          continue;
+        }
+        if (book.sourceType === "pdf") {
+          logPdfDiagnostic("PDF_BEFORE_SAVE_BOOK", { keys: Object.keys(book) });
+        }
+        upsertBook(book);
+        if (book.sourceType === "pdf") {
+          logPdfDiagnostic("PDF_AFTER_SAVE_OK", { bookId: book.id });
+        }
+        entry.status = "done";
+        created.push(book);
+      } catch (err) {
+        console.error("Saving imported book failed", err);
+        entry.status = "failed";
+        entry.importError = {
+          type: "storage",
+          message: err instanceof Error ? `Could not save: ${err.message}` : "Could not save this book."
+        };
+        failedNow += 1;
+      }
+      renderImportQueueEntry(entry, { rebuild: true });
+    }
+
+    // Keep failed/cancelled rows around so they can be retried; drop the ones that made it in.
+    importQueue.filter(e => e.status === "done").forEach(e => {
+      importQueueElements.get(e.id)?.remove();
+      importQueueElements.delete(e.id);
+    });
+    importQueue = importQueue.filter(e => e.status !== "done");
+    renderImportQueue();
+    renderLibraryList();
+
+    const failed = importQueue.filter(e => e.status === "failed").length;
+    const cancelled = importQueue.filter(e => e.status === "cancelled").length;
+    const outcomes = created.map(book => book.importOutcome || "added");
+    const parts = [`${outcomes.filter(o => o === "added").length} added`];
+    const replaced = outcomes.filter(o => o === "replaced").length;
+    const opened = outcomes.filter(o => o === "opened").length;
+    if (replaced) parts.push(`${replaced} replaced`);
+    if (opened) parts.push(`${opened} already in library`);
+    if (failed) parts.push(`${failed} failed`);
+    if (cancelled) parts.push(`${cancelled} cancelled`);
+    showToast({
+      title: created.length === 1 ? getImportOutcomeToast(created[0]).title : "Import finished",
+      message: parts.join(" • "),
+      type: failedNow || failed ? "error" : "success",
+      duration: failed ? 6000 : 3200
+    });
+
+    if (!importQueue.length) {
+      clearFileImportUI();
+      const lastBook = created[created.length - 1];
+      if (lastBook) {
+        await openBookInReader(lastBook.id);
+        setView("reader");
+      }
+    }
+  }
+
+  /* ---------------------------
+     Content fingerprints
+     source.contentHash is a SHA-256 of the original file bytes (PDF/EPUB) or of the stored text.
+  --------------------------- */
+  async function computeContentHash(data) {
+    if (!window.crypto?.subtle || data == null) return "";
+    const bytes = (data instanceof ArrayBuffer || ArrayBuffer.isView(data))
+      ? data
+      : new TextEncoder().encode(String(data));
+    if (!bytes.byteLength) return "";
+    try {
+      const digest = await crypto.subtle.digest("SHA-256", bytes);
+      return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, "0")).join("");
+    } catch (err) {
+      console.warn("Content hash failed", err);
+      return "";
+    }
+  }
+
+  function findBookByContentHash(hash, { excludeId } = {}) {
+    if (!hash) return null;
+    return state.library.books.find(b => b.id !== excludeId && b.source?.contentHash === hash) || null;
+  }
+
+  function askDuplicateAction(existing) {
+    return openChoice({
+      title: "Already in your library",
+      message: `This content matches "${existing.title}". Open the existing book, replace its content (keeping progress and notes), or import a separate copy?`,
+      choices: [
+        { value: "open", label: "Open existing" },
+        { value: "replace", label: "Replace content" },
+        { value: "copy", label: "Import as copy" }
+      ]
+    });
+  }
+
+  function getImportOutcomeToast(book) {
+    if (book?.importOutcome === "opened") return { title: "Already in library", message: "Opened the existing book." };
+    if (book?.importOutcome === "replaced") return { title: "Content replaced", message: "Progress and notes were kept." };
+    return { title: "Book added", message: "Ready to read." };
+  }
+
+  // Swaps in freshly imported content under an existing book id, keeping progress, notes and reader settings.
+  async function replaceBookContent(existing, { text, tokens, wordCount, sourceType, source, contentExtras }) {
+    if (pdfState.currentBookId === existing.id) resetPdfViewer();
+    if (epubState.currentBookId === existing.id) resetEpubViewer();
+    await persistBookContentToIdb(existing.id, text, tokens, contentExtras || {});
+    const lastIndex = Math.max(0, tokens.length - 1);
+    upsertBook({
+      ...existing,
+      updatedAt: nowISO(),
+      sourceType,
+      type: sourceType,
+      source,
+      wordCount,
+      tokenCount: tokens.length,
+      importError: null,
+      progress: { ...existing.progress, index: Math.min(existing.progress?.index || 0, lastIndex) },
+      readerState: {
+        ...existing.readerState,
+        currentWordIndex: Math.min(existing.readerState?.currentWordIndex || 0, lastIndex)
+      }
+    });
+    return getBook(existing.id);
+  }
+
+  // Fingerprints books added before content hashes were stored.
+  async function backfillContentHashes() {
+    if (!idbReady) return;
+    try {
+      for (const book of state.library.books.filter(b => !b.source?.contentHash)) {
+        const content = await idbGet(DB_STORES.contents, book.id);
+        if (!content) continue;
+        const fileData = content.fileData ? await coerceToArrayBuffer(content.fileData) : null;
+        const contentHash = await computeContentHash(fileData || content.rawText || "");
+        const current = getBook(book.id);
+        if (!contentHash || !current) continue;
+        upsertBook({ ...current, source: { ...current.source, contentHash } });
+      }
+    } catch (err) {
+      console.warn("Content hash backfill failed", err);
+    }
+  }
+
+  /* ---------------------------
+     PDF strip-rules preview
+     Edits the header/footer rules of a ready PDF in the import queue against its extracted page lines.
+  --------------------------- */
+  function openStripRulesModal(entry, opener) {
+    const pages = entry.item?.pdfPages || [];
+    if (!modalStripRules || !pages.length) return;
+    const rules = normalizePdfStripRules(entry.item.readerState?.pdfStripRules || PDF_STRIP_DEFAULTS);
+    const firstRepeated = detectPdfRepeatedLines(pages, rules).find(line => line.suggested);
+    const samplePage = firstRepeated
+      ? pages.findIndex(page => (page.lines || []).some(line => getPdfLineKey(line.text) === firstRepeated.key)) + 1
+      : 1;
+    stripRulesDraft = { entryId: entry.id, pages, rules, samplePage: Math.max(1, samplePage) };
+    if (stripRulesPageInput) stripRulesPageInput.max = String(pages.length);
+    renderStripRulesPreview();
+    openModal(modalStripRules, opener);
+  }
+
+  function getStripRulesCleanup() {
+    const item = importQueue.find(e => e.id === stripRulesDraft?.entryId)?.item;
+    const rawCustom = item?.readerState?.customIgnorePhrases || "";
+    return withPdfStripRules({
+      enabled: item?.readerState?.autoRemoveHeadersFooters !== false,
+      customPhrases: parseCustomIgnorePhrases(rawCustom),
+      customIgnoreRaw: rawCustom,
+      asides: item?.readerState?.pdfAsides === "skip" ? "skip" : "end",
+      repairLines: !!item?.readerState?.pdfRepairLines
+    }, stripRulesDraft?.rules);
+  }
+
+  function createStripRuleRow({ key, text, meta, checked, stripped, onChange }) {
+    const li = document.createElement("li");
+    if (stripped) li.classList.add("is-stripped");
+    const label = document.createElement("label");
+    label.className = "checkbox";
+    const input = document.createElement("input");
+    input.type = "checkbox";
+    input.checked = checked;
+    input.dataset.stripKey = key;
+    input.addEventListener("change", () => onChange(input.checked));
+    const span = document.createElement("span");
+    span.textContent = text;
+    label.appendChild(input);
+    label.appendChild(span);
+    if (meta) {
+      const small = document.createElement("span");
+      small.className = "strip-rules-meta";
+      small.textContent = meta;
+      label.appendChild(small);
+    }
+    li.appendChild(label);
+    return li;
+  }
+
+  function renderStripRulesPreview() {
+    const draft = stripRulesDraft;
+    if (!draft || !stripRulesLines || !stripRulesPageLines) return;
+    const focusedKey = document.activeElement?.dataset?.stripKey;
+    const focusedList = document.activeElement?.closest?.("ul");
+    const cleanup = getStripRulesCleanup();
+    const rules = buildPdfStripRules(draft.pages, cleanup);
+    const candidates = detectPdfRepeatedLines(draft.pages, cleanup);
+
+    if (stripRulesTopInput) stripRulesTopInput.value = String(Math.round(draft.rules.topBand * 100));
+    if (stripRulesBottomInput) stripRulesBottomInput.value = String(Math.round(draft.rules.bottomBand * 100));
+    if (stripRulesFrequencyInput) stripRulesFrequencyInput.value = String(Math.round(draft.rules.minFrequency * 100));
+    if (stripRulesPageInput) stripRulesPageInput.value = String(draft.samplePage);
+
+    stripRulesLines.innerHTML = "";
+    if (!candidates.length) {
+      const li = document.createElement("li");
+      li.className = "hint";
+      li.textContent = "No repeated lines in the header/footer bands.";
+      stripRulesLines.appendChild(li);
+    }
+    candidates.forEach(line => {
+      const stripped = rules.removeSet.has(line.key);
+      stripRulesLines.appendChild(createStripRuleRow({
+        key: line.key,
+        text: line.text,
+        meta: `${line.band} • ${line.pages} pages`,
+        checked: stripped,
+        stripped,
+        onChange: strip => setStripRuleLine(line.key, strip, rules)
+      }));
+    });
+
+    const page = draft.pages[draft.samplePage - 1] || draft.pages[0];
+    const kept = [];
+    stripRulesPageLines.innerHTML = "";
+    [...(page?.lines || [])].sort(comparePdfLineOrder).forEach(line => {
+      const keep = shouldKeepPdfLine(line, rules, cleanup.enabled)
+        && !(cleanup.asides === "skip" && line.role && line.role !== "body");
+      if (keep) kept.push(line.text);
+      stripRulesPageLines.appendChild(createStripRuleRow({
+        key: `page:${normalizeLineForMatch(line.text)}`,
+        text: line.text,
+        checked: !keep,
+        stripped: !keep,
+        onChange: strip => setStripRulePageOverride(page.pageIndex, line, strip, rules, cleanup.enabled)
+      }));
+    });
+    const after = normalizeText(removeCustomIgnorePhrases(kept.join("\n"), cleanup.customPhrases));
+    if (stripRulesAfter) stripRulesAfter.textContent = after || "(nothing left on this page)";
+
+    const strippedCount = candidates.filter(line => rules.removeSet.has(line.key)).length;
+    const overrideCount = Object.keys(draft.rules.pageOverrides).length;
+    if (stripRulesSummary) {
+      stripRulesSummary.textContent = `${draft.pages.length} pages • ${strippedCount} of ${candidates.length} repeated lines stripped`
+        + `${overrideCount ? ` • overrides on ${overrideCount} page${overrideCount === 1 ? "" : "s"}` : ""}`
+        + `${cleanup.enabled ? "" : " • header/footer removal is off for this import"}`;
+    }
+
+    if (focusedKey) {
+      const lists = focusedList === stripRulesPageLines ? [stripRulesPageLines] : [stripRulesLines];
+      lists[0].querySelector(`input[data-strip-key="${CSS.escape(focusedKey)}"]`)?.focus();
+    }
+  }
+
+  function setStripRuleLine(key, strip, rules) {
+    const draft = stripRulesDraft;
+    const lines = new Set(draft.rules.stripLines ?? rules.removeSet);
+    if (strip) lines.add(key);
+    else lines.delete(key);
+    draft.rules = normalizePdfStripRules({ ...draft.rules, stripLines: [...lines] });
+    renderStripRulesPreview();
+  }
+
+  // Records a page override only where it differs from what the shared rules would do.
+  function setStripRulePageOverride(pageIndex, line, strip, rules, enabled) {
+    const draft = stripRulesDraft;
+    const key = normalizeLineForMatch(line.text);
+    const current = draft.rules.pageOverrides[pageIndex] || { keep: [], strip: [] };
+    const keep = current.keep.filter(k => k !== key);
+    const stripList = current.strip.filter(k => k !== key);
+    const sharedKeep = shouldKeepPdfLine(line, { ...rules, pageOverrides: {} }, enabled);
+    if (strip && sharedKeep) stripList.push(key);
+    if (!strip && !sharedKeep) keep.push(key);
+    draft.rules = normalizePdfStripRules({
+      ...draft.rules,
+      pageOverrides: { ...draft.rules.pageOverrides, [pageIndex]: { keep, strip: stripList } }
+    });
+    renderStripRulesPreview();
+  }
+
+  function applyStripRules() {
+    const draft = stripRulesDraft;
+    const entry = importQueue.find(e => e.id === draft?.entryId);
+    if (!entry?.item || entry.status !== "ready") {
+      closeModal(modalStripRules);
+      return;
+    }
+    const cleanup = getStripRulesCleanup();
+    const content = buildPdfContentFromPages(draft.pages, cleanup);
+    if (!content.tokens.length) {
+      showToast({ title: "Nothing left to read", message: "These rules strip every line. Untick some lines first.", type: "error" });
+      return;
+    }
+    const { item } = entry;
+    entry.item = {
+      ...item,
+      text: normalizeText(content.text),
+      tokens: content.tokens,
+      wordCount: content.wordCount,
+      contentExtras: {
+        ...item.contentExtras,
+        pageRanges: content.pageRanges,
+        toc: buildTocFromPdfOutline(item.pdfOutline, content.pageRanges)
+      },
+      readerState: { ...item.readerState, pdfStripRules: cleanup.stripRules }
+    };
+    stripRulesDraft = null;
+    closeModal(modalStripRules);
+    renderImportQueueEntry(entry, { rebuild: true });
+    showToast({ title: "Rules applied", message: `${entry.file.name}: ${content.wordCount} words after cleanup.`, type: "success" });
+  }
+
+  /* ---------------------------
+     Re-process
+     Re-runs extraction from the stored file with new cleanup options, then moves notes,
+     highlights, bookmarks and the reading position onto the new token stream.
+  --------------------------- */
+  const REANCHOR_WORDS_BEFORE = 4;
+  const REANCHOR_WORDS_AFTER = 8;
+  const REANCHOR_SEED_WORDS = 3;
+  // makeExcerpt() keeps up to 12 words before the anchored word.
+  const NOTE_EXCERPT_WORDS_BEFORE = 12;
+
+  // Folded words of a token stream, their token indexes, and where each word occurs.
+  function buildAnchorWordList(tokens) {
+    const words = [];
+    const tokenIndexes = [];
+    const positions = new Map();
+    tokens.forEach((tok, i) => {
+      if (tok.kind !== "word") return;
+      const word = toSearchTerm(tok.t);
+      if (word) {
+        const list = positions.get(word);
+        if (list) list.push(words.length);
+        else positions.set(word, [words.length]);
+      }
+      words.push(word);
+      tokenIndexes.push(i);
+    });
+    return { words, tokenIndexes, positions };
+  }
+
+  function getWordOrdinalForTokenIndex(list, tokenIndex) {
+    let lo = 0;
+    let hi = list.tokenIndexes.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (list.tokenIndexes[mid] < tokenIndex) lo = mid + 1;
+      else hi = mid;
+    }
+    return Math.min(lo, Math.max(0, list.tokenIndexes.length - 1));
+  }
+
+  // Where `phrase` (target word at `offset`) best aligns in `next`, seeded from its rarest words.
+  // Ties go to the hit closest to `expected`; weak matches return null.
+  function matchAnchorPhrase(phrase, offset, next, expected) {
+    const seeds = phrase
+      .map((word, k) => ({ k, hits: word ? next.positions.get(word) : null }))
+      .filter(seed => seed.hits)
+      .sort((a, b) => a.hits.length - b.hits.length)
+      .slice(0, REANCHOR_SEED_WORDS);
+    const tried = new Set();
+    let best = null;
+    for (const { k, hits } of seeds) {
+      for (const hit of hits) {
+        const start = hit - k;
+        if (tried.has(start)) continue;
+        tried.add(start);
+        let score = 0;
+        phrase.forEach((word, j) => {
+          if (word && next.words[start + j] === word) score += 1;
+        });
+        const distance = Math.abs(start + offset - expected);
+        if (!best || score > best.score || (score === best.score && distance < best.distance)) {
+          best = { score, distance, ordinal: start + offset };
+        }
+      }
+    }
+    const needed = Math.min(phrase.filter(Boolean).length, Math.max(2, Math.ceil(phrase.length / 2)));
+    return best && best.score >= needed ? best.ordinal : null;
+  }
+
+  // Returns (tokenIndex, { excerpt, excerptOffset }) => new token index. The old token stream is
+  // the primary anchor; the stored excerpt is tried next, then the proportional position.
+  function createReanchorer(oldTokens, newTokens) {
+    const prev = buildAnchorWordList(oldTokens);
+    const next = buildAnchorWordList(newTokens);
+    const ratio = prev.words.length ? next.words.length / prev.words.length : 1;
+    return (tokenIndex, { excerpt = "", excerptOffset = 0 } = {}) => {
+      if (!next.words.length) return 0;
+      const ordinal = prev.words.length ? getWordOrdinalForTokenIndex(prev, tokenIndex) : 0;
+      const expected = Math.round((prev.words.length ? ordinal : tokenIndex) * ratio);
+      let matched = null;
+      if (prev.words.length) {
+        const from = Math.max(0, ordinal - REANCHOR_WORDS_BEFORE);
+        matched = matchAnchorPhrase(prev.words.slice(from, ordinal + REANCHOR_WORDS_AFTER), ordinal - from, next, expected);
+      }
+      if (matched === null && excerpt) {
+        const phrase = excerpt.split(/\s+/).map(toSearchTerm);
+        matched = matchAnchorPhrase(phrase, clamp(excerptOffset, 0, phrase.length - 1), next, expected);
+      }
+      return next.tokenIndexes[clamp(matched ?? expected, 0, next.words.length - 1)];
+    };
+  }
+
+  // Token indexes (note.index, progress.index, bookmark index) go through the reanchorer as they
+  // are; word indexes (wordIndex, startWordIndex, endWordIndex, currentWordIndex) are turned into
+  // tokens with the old stream and back into words with the new one.
+  function createPositionMover(oldTokens, newTokens) {
+    const reanchor = createReanchorer(oldTokens, newTokens);
+    const prev = buildWordIndexMap(oldTokens);
+    const next = buildWordIndexMap(newTokens);
+    return {
+      token: (tokenIndex, options) => reanchor(tokenIndex, options),
+      // Without old tokens the reanchorer reads its argument as a word position anyway.
+      word: (wordIndex, options) => mapTokenToWordIndex(next, reanchor(
+        prev.wordIndexToToken.length ? mapWordToTokenIndex(prev, wordIndex) : wordIndex,
+        options
+      )),
+      wordOf: tokenIndex => mapTokenToWordIndex(next, tokenIndex),
+      tokenOf: wordIndex => mapWordToTokenIndex(next, wordIndex)
+    };
+  }
+
+  function reanchorNote(note, move) {
+    if (note.type !== "highlight") {
+      const wordIndex = typeof note.wordIndex === "number" ? note.wordIndex : 0;
+      const options = { excerpt: note.excerpt, excerptOffset: Math.min(NOTE_EXCERPT_WORDS_BEFORE, wordIndex) };
+      if (typeof note.index === "number") {
+        const index = move.token(note.index, options);
+        return { ...note, index, wordIndex: move.wordOf(index) };
+      }
+      const moved = move.word(wordIndex, options);
+      return { ...note, index: move.tokenOf(moved), wordIndex: moved };
+    }
+    const span = Math.max(0, note.endWordIndex - note.startWordIndex);
+    const start = move.word(note.startWordIndex, { excerpt: note.excerpt });
+    let end = move.word(note.endWordIndex);
+    if (end < start || end - start > span * 2 + 8) end = start + span;
+    return { ...note, index: move.tokenOf(start), wordIndex: start, startWordIndex: start, endWordIndex: end };
+  }
+
+  // The book's progress, bookmarks, reader position and notes moved from oldTokens to newTokens.
+  function movePositionsToTokens(book, notes, oldTokens, newTokens) {
+    const move = createPositionMover(Array.isArray(oldTokens) ? oldTokens : [], newTokens);
+    const index = move.token(book.progress?.index || 0);
+    const bookmarks = (book.progress?.bookmarks || []).map(bm => {
+      const bookmarkIndex = move.token(bm.index || 0);
+      return { ...bm, index: bookmarkIndex, wordIndex: move.wordOf(bookmarkIndex) };
+    });
+    return {
+      progress: { ...book.progress, index, wordIndex: move.wordOf(index), bookmarks },
+      bookmarks,
+      currentWordIndex: move.word(book.readerState?.currentWordIndex || 0),
+      notes: notes.map(note => normalizeNote(reanchorNote(note, move)))
+    };
+  }
+
+  async function reprocessBook(bookId, cleanupOptions, { signal, onStatus, onProgress } = {}) {
+    const book = getBook(bookId);
+    const content = book && idbReady ? await idbGet(DB_STORES.contents, bookId) : null;
+    const fileData = content?.fileData ? await coerceToArrayBuffer(content.fileData) : null;
+    if (!book || !fileData || !["pdf", "epub"].includes(book.sourceType)) {
+      throw new Error("The original file isn't stored for this book. Re-attach it in Manage storage.");
+    }
+    const ext = `.${book.sourceType}`;
+    const filename = (book.source?.filename || "").toLowerCase().endsWith(ext) ? book.source.filename : `${book.title}${ext}`;
+    const file = new File([fileData], filename, { type: content.fileType || book.source?.fileType || "" });
+    const item = await parseImportFile(file, 0, 1, { signal, onProgress, onStatus, cleanupOptions });
+    if (item?.failed || item?.importError) throw new Error(item.importError.message);
+    const prepared = await prepareBookContent({
+      text: item.text,
+      tokens: item.tokens,
+      wordCount: item.wordCount,
+      customIgnorePhrases: cleanupOptions.customIgnoreRaw,
+      signal
+    });
+    throwIfAborted(signal);
+    if (!prepared.tokens.length) throw new Error("No readable text was left after cleanup.");
+
+    onStatus?.("Moving notes and bookmarks…");
+    const current = getBook(bookId) || book;
+    const moved = movePositionsToTokens(current, state.notes.filter(note => note.bookId === bookId), content.tokens, prepared.tokens);
+    const { progress, bookmarks, notes: movedNotes } = moved;
+
+    if (state.reader.currentBookId === bookId) stopReader(true);
+    if (pdfState.currentBookId === bookId) resetPdfViewer();
+    if (epubState.currentBookId === bookId) resetEpubViewer();
+    await persistBookContentToIdb(bookId, prepared.text, prepared.tokens, item.contentExtras || {});
+    const movedById = new Map(movedNotes.map(note => [note.id, note]));
+    state.notes = state.notes.map(note => movedById.get(note.id) || note);
+    upsertBook({
+      ...current,
+      updatedAt: nowISO(),
+      wordCount: prepared.wordCount,
+      tokenCount: prepared.tokens.length,
+      importError: null,
+      progress,
+      readerState: {
+        ...current.readerState,
+        currentWordIndex: moved.currentWordIndex,
+        autoRemoveHeadersFooters: cleanupOptions.enabled,
+        customIgnorePhrases: cleanupOptions.customIgnoreRaw,
+        pdfAsides: cleanupOptions.asides,
+        pdfRepairLines: !!cleanupOptions.repairLines
+      }
+    });
+    await Promise.all(movedNotes.map(note => idbPut(DB_STORES.notes, note)));
+    return { notes: movedNotes.length, bookmarks: bookmarks.length };
+  }
+
+  function setReprocessStatus(message) {
+    if (reprocessStatus) reprocessStatus.textContent = message || "";
+  }
+
+  function openReprocessModal(bookId, opener) {
+    const book = getBook(bookId);
+    if (!book || !modalReprocess) return;
+    if (!["pdf", "epub"].includes(book.sourceType)) {
+      showToast({ title: "Can't re-process", message: "Only PDF and EPUB books keep their original file.", type: "error" });
+      return;
+    }
+    reprocessBookId = bookId;
+    if (reprocessMessage) reprocessMessage.textContent = `Re-extract "${book.title}" from its stored file with new cleanup options.`;
+    if (reprocessAutoRemoveHeaders) {
+      reprocessAutoRemoveHeaders.checked = !!book.readerState?.autoRemoveHeadersFooters;
+      reprocessAutoRemoveHeaders.disabled = book.sourceType !== "pdf";
+    }
+    if (reprocessCustomIgnorePhrases) reprocessCustomIgnorePhrases.value = book.readerState?.customIgnorePhrases || "";
+    if (reprocessPdfAsides) {
+      reprocessPdfAsides.value = book.readerState?.pdfAsides === "skip" ? "skip" : "end";
+      reprocessPdfAsides.disabled = book.sourceType !== "pdf";
+    }
+    if (reprocessPdfRepairLines) {
+      reprocessPdfRepairLines.checked = !!book.readerState?.pdfRepairLines;
+      reprocessPdfRepairLines.disabled = book.sourceType !== "pdf";
+    }
+    if (reprocessProgress) reprocessProgress.hidden = true;
+    if (reprocessConfirmBtn) reprocessConfirmBtn.disabled = false;
+    setReprocessStatus("");
+    openModal(modalReprocess, opener);
+  }
+
+  function closeReprocessModal() {
+    reprocessAbortController?.abort();
+    closeModal(modalReprocess);
+  }
+
+  async function runReprocessFromModal() {
+    const bookId = reprocessBookId;
+    if (!bookId || reprocessAbortController) return;
+    const rawCustom = reprocessCustomIgnorePhrases?.value || "";
+    const cleanupOptions = withPdfStripRules({
+      enabled: !!reprocessAutoRemoveHeaders?.checked,
+      customPhrases: parseCustomIgnorePhrases(rawCustom),
+      customIgnoreRaw: rawCustom,
+      asides: reprocessPdfAsides?.value === "skip" ? "skip" : "end",
+      repairLines: !!reprocessPdfRepairLines?.checked
+    }, getBook(bookId)?.readerState?.pdfStripRules);
+    const controller = new AbortController();
+    reprocessAbortController = controller;
+    setButtonLoading(reprocessConfirmBtn, true, "Re-processing…");
+    if (reprocessProgress) {
+      reprocessProgress.value = 0;
+      reprocessProgress.hidden = false;
+    }
+    try {
+      const moved = await reprocessBook(bookId, cleanupOptions, {
+        signal: controller.signal,
+        onStatus: setReprocessStatus,
+        onProgress: fraction => {
+          if (reprocessProgress) reprocessProgress.value = clamp(fraction, 0, 1);
+        }
+      });
+      if (activeModal === modalReprocess) closeModal(modalReprocess);
+      if (selectedBookId === bookId) await openBookInReader(bookId);
+      renderAll();
+      showToast({
+        title: "Book re-processed",
+        message: `Moved ${moved.notes} note${moved.notes === 1 ? "" : "s"} and ${moved.bookmarks} bookmark${moved.bookmarks === 1 ? "" : "s"} to the new text.`,
+        type: "success"
+      });
+    } catch (err) {
+      if (isAbortError(err)) {
+        setReprocessStatus("Re-process cancelled.");
+        return;
+      }
+      console.error("Re-process failed", err);
+      setReprocessStatus("Re-process failed.");
+      showToast({
+        title: "Re-process failed",
+        message: err instanceof Error ? err.message : "The book could not be re-processed.",
+        type: "error"
+      });
+    } finally {
+      reprocessAbortController = null;
+      setButtonLoading(reprocessConfirmBtn, false);
+      if (reprocessProgress) reprocessProgress.hidden = true;
+    }
+  }
+
+  // Applies custom ignore phrases and tokenizes, unless the importer already produced tokens.
+  async function prepareBookContent({ text, tokens, wordCount, customIgnorePhrases, signal }) {
+    const ignorePhrases = parseCustomIgnorePhrases(customIgnorePhrases ?? state.settings.customIgnorePhrases);
+    const sanitizedText = normalizeText(removeCustomIgnorePhrases(normalizeText(text), ignorePhrases));
+    const tokenized = Array.isArray(tokens) ? null : await tokenizeOffMainThread(sanitizedText, { signal });
+    const finalTokens = tokenized ? tokenized.tokens : tokens;
+    return {
+      text: sanitizedText,
+      tokens: finalTokens,
+      wordCount: typeof wordCount === "number" ? wordCount : (tokenized ? tokenized.wordCount : countWords(finalTokens))
+    };
+  }
+
   async function createBookFromText({
     title,
     author,
@@ -2932,15 +5646,44 @@ Paragraph two begins here. Commas, periods, and paragraph breaks can pause sligh
     wordCount: wordCountOverride,
     sourceMeta,
     readerState,
-    importError
+    importError,
+    keepOriginal = true
   }) {
-    const normalizedText = normalizeText(text);
-    const ignorePhrases = parseCustomIgnorePhrases(
-      readerState?.customIgnorePhrases ?? state.settings.customIgnorePhrases
-    );
-    const sanitizedText = normalizeText(removeCustomIgnorePhrases(normalizedText, ignorePhrases));
-    const tokens = Array.isArray(tokenOverride) ? tokenOverride : tokenize(sanitizedText);
-    const wc = typeof wordCountOverride === "number" ? wordCountOverride : countWords(tokens);
+    const { text: sanitizedText, tokens, wordCount: wc } = await prepareBookContent({
+      text,
+      tokens: tokenOverride,
+      wordCount: wordCountOverride,
+      customIgnorePhrases: readerState?.customIgnorePhrases
+    });
+    const source = {
+      filename: sourceMeta?.filename || "",
+      fileType: sourceMeta?.fileType || "",
+      size: typeof sourceMeta?.size === "number" ? sourceMeta.size : null,
+      contentHash: await computeContentHash(contentExtras?.fileData instanceof ArrayBuffer ? contentExtras.fileData : sanitizedText)
+    };
+    // The hash above still comes from the original, so the file can be re-attached later.
+    if (!keepOriginal && contentExtras?.fileData) {
+      contentExtras = { ...contentExtras, fileData: null };
+    }
+
+    const duplicate = findBookByContentHash(source.contentHash);
+    if (duplicate) {
+      const action = await askDuplicateAction(duplicate);
+      if (!action) return null;
+      if (action === "open") return { ...duplicate, importOutcome: "opened" };
+      if (action === "replace") {
+        const replaced = await replaceBookContent(duplicate, {
+          text: sanitizedText,
+          tokens,
+          wordCount: wc,
+          sourceType: sourceType || "paste",
+          source,
+          contentExtras
+        });
+        return { ...replaced, importOutcome: "replaced" };
+      }
+    }
+
     const baseReaderState = {
       currentWordIndex: 0,
       currentPdfPage: 1,
@@ -2956,11 +5699,7 @@ Paragraph two begins here. Commas, periods, and paragraph breaks can pause sligh
       addedAt: nowISO(),
       updatedAt: nowISO(),
       sourceType: sourceType || "paste",
-      source: {
-        filename: sourceMeta?.filename || "",
-        fileType: sourceMeta?.fileType || "",
-        size: typeof sourceMeta?.size === "number" ? sourceMeta.size : null
-      },
+      source,
       text: "",
       tokens: [],
       wordCount: wc,
@@ -2972,6 +5711,7 @@ Paragraph two begins here. Commas, periods, and paragraph breaks can pause sligh
       stats: { openedAt: null, lastSessionAt: null, totalReadWords: 0 }
     };
     await persistBookContentToIdb(book.id, sanitizedText, tokens, contentExtras || {});
+    void requestPersistentStorage();
     if (sourceType === "epub") {
       debugLog("EPUB saved", {
         bookId: book.id,
@@ -3006,7 +5746,7 @@ Paragraph two begins here. Commas, periods, and paragraph breaks can pause sligh
               if (epubBuffer) {
                 debugLog("EPUB rehydrate attempt", { bookId });
                 const isProtected = await detectEpubProtection(epubBuffer);
-                const { text, parseError } = await extractTextFromEpubBuffer(epubBuffer, undefined, { isProtected });
+                const { text, toc, parseError } = await extractTextFromEpubBuffer(epubBuffer, undefined, { isProtected });
                 const normalized = normalizeText(text);
                 if (normalized && normalized.length > MIN_EPUB_TEXT_LENGTH) {
                   const recoveredTokens = tokenize(normalized);
@@ -3016,6 +5756,7 @@ Paragraph two begins here. Commas, periods, and paragraph breaks can pause sligh
                   delete extras.tokens;
                   delete extras.tokenCount;
                   delete extras.updatedAt;
+                  extras.toc = toc || [];
                   await persistBookContentToIdb(bookId, normalized, recoveredTokens, extras);
                   upsertBook({
                     ...book,
@@ -3116,6 +5857,7 @@ Paragraph two begins here. Commas, periods, and paragraph breaks can pause sligh
         tokenCount: tokens.length,
         updatedAt: nowISO(),
         pageRanges: [],
+        toc: [],
         fileData: null,
         fileType: null,
         pdfTotalPages: null
@@ -3135,23 +5877,39 @@ Paragraph two begins here. Commas, periods, and paragraph breaks can pause sligh
   /* ---------------------------
      Library rendering
   --------------------------- */
+  // q is already trimmed and lower-cased.
+  function bookMatchesQuery(book, q) {
+    const hay = [
+      book.title || "",
+      book.author || "",
+      ...(book.tags || [])
+    ].join(" ").toLowerCase();
+    return hay.includes(q);
+  }
+
   function renderLibraryList() {
     if (!bookList || !libraryEmpty) return;
     const q = (librarySearch?.value || "").trim().toLowerCase();
     const sort = librarySort?.value || "recent";
 
+    // While a contents search is still running, keep the current list (dimmed) instead of
+    // flashing title-only matches that the results then replace.
+    const contentPending = !!(libraryContentSearchPending && state.settings.librarySearchContents && q && libraryContentSearch.query !== q);
+    bookList.classList.toggle("is-searching", contentPending);
+    bookList.setAttribute("aria-busy", contentPending ? "true" : "false");
+    if (contentPending) return;
+
     let books = [...state.library.books];
+    const contentResults = state.settings.librarySearchContents && q && libraryContentSearch.query === q
+      ? libraryContentSearch.results
+      : null;
+    const contentHits = new Map((contentResults || []).map(r => [r.bookId, r]));
 
     // Filter
-    if (q) {
-      books = books.filter(b => {
-        const hay = [
-          b.title || "",
-          b.author || "",
-          ...(b.tags || [])
-        ].join(" ").toLowerCase();
-        return hay.includes(q);
-      });
+    if (contentResults) {
+      books = books.filter(b => contentHits.has(b.id));
+    } else if (q) {
+      books = books.filter(b => bookMatchesQuery(b, q));
     }
 
     // Sort
@@ -3168,6 +5926,9 @@ Paragraph two begins here. Commas, periods, and paragraph breaks can pause sligh
     } else if (sort === "author") {
       books.sort((a, b) => String(a.author).localeCompare(String(b.author)));
     }
+    if (contentResults) {
+      books.sort((a, b) => contentHits.get(b.id).hits - contentHits.get(a.id).hits);
+    }
 
     // Render
     bookList.innerHTML = "";
@@ -3180,9 +5941,11 @@ Paragraph two begins here. Commas, periods, and paragraph breaks can pause sligh
       const btn = document.createElement("button");
       btn.className = "book-card";
       btn.type = "button";
+      const contentHit = contentHits.get(b.id);
       btn.addEventListener("click", async () => {
         await openBookInReader(b.id);
         setView("reader");
+        if (contentHit) openLibraryContentHit(b.id, contentHit, q);
       });
 
       const meta = document.createElement("div");
@@ -3208,6 +5971,7 @@ Paragraph two begins here. Commas, periods, and paragraph breaks can pause sligh
       const sub = document.createElement("div");
       sub.className = "book-sub";
       sub.textContent = `${b.author ? b.author + " • " : ""}${b.wordCount || 0} words • ~${mins} min @${state.settings.defaultWpm || 300}wpm`;
+      if (contentHit) sub.textContent += ` • ${contentHit.hits} match${contentHit.hits === 1 ? "" : "es"}`;
 
       const tags = document.createElement("div");
       tags.className = "book-tags";
@@ -3246,7 +6010,7 @@ Paragraph two begins here. Commas, periods, and paragraph breaks can pause sligh
       // Context menu (right-click) / long press: simple confirm actions
       btn.addEventListener("contextmenu", async (e) => {
         e.preventDefault();
-        const action = prompt(`Book actions:\n1) Delete\n2) Rename\n\nType 1 or 2`, "");
+        const action = prompt(`Book actions:\n1) Delete\n2) Rename\n3) Re-process from original file\n\nType 1, 2 or 3`, "");
         if (action === "1") {
           const confirmed = await openConfirm({
             title: "Delete book",
@@ -3264,6 +6028,8 @@ Paragraph two begins here. Commas, periods, and paragraph breaks can pause sligh
             renderAll();
             showToast({ title: "Book renamed", message: "Title updated.", type: "success" });
           }
+        } else if (action === "3") {
+          openReprocessModal(b.id, btn);
         }
       });
 
@@ -3272,6 +6038,42 @@ Paragraph two begins here. Commas, periods, and paragraph breaks can pause sligh
     }
   }
 
+  function scheduleLibraryContentSearch() {
+    if (libraryContentSearchTimer) clearTimeout(libraryContentSearchTimer);
+    libraryContentSearchPending = !!state.settings.librarySearchContents;
+    if (!libraryContentSearchPending) return;
+    libraryContentSearchTimer = setTimeout(async () => {
+      libraryContentSearchTimer = null;
+      const q = (librarySearch?.value || "").trim().toLowerCase();
+      if (!q) {
+        libraryContentSearchPending = false;
+        libraryContentSearch = { query: "", results: null };
+        return;
+      }
+      let results = null;
+      try {
+        results = await searchLibraryContents(q);
+      } catch (err) {
+        console.warn("Library content search failed", err);
+        showToast({ title: "Search failed", message: "The contents index could not be read.", type: "error" });
+      }
+      if ((librarySearch?.value || "").trim().toLowerCase() !== q) return;
+      // On failure the list falls back to title, author and tag matches.
+      if (results) libraryContentSearch = { query: q, results };
+      libraryContentSearchPending = false;
+      renderLibraryList();
+    }, 250);
+  }
+
+  function openLibraryContentHit(bookId, hit, query) {
+    const tokenIndex = getTokenIndexForWordIndex(bookId, hit.firstWordIndex);
+    jumpToSearchHit(bookId, { wordIndex: hit.firstWordIndex, tokenIndex });
+    if (bookSearchInput) {
+      bookSearchInput.value = query;
+      runBookSearch();
+    }
+  }
+
   function computeProgressPct(book) {
     const totalWords = Math.max(1, getTotalWordsForBook(book));
     const idx = clamp(book.progress?.index ?? 0, 0, Math.max(0, getTokenCountForBook(book) - 1));
@@ -3284,6 +6086,12 @@ Paragraph two begins here. Commas, periods, and paragraph breaks can pause sligh
     if (wordIndexCache.has(bookId)) return wordIndexCache.get(bookId);
     const tokens = getCachedTokens(bookId);
     if (!tokens.length) return null;
+    const map = buildWordIndexMap(tokens);
+    wordIndexCache.set(bookId, map);
+    return map;
+  }
+
+  function buildWordIndexMap(tokens) {
     const wordIndexToToken = [];
     const tokenIndexToWord = new Array(tokens.length).fill(-1);
     let wordIndex = 0;
@@ -3294,9 +6102,24 @@ Paragraph two begins here. Commas, periods, and paragraph breaks can pause sligh
         wordIndex += 1;
       }
     });
-    const map = { wordIndexToToken, tokenIndexToWord };
-    wordIndexCache.set(bookId, map);
-    return map;
+    return { wordIndexToToken, tokenIndexToWord };
+  }
+
+  // A token that isn't a word maps to the word before it.
+  function mapTokenToWordIndex(map, tokenIndex) {
+    if (!map.tokenIndexToWord.length) return 0;
+    let idx = clamp(tokenIndex, 0, map.tokenIndexToWord.length - 1);
+    let wordIdx = map.tokenIndexToWord[idx];
+    while (idx > 0 && wordIdx < 0) {
+      idx -= 1;
+      wordIdx = map.tokenIndexToWord[idx];
+    }
+    return Math.max(0, wordIdx);
+  }
+
+  function mapWordToTokenIndex(map, wordIndex) {
+    const clamped = clamp(wordIndex, 0, Math.max(0, map.wordIndexToToken.length - 1));
+    return map.wordIndexToToken[clamped] ?? 0;
   }
 
   function getTotalWordsForBook(book) {
@@ -3308,21 +6131,12 @@ Paragraph two begins here. Commas, periods, and paragraph breaks can pause sligh
 
   function getWordIndexForTokenIndex(bookId, tokenIndex) {
     const map = getWordIndexMap(bookId);
-    if (!map) return 0;
-    let idx = clamp(tokenIndex, 0, map.tokenIndexToWord.length - 1);
-    let wordIdx = map.tokenIndexToWord[idx];
-    while (idx > 0 && wordIdx < 0) {
-      idx -= 1;
-      wordIdx = map.tokenIndexToWord[idx];
-    }
-    return Math.max(0, wordIdx);
+    return map ? mapTokenToWordIndex(map, tokenIndex) : 0;
   }
 
   function getTokenIndexForWordIndex(bookId, wordIndex) {
     const map = getWordIndexMap(bookId);
-    if (!map) return 0;
-    const clamped = clamp(wordIndex, 0, Math.max(0, map.wordIndexToToken.length - 1));
-    return map.wordIndexToToken[clamped] ?? 0;
+    return map ? mapWordToTokenIndex(map, wordIndex) : 0;
   }
 
   function getCachedTokens(bookId) {
@@ -3354,7 +6168,8 @@ Paragraph two begins here. Commas, periods, and paragraph breaks can pause sligh
       wordOffsets: [],
       text: "",
       wordStartIndex: null,
-      wordEndIndex: null
+      wordEndIndex: null,
+      block: null
     };
     let cursor = 0;
     let globalWordIndex = 0;
@@ -3373,7 +6188,8 @@ Paragraph two begins here. Commas, periods, and paragraph breaks can pause sligh
         wordOffsets: [],
         text: "",
         wordStartIndex: null,
-        wordEndIndex: null
+        wordEndIndex: null,
+        block: null
       };
       cursor = 0;
     };
@@ -3384,7 +6200,10 @@ Paragraph two begins here. Commas, periods, and paragraph breaks can pause sligh
         return;
       }
 
-      if (current.startTokenIndex === null) current.startTokenIndex = i;
+      if (current.startTokenIndex === null) {
+        current.startTokenIndex = i;
+        if (tok.block) current.block = { type: tok.block, level: tok.level, depth: tok.depth, marker: tok.marker };
+      }
       current.endTokenIndex = i;
 
       if (tok.kind === "word") {
@@ -3399,7 +6218,8 @@ Paragraph two begins here. Commas, periods, and paragraph breaks can pause sligh
           tokenIndex: i,
           wordIndex: globalWordIndex,
           start,
-          end: cursor
+          end: cursor,
+          style: tok.em || tok.strong || tok.code ? { em: !!tok.em, strong: !!tok.strong, code: !!tok.code } : null
         });
         globalWordIndex += 1;
       } else if (tok.kind === "punct") {
@@ -3419,6 +6239,25 @@ Paragraph two begins here. Commas, periods, and paragraph breaks can pause sligh
     return content.pageRanges;
   }
 
+  function getTocForBook(bookId) {
+    const content = contentCache.get(bookId);
+    if (!content || !Array.isArray(content.toc)) return [];
+    return content.toc;
+  }
+
+  function getChapterIndexForWordIndex(bookId, wordIndex) {
+    const toc = getTocForBook(bookId);
+    if (!toc.length || wordIndex < toc[0].wordIndex) return -1;
+    let lo = 0;
+    let hi = toc.length - 1;
+    while (lo < hi) {
+      const mid = Math.ceil((lo + hi) / 2);
+      if (toc[mid].wordIndex <= wordIndex) lo = mid;
+      else hi = mid - 1;
+    }
+    return lo;
+  }
+
   function getPdfPageForWordIndex(bookId, wordIndex) {
     const ranges = getPageRangesForBook(bookId);
     if (!ranges.length) return 1;
@@ -3758,7 +6597,7 @@ Paragraph two begins here. Commas, periods, and paragraph breaks can pause sligh
         setViewerStatus("PDF viewer unavailable.");
         return;
       }
-      pdfjsLib.GlobalWorkerOptions.workerSrc = "https://cdnjs.cloudflare.com/ajax/libs/pdf.js/3.11.174/pdf.worker.min.js";
+      pdfjsLib.GlobalWorkerOptions.workerSrc = PDFJS_WORKER_SRC;
       setViewerStatus("Loading PDF…");
       const loadingTask = pdfjsLib.getDocument({ data: cloneArrayBuffer(content.fileData) });
       pdfState.doc = await loadingTask.promise;
@@ -3866,6 +6705,7 @@ Paragraph two begins here. Commas, periods, and paragraph breaks can pause sligh
 
   async function renderDocumentViewer(book) {
     if (!documentViewer || !pageView) return;
+    updateFormattedView(null);
     if (!book) {
       showViewerType("empty");
       setViewerStatus("Select a book to view pages.");
@@ -3873,7 +6713,11 @@ Paragraph two begins here. Commas, periods, and paragraph breaks can pause sligh
       return;
     }
 
-    if (book.sourceType === "pdf") {
+    // PDF/EPUB books whose original was removed in the storage manager fall back to the text view.
+    const content = contentCache.get(book.id);
+    const originalRemoved = canKeepOriginal(book) && !!content && !content.fileData && !!content.tokens?.length;
+
+    if (book.sourceType === "pdf" && !originalRemoved) {
       resetEpubViewer();
       showViewerType("pdf");
       setViewerStatus("Preparing PDF…");
@@ -3882,7 +6726,7 @@ Paragraph two begins here. Commas, periods, and paragraph breaks can pause sligh
       return;
     }
 
-    if (book.sourceType === "epub") {
+    if (book.sourceType === "epub" && !originalRemoved) {
       resetPdfViewer();
       if (book.importError?.type) {
         showViewerType("empty");
@@ -3902,6 +6746,28 @@ Paragraph two begins here. Commas, periods, and paragraph breaks can pause sligh
       renderPageView(book);
       pageViewBookId = book.id;
     }
+    if (originalRemoved) setViewerStatus("Original file removed. Showing the text; re-attach the file in Manage storage.");
+    updateFormattedView(book);
+  }
+
+  // Books that kept their HTML (rich paste, HTML import) can swap the page text for the formatted original.
+  function updateFormattedView(book) {
+    const html = book ? contentCache.get(book.id)?.html : "";
+    const available = !!html && !["pdf", "epub"].includes(book?.sourceType);
+    const show = available && formattedViewOpen;
+    if (formattedViewBtn) {
+      formattedViewBtn.hidden = !available;
+      formattedViewBtn.setAttribute("aria-pressed", String(show));
+    }
+    if (!formattedView) return;
+    formattedView.hidden = !show;
+    if (!book) delete formattedView.dataset.bookId;
+    if (!available) return;
+    if (pageView) pageView.hidden = show;
+    if (show && formattedView.dataset.bookId !== book.id) {
+      formattedView.innerHTML = sanitizeHtmlForView(html);
+      formattedView.dataset.bookId = book.id;
+    }
   }
 
   function renderPageView(book) {
@@ -3924,18 +6790,251 @@ Paragraph two begins here. Commas, periods, and paragraph breaks can pause sligh
       return;
     }
 
+    hideHighlightToolbar();
     pageView.innerHTML = "";
+    const highlights = getHighlightsForBook(book.id);
     const fragment = document.createDocumentFragment();
     paragraphs.forEach((para, idx) => {
       const p = document.createElement("p");
-      p.textContent = para.text;
       p.dataset.index = String(idx);
+      applyPageBlock(p, para.block);
+      fillPageParagraph(p, para, highlights);
       fragment.appendChild(p);
     });
     pageView.appendChild(fragment);
     updateProgressUI(book);
   }
 
+  // Markdown structure: paragraphs stay <p data-index> (selection and highlights rely on it) and
+  // get a class, heading role and list marker instead.
+  function applyPageBlock(p, block) {
+    if (!block) return;
+    p.classList.add(`page-${block.type}`);
+    if (block.type === "heading") {
+      p.setAttribute("role", "heading");
+      p.setAttribute("aria-level", String(block.level || 1));
+      p.classList.add(`page-heading-${clamp(block.level || 1, 1, 6)}`);
+    }
+    if (block.type === "list") {
+      p.dataset.marker = block.marker || "•";
+      p.style.setProperty("--list-depth", String(block.depth || 0));
+    }
+  }
+
+  function createStyledText(text, style) {
+    let node = document.createTextNode(text);
+    if (!style) return node;
+    [["code", "code"], ["em", "em"], ["strong", "strong"]].forEach(([key, tag]) => {
+      if (!style[key]) return;
+      const el = document.createElement(tag);
+      el.appendChild(node);
+      node = el;
+    });
+    return node;
+  }
+
+  function fillPageParagraph(p, para, highlights) {
+    const ranges = [];
+    for (const h of highlights) {
+      if (h.endWordIndex < para.wordStartIndex || h.startWordIndex > para.wordEndIndex) continue;
+      const first = para.wordOffsets[Math.max(0, h.startWordIndex - para.wordStartIndex)];
+      const last = para.wordOffsets[Math.min(para.wordOffsets.length - 1, h.endWordIndex - para.wordStartIndex)];
+      if (first && last) ranges.push({ start: first.start, end: last.end, note: h });
+    }
+    const styled = para.wordOffsets.filter(w => w.style);
+    if (!ranges.length && !styled.length) {
+      p.textContent = para.text;
+      return;
+    }
+
+    // Split on every range and emphasis boundary; where highlights overlap, the newest one wins.
+    const cuts = new Set([0, para.text.length]);
+    [...ranges, ...styled].forEach(r => {
+      cuts.add(r.start);
+      cuts.add(r.end);
+    });
+    const points = [...cuts].sort((a, b) => a - b);
+    p.textContent = "";
+    for (let i = 0; i < points.length - 1; i += 1) {
+      const from = points[i];
+      const to = points[i + 1];
+      const text = para.text.slice(from, to);
+      let cover = null;
+      for (const r of ranges) {
+        if (r.start <= from && r.end >= to) cover = r;
+      }
+      const style = styled.find(w => w.start <= from && w.end >= to)?.style;
+      if (!cover) {
+        p.appendChild(createStyledText(text, style));
+        continue;
+      }
+      const mark = document.createElement("mark");
+      mark.className = `hl hl-${cover.note.color}`;
+      mark.dataset.noteId = cover.note.id;
+      if (cover.note.text) mark.title = cover.note.text;
+      mark.appendChild(createStyledText(text, style));
+      p.appendChild(mark);
+    }
+  }
+
+  function refreshPageViewHighlights(book) {
+    if (!pageView || !book || pageViewBookId !== book.id) return;
+    const paragraphs = buildPageMap(book.id);
+    const highlights = getHighlightsForBook(book.id);
+    $$("p[data-index]", pageView).forEach(p => {
+      const para = paragraphs[Number(p.dataset.index)];
+      if (para) fillPageParagraph(p, para, highlights);
+    });
+  }
+
+  /* ---------------------------
+     Highlights
+  --------------------------- */
+  function getHighlightsForBook(bookId) {
+    return getUniqueNotes()
+      .filter(n => n.bookId === bookId && n.type === "highlight")
+      .sort((a, b) => String(a.createdAt).localeCompare(String(b.createdAt)));
+  }
+
+  function getParagraphTextOffset(p, node, offset) {
+    const range = document.createRange();
+    range.selectNodeContents(p);
+    range.setEnd(node, offset);
+    return range.toString().length;
+  }
+
+  // Maps a DOM selection boundary inside #page-view to a global word index.
+  function getWordIndexForSelectionPoint(node, offset, edge) {
+    const el = node?.nodeType === Node.ELEMENT_NODE ? node : node?.parentElement;
+    const p = el?.closest("p[data-index]");
+    if (!p || !pageView.contains(p)) return null;
+    const para = buildPageMap(selectedBookId)[Number(p.dataset.index)];
+    if (!para || !para.wordOffsets.length) return null;
+    const charOffset = getParagraphTextOffset(p, node, offset);
+    if (edge === "start") {
+      const word = para.wordOffsets.find(w => w.end > charOffset);
+      return word ? word.wordIndex : null;
+    }
+    let found = null;
+    for (const w of para.wordOffsets) {
+      if (w.start < charOffset) found = w;
+      else break;
+    }
+    return found ? found.wordIndex : null;
+  }
+
+  function getPageViewSelectionRange() {
+    const selection = window.getSelection();
+    if (!selection || selection.isCollapsed || !selection.rangeCount) return null;
+    const range = selection.getRangeAt(0);
+    if (!pageView.contains(range.commonAncestorContainer)) return null;
+    const start = getWordIndexForSelectionPoint(range.startContainer, range.startOffset, "start");
+    const end = getWordIndexForSelectionPoint(range.endContainer, range.endOffset, "end");
+    if (start === null || end === null || end < start) return null;
+    return {
+      startWordIndex: start,
+      endWordIndex: end,
+      text: selection.toString().replace(/\s+/g, " ").trim(),
+      rect: range.getBoundingClientRect()
+    };
+  }
+
+  function showHighlightToolbar(rect, { noteId = null, startWordIndex, endWordIndex, text = "" }) {
+    if (!highlightToolbar) return;
+    pendingHighlight = { noteId, startWordIndex, endWordIndex, text };
+    const note = noteId ? state.notes.find(n => n.id === noteId) : null;
+    if (highlightNoteInput) highlightNoteInput.value = note?.text || "";
+    if (highlightRemoveBtn) highlightRemoveBtn.hidden = !note;
+    $$("[data-highlight-color]", highlightToolbar).forEach(btn => {
+      btn.setAttribute("aria-pressed", String(note?.color === btn.dataset.highlightColor));
+    });
+    highlightToolbar.hidden = false;
+    const width = highlightToolbar.offsetWidth;
+    const height = highlightToolbar.offsetHeight;
+    const left = clamp(rect.left + rect.width / 2 - width / 2, 8, Math.max(8, window.innerWidth - width - 8));
+    const top = rect.top - height - 8 >= 8 ? rect.top - height - 8 : rect.bottom + 8;
+    highlightToolbar.style.left = `${left}px`;
+    highlightToolbar.style.top = `${top}px`;
+  }
+
+  function hideHighlightToolbar() {
+    pendingHighlight = null;
+    if (highlightToolbar) highlightToolbar.hidden = true;
+  }
+
+  function handlePageViewSelection() {
+    if (!selectedBookId || reader.isPlaying) return;
+    const selection = getPageViewSelectionRange();
+    if (!selection) return;
+    showHighlightToolbar(selection.rect, selection);
+  }
+
+  function handlePageViewClick(e) {
+    const mark = e.target.closest?.("mark[data-note-id]");
+    if (!mark) return;
+    const selection = window.getSelection();
+    if (selection && !selection.isCollapsed) return;
+    const note = state.notes.find(n => n.id === mark.dataset.noteId);
+    if (!note) return;
+    showHighlightToolbar(mark.getBoundingClientRect(), {
+      noteId: note.id,
+      startWordIndex: note.startWordIndex,
+      endWordIndex: note.endWordIndex,
+      text: note.excerpt
+    });
+  }
+
+  function saveHighlight(color) {
+    const book = selectedBookId ? getBook(selectedBookId) : null;
+    if (!book || !pendingHighlight) return;
+    const existing = pendingHighlight.noteId ? state.notes.find(n => n.id === pendingHighlight.noteId) : null;
+    const { startWordIndex, endWordIndex } = pendingHighlight;
+    const text = (highlightNoteInput?.value || "").trim();
+    upsertNote({
+      ...(existing || {}),
+      id: existing?.id || null,
+      type: "highlight",
+      color: color || existing?.color,
+      bookId: book.id,
+      bookTitle: book.title,
+      index: getTokenIndexForWordIndex(book.id, startWordIndex),
+      wordIndex: startWordIndex,
+      startWordIndex,
+      endWordIndex,
+      excerpt: existing?.excerpt || pendingHighlight.text.slice(0, 140),
+      text
+    });
+    window.getSelection()?.removeAllRanges();
+    hideHighlightToolbar();
+    refreshHighlightViews(book);
+  }
+
+  function removeHighlight() {
+    const book = selectedBookId ? getBook(selectedBookId) : null;
+    const noteId = pendingHighlight?.noteId;
+    if (!noteId) return;
+    state.notes = state.notes.filter(n => n.id !== noteId);
+    saveState();
+    void idbDelete(DB_STORES.notes, noteId);
+    if (selectedNoteId === noteId) {
+      selectedNoteId = null;
+      clearNotePreview();
+    }
+    hideHighlightToolbar();
+    refreshHighlightViews(book);
+    showToast({ title: "Highlight removed", message: "The highlight has been deleted.", type: "success" });
+  }
+
+  function refreshHighlightViews(book) {
+    if (book) {
+      refreshPageViewHighlights(book);
+      progressMarkersKey = null;
+      updateProgressUI(book);
+    }
+    renderReaderNotes();
+    renderNotesView();
+  }
+
   /* ---------------------------
      Reader logic
   --------------------------- */
@@ -4034,6 +7133,8 @@ Paragraph two begins here. Commas, periods, and paragraph breaks can pause sligh
       void renderDocumentViewer(null);
       updateProgressUI(null);
       renderReaderBookmarks();
+      renderReaderChapters();
+      if (bookSearchBookId) runBookSearch();
       return;
     }
 
@@ -4066,6 +7167,8 @@ Paragraph two begins here. Commas, periods, and paragraph breaks can pause sligh
     renderTokenAtIndex(book, idx);
     updateProgressUI(book);
     renderReaderBookmarks();
+    renderReaderChapters();
+    if (bookSearchBookId !== book.id && bookSearchInput?.value.trim()) runBookSearch();
     void renderDocumentViewer(book);
     if (!reader.isPlaying && rsvpSubline) {
       if (idx >= tokens.length - 1) {
@@ -4103,21 +7206,151 @@ Paragraph two begins here. Commas, periods, and paragraph breaks can pause sligh
       pageProgress.textContent = "0% • word 0 / 0";
       progressSlider.value = "0";
       progressSlider.max = "0";
+      renderChapterProgress(null);
       return;
     }
 
-    const totalWords = Math.max(0, getTotalWordsForBook(book));
-    const tokenIndex = clamp(book.progress?.index ?? 0, 0, Math.max(0, getTokenCountForBook(book) - 1));
-    const wordIndex = totalWords ? getWordIndexForTokenIndex(book.id, tokenIndex) : 0;
-    const pct = computeProgressPct(book);
-    readerProgressEl.textContent = `${pct}%`;
-    const label = `${pct}% • word ${totalWords ? wordIndex + 1 : 0} / ${totalWords || 0}`;
-    progressLabel.textContent = label;
-    pageProgress.textContent = label;
+    const totalWords = Math.max(0, getTotalWordsForBook(book));
+    const tokenIndex = clamp(book.progress?.index ?? 0, 0, Math.max(0, getTokenCountForBook(book) - 1));
+    const wordIndex = totalWords ? getWordIndexForTokenIndex(book.id, tokenIndex) : 0;
+    const pct = computeProgressPct(book);
+    readerProgressEl.textContent = `${pct}%`;
+    const label = `${pct}% • word ${totalWords ? wordIndex + 1 : 0} / ${totalWords || 0}`;
+    progressLabel.textContent = label;
+    pageProgress.textContent = label;
+
+    if (!scrubberActive) {
+      progressSlider.max = String(Math.max(0, totalWords - 1));
+      progressSlider.value = String(Math.min(wordIndex, Math.max(0, totalWords - 1)));
+    }
+
+    renderChapterProgress(book, tokenIndex, wordIndex, totalWords);
+  }
+
+  function renderChapterProgress(book, tokenIndex = 0, wordIndex = 0, totalWords = 0) {
+    const info = book ? getChapterProgress(book, tokenIndex, wordIndex, totalWords) : null;
+    if (readerChapterPill) readerChapterPill.hidden = !info;
+    if (chapterProgressLabel) chapterProgressLabel.hidden = !info;
+    renderProgressMarkers(book, totalWords, info);
+    if (!info) return;
+
+    const chapterLabel = `Ch. ${info.index + 1}/${info.count}`;
+    if (readerChapterProgress) readerChapterProgress.textContent = `${info.pct}%`;
+    if (readerChapterPill) readerChapterPill.title = `${chapterLabel}: ${info.entry.title}`;
+    if (chapterProgressLabel) {
+      chapterProgressLabel.textContent = `${chapterLabel} • ${info.pct}% • ${formatTimeLeft(info.remainingMs)} left`;
+      chapterProgressLabel.title = info.entry.title;
+    }
+  }
+
+  function getChapterProgress(book, tokenIndex, wordIndex, totalWords) {
+    const toc = getTocForBook(book.id);
+    const index = getChapterIndexForWordIndex(book.id, wordIndex);
+    if (index < 0 || !totalWords) return null;
+    const entry = toc[index];
+    const next = toc[index + 1];
+    const startWord = entry.wordIndex;
+    const endWord = next ? next.wordIndex : totalWords;
+    const span = Math.max(1, endWord - startWord);
+    const pct = clamp(Math.round(((wordIndex - startWord) / span) * 100), 0, 100);
+
+    let remainingMs = 0;
+    const timeline = getPlaybackTimeline(book.id);
+    if (timeline) {
+      const lastToken = timeline.length - 1;
+      const endToken = next ? getTokenIndexForWordIndex(book.id, next.wordIndex) : lastToken;
+      remainingMs = Math.max(0, timeline[clamp(endToken, 0, lastToken)] - timeline[clamp(tokenIndex, 0, lastToken)]);
+    }
+
+    return {
+      index,
+      count: toc.length,
+      entry,
+      pct,
+      startWord,
+      endWord,
+      remainingMs
+    };
+  }
+
+  // Cumulative playback time (ms) to reach each token, using the same per-token
+  // delays as advancePlayback. Chunked words share one base interval per chunk, and
+  // tokens playback skips (code blocks with rsvpCodeBlocks "skip") cost nothing.
+  function getPlaybackTimeline(bookId) {
+    const tokens = getCachedTokens(bookId);
+    if (!tokens.length) return null;
+    const baseDelay = getBaseDelayMs();
+    const chunkSize = clamp(Number(state.settings.chunkSize || 1), 1, 4);
+    const key = [
+      bookId,
+      tokens.length,
+      contentCache.get(bookId)?.updatedAt || "",
+      baseDelay,
+      pauseSlider?.value ?? "",
+      chunkSize,
+      state.settings.autoPause ? 1 : 0,
+      state.settings.rsvpCodeBlocks
+    ].join("|");
+    if (playbackTimelineCache?.key === key) return playbackTimelineCache.timeline;
+
+    const timeline = new Float64Array(tokens.length);
+    for (let i = 1; i < tokens.length; i += 1) {
+      const tok = tokens[i];
+      if (isRsvpSkippedToken(tok)) {
+        timeline[i] = timeline[i - 1];
+        continue;
+      }
+      const interval = tok.kind === "word" ? baseDelay / chunkSize : baseDelay;
+      timeline[i] = timeline[i - 1] + interval + getPauseInfoForToken(tok).extraDelay;
+    }
+    playbackTimelineCache = { key, timeline };
+    return timeline;
+  }
+
+  function renderProgressMarkers(book, totalWords, info) {
+    if (!progressMarkers) return;
+    const toc = book ? getTocForBook(book.id) : [];
+    const highlights = book ? getHighlightsForBook(book.id) : [];
+    if (!book || (toc.length < 2 && !highlights.length) || totalWords < 2) {
+      progressMarkersKey = null;
+      progressMarkers.innerHTML = "";
+      progressMarkers.hidden = true;
+      return;
+    }
+    progressMarkers.hidden = false;
+    const maxWord = totalWords - 1;
+    const toPct = value => `${(clamp(value, 0, maxWord) / maxWord) * 100}%`;
+
+    const key = `${book.id}:${toc.length}:${totalWords}:${highlights.length}`;
+    if (progressMarkersKey !== key) {
+      progressMarkersKey = key;
+      progressMarkers.innerHTML = "";
+      const band = document.createElement("span");
+      band.className = "progress-chapter-band";
+      progressMarkers.appendChild(band);
+      toc.forEach(entry => {
+        if (entry.wordIndex <= 0) return;
+        const tick = document.createElement("span");
+        tick.className = "progress-tick";
+        if (entry.depth > 0) tick.classList.add("is-nested");
+        tick.style.left = toPct(entry.wordIndex);
+        progressMarkers.appendChild(tick);
+      });
+      highlights.forEach(h => {
+        const marker = document.createElement("span");
+        marker.className = `progress-highlight hl-${h.color}`;
+        marker.style.left = toPct(h.startWordIndex);
+        marker.style.width = `max(3px, ${((Math.min(h.endWordIndex, maxWord) - Math.min(h.startWordIndex, maxWord)) / maxWord) * 100}%)`;
+        progressMarkers.appendChild(marker);
+      });
+    }
 
-    if (!scrubberActive) {
-      progressSlider.max = String(Math.max(0, totalWords - 1));
-      progressSlider.value = String(Math.min(wordIndex, Math.max(0, totalWords - 1)));
+    const band = $(".progress-chapter-band", progressMarkers);
+    if (!band) return;
+    band.hidden = !info;
+    if (info) {
+      band.style.left = toPct(info.startWord);
+      band.style.width = `${((Math.min(info.endWord, maxWord) - Math.min(info.startWord, maxWord)) / maxWord) * 100}%`;
     }
   }
 
@@ -4234,7 +7467,10 @@ Paragraph two begins here. Commas, periods, and paragraph breaks can pause sligh
     // Word
     const { left, pivot, right } = renderRSVPWord(tok.t);
     setRSVPDisplay(left, pivot, right);
-    if (rsvpSubline) rsvpSubline.hidden = true;
+    if (rsvpSubline) {
+      rsvpSubline.textContent = tok.block === "code" ? "Code" : tok.block === "table" ? "Table" : "";
+      rsvpSubline.hidden = !RSVP_PACED_BLOCKS.has(tok.block);
+    }
   }
 
   function getCurrentTokenIndex() {
@@ -4410,7 +7646,17 @@ Paragraph two begins here. Commas, periods, and paragraph breaks can pause sligh
     return null;
   }
 
+  function isRsvpSkippedToken(tok) {
+    return state.settings.rsvpCodeBlocks === "skip" && RSVP_PACED_BLOCKS.has(tok?.block);
+  }
+
   function getPauseInfoForToken(tok) {
+    const info = getPunctuationPauseForToken(tok);
+    if (!RSVP_PACED_BLOCKS.has(tok?.block) || tok.kind === "para") return info;
+    return { ...info, extraDelay: info.extraDelay + getBaseDelayMs() * RSVP_BLOCK_SLOWDOWN };
+  }
+
+  function getPunctuationPauseForToken(tok) {
     if (!state.settings.autoPause || !tok) return { extraDelay: 0, countPause: false };
     const pauseSliderValue = clamp(Number(pauseSlider.value ?? state.settings.punctuationPause ?? 80), 0, 200);
     const pauseScale = pauseSliderValue / 100;
@@ -4470,6 +7716,7 @@ Paragraph two begins here. Commas, periods, and paragraph breaks can pause sligh
 
     // Move to next meaningful token (including punctuation/para, but with pauses)
     idx = clamp(idx + 1, 0, Math.max(0, tokens.length - 1));
+    while (idx < tokens.length - 1 && isRsvpSkippedToken(tokens[idx])) idx += 1;
     let tok = tokens[idx];
     const chunkSize = clamp(Number(state.settings.chunkSize || 1), 1, 4);
     reader.chunkDisplay = null;
@@ -4669,6 +7916,156 @@ Paragraph two begins here. Commas, periods, and paragraph breaks can pause sligh
     return words.join(" ").slice(0, 140);
   }
 
+  /* ---------------------------
+     In-book search
+  --------------------------- */
+  function foldSearchTerm(text, { matchCase = false, matchDiacritics = false } = {}) {
+    let folded = String(text || "");
+    if (!matchDiacritics) folded = folded.normalize("NFD").replace(COMBINING_MARKS_RE, "");
+    if (!matchCase) folded = folded.toLowerCase();
+    return folded;
+  }
+
+  // Folded words joined by single spaces, with the char offset where each word starts.
+  function getBookSearchText(bookId, options) {
+    const content = contentCache.get(bookId);
+    const key = `${bookId}:${content?.updatedAt || ""}:${options.matchCase ? 1 : 0}:${options.matchDiacritics ? 1 : 0}`;
+    if (bookSearchCache?.key === key) return bookSearchCache;
+    const tokens = getCachedTokens(bookId);
+    const parts = [];
+    const starts = [];
+    const tokenIndexes = [];
+    let cursor = 0;
+    tokens.forEach((tok, i) => {
+      if (tok.kind !== "word") return;
+      const folded = foldSearchTerm(tok.t, options);
+      starts.push(cursor);
+      tokenIndexes.push(i);
+      parts.push(folded);
+      cursor += folded.length + 1;
+    });
+    bookSearchCache = { key, text: parts.join(" "), starts, tokenIndexes };
+    return bookSearchCache;
+  }
+
+  function findWordAtOffset(starts, offset) {
+    let lo = 0;
+    let hi = starts.length - 1;
+    while (lo < hi) {
+      const mid = Math.ceil((lo + hi) / 2);
+      if (starts[mid] <= offset) lo = mid;
+      else hi = mid - 1;
+    }
+    return lo;
+  }
+
+  function searchBookText(bookId, query, { matchCase = false, matchDiacritics = false, wholeWord = false } = {}) {
+    const options = { matchCase, matchDiacritics };
+    const needle = foldSearchTerm(query.replace(/\s+/g, " ").trim(), options);
+    if (!needle) return { hits: [], truncated: false };
+    const { text, starts, tokenIndexes } = getBookSearchText(bookId, options);
+    const isWordChar = ch => !!ch && WORD_CHAR_RE.test(ch);
+    const hits = [];
+    let from = 0;
+    while (from <= text.length) {
+      const at = text.indexOf(needle, from);
+      if (at < 0) break;
+      from = at + 1;
+      if (wholeWord) {
+        const before = text[at - 1];
+        const after = text[at + needle.length];
+        if ((isWordChar(needle[0]) && isWordChar(before)) || (isWordChar(needle[needle.length - 1]) && isWordChar(after))) {
+          continue;
+        }
+      }
+      const wordIndex = findWordAtOffset(starts, at);
+      if (hits.length && hits[hits.length - 1].wordIndex === wordIndex) continue;
+      if (hits.length >= BOOK_SEARCH_MAX_RESULTS) return { hits, truncated: true };
+      hits.push({ wordIndex, tokenIndex: tokenIndexes[wordIndex] });
+    }
+    return { hits, truncated: false };
+  }
+
+  function runBookSearch() {
+    if (!bookSearchInput || !bookSearchResults || !bookSearchStatus) return;
+    const book = selectedBookId ? getBook(selectedBookId) : null;
+    const query = bookSearchInput.value.trim();
+    bookSearchBookId = book?.id || null;
+    bookSearchResults.innerHTML = "";
+    if (!book || !query) {
+      bookSearchStatus.textContent = book ? "Type to search this book." : "Open a book to search its text.";
+      return;
+    }
+    if (!getCachedTokens(book.id).length) {
+      bookSearchStatus.textContent = "Loading text…";
+      // Loaded once: a book without text (an EPUB only the viewer can show) must not search again.
+      void ensureBookContent(book.id).catch(() => null).then(() => {
+        if (bookSearchBookId !== book.id || bookSearchInput.value.trim() !== query) return;
+        if (getCachedTokens(book.id).length) runBookSearch();
+        else bookSearchStatus.textContent = "No text to search in this book.";
+      });
+      return;
+    }
+
+    const { hits, truncated } = searchBookText(book.id, query, {
+      matchCase: !!bookSearchCase?.checked,
+      matchDiacritics: !!bookSearchDiacritics?.checked,
+      wholeWord: !!bookSearchWhole?.checked
+    });
+    if (!hits.length) {
+      bookSearchStatus.textContent = "No matches.";
+      return;
+    }
+    bookSearchStatus.textContent = truncated
+      ? `Showing the first ${hits.length} matches.`
+      : `${hits.length} match${hits.length === 1 ? "" : "es"}.`;
+
+    const isPdf = book.sourceType === "pdf" && getPageRangesForBook(book.id).length > 0;
+    const toc = getTocForBook(book.id);
+    const fragment = document.createDocumentFragment();
+    hits.forEach(hit => {
+      const li = document.createElement("li");
+      li.className = "bookmark-item";
+      const button = document.createElement("button");
+      button.type = "button";
+      button.className = "bookmark-button";
+      const meta = document.createElement("div");
+      meta.className = "bookmark-meta";
+      const where = [`word ${hit.wordIndex + 1}`];
+      if (isPdf) where.push(`p. ${getPdfPageForWordIndex(book.id, hit.wordIndex)}`);
+      const chapterIdx = toc.length ? getChapterIndexForWordIndex(book.id, hit.wordIndex) : -1;
+      if (chapterIdx >= 0) where.push(toc[chapterIdx].title);
+      meta.textContent = where.join(" • ");
+      const snippet = document.createElement("div");
+      snippet.textContent = makeExcerpt(book, hit.tokenIndex, 8);
+      button.appendChild(meta);
+      button.appendChild(snippet);
+      button.addEventListener("click", () => jumpToSearchHit(book.id, hit));
+      li.appendChild(button);
+      fragment.appendChild(li);
+    });
+    bookSearchResults.appendChild(fragment);
+  }
+
+  function scheduleBookSearch() {
+    if (bookSearchTimer) clearTimeout(bookSearchTimer);
+    bookSearchTimer = setTimeout(() => {
+      bookSearchTimer = null;
+      runBookSearch();
+    }, 200);
+  }
+
+  function jumpToSearchHit(bookId, hit) {
+    const book = getBook(bookId);
+    if (!book || selectedBookId !== bookId) return;
+    if (reader.isPlaying) stopReader(false);
+    setTokenIndex(hit.tokenIndex, { fromPlayback: false, syncPageView: true });
+    if (book.sourceType === "pdf" && getPageRangesForBook(book.id).length) {
+      setPdfPage(getPdfPageForWordIndex(book.id, hit.wordIndex));
+    }
+    if (isNarrowReaderLayout()) setReaderMode("rsvp");
+  }
+
   /* ---------------------------
      Notes rendering
   --------------------------- */
@@ -4683,6 +8080,11 @@ Paragraph two begins here. Commas, periods, and paragraph breaks can pause sligh
     return unique;
   }
 
+  function getNoteLabel(note) {
+    if (note.type !== "highlight") return note.text;
+    return note.text || `“${note.excerpt}”`;
+  }
+
   function renderReaderNotes() {
     const bookId = selectedBookId;
     if (!noteList) return;
@@ -4710,7 +8112,9 @@ Paragraph two begins here. Commas, periods, and paragraph breaks can pause sligh
       li.className = "note-item";
       const title = document.createElement("div");
       title.className = "note-item-title";
-      title.textContent = n.text.length > 70 ? n.text.slice(0, 70) + "…" : n.text;
+      const label = getNoteLabel(n);
+      title.textContent = label.length > 70 ? label.slice(0, 70) + "…" : label;
+      if (n.type === "highlight") li.classList.add("note-item--highlight", `hl-${n.color}`);
 
       const sub = document.createElement("div");
       sub.className = "note-item-sub";
@@ -4764,6 +8168,53 @@ Paragraph two begins here. Commas, periods, and paragraph breaks can pause sligh
     });
   }
 
+  function renderReaderChapters() {
+    if (!chapterList || !chapterEmpty) return;
+    const book = selectedBookId ? getBook(selectedBookId) : null;
+    const toc = book ? getTocForBook(book.id) : [];
+    if (!book || !toc.length) {
+      chapterListKey = null;
+      chapterList.innerHTML = "";
+      chapterEmpty.hidden = false;
+      return;
+    }
+    chapterEmpty.hidden = true;
+
+    // Rebuild only when the book or its TOC changes; playback ticks just move the current marker.
+    const key = `${book.id}:${toc.length}:${contentCache.get(book.id)?.updatedAt || ""}`;
+    if (chapterListKey !== key) {
+      chapterListKey = key;
+      chapterList.innerHTML = "";
+      toc.forEach((entry, idx) => {
+        const li = document.createElement("li");
+        li.className = "chapter-item";
+        const button = document.createElement("button");
+        button.type = "button";
+        button.className = "chapter-button";
+        button.dataset.index = String(idx);
+        button.style.paddingLeft = `${8 + Math.min(entry.depth, 4) * 14}px`;
+        button.textContent = entry.title;
+        button.addEventListener("click", () => {
+          if (reader.isPlaying) stopReader(false);
+          const tokenIndex = getTokenIndexForWordIndex(book.id, entry.wordIndex);
+          setTokenIndex(tokenIndex, { fromPlayback: false, syncPageView: true });
+          if (isNarrowReaderLayout()) setReaderMode("rsvp");
+        });
+        li.appendChild(button);
+        chapterList.appendChild(li);
+      });
+    }
+
+    const wordIndex = getWordIndexForTokenIndex(book.id, getCurrentTokenIndex());
+    const current = getChapterIndexForWordIndex(book.id, wordIndex);
+    $$(".chapter-button", chapterList).forEach(btn => {
+      const isCurrent = Number(btn.dataset.index) === current;
+      btn.classList.toggle("is-current", isCurrent);
+      if (isCurrent) btn.setAttribute("aria-current", "true");
+      else btn.removeAttribute("aria-current");
+    });
+  }
+
   function renderNotesView() {
     if (!notesFilterBook || !notesAllList || !notesEmpty) return;
     // Fill book filter options
@@ -4809,124 +8260,886 @@ Paragraph two begins here. Commas, periods, and paragraph breaks can pause sligh
 
       const t = document.createElement("div");
       t.className = "note-item-title";
-      t.textContent = n.text.length > 90 ? n.text.slice(0, 90) + "…" : n.text;
+      const label = getNoteLabel(n);
+      t.textContent = label.length > 90 ? label.slice(0, 90) + "…" : label;
+      if (n.type === "highlight") li.classList.add("note-item--highlight", `hl-${n.color}`);
 
       const s = document.createElement("div");
       s.className = "note-item-sub";
       const excerpt = n.excerpt ? ` • “… ${n.excerpt.slice(0, 80)} …”` : "";
       s.textContent = `${n.bookTitle || "—"} • ${new Date(n.updatedAt || n.createdAt).toLocaleString()}${excerpt}`;
 
-      li.appendChild(t);
-      li.appendChild(s);
+      li.appendChild(t);
+      li.appendChild(s);
+
+      li.addEventListener("click", () => void selectNote(n.id));
+      li.addEventListener("keydown", (e) => {
+        if (e.key === "Enter") void selectNote(n.id);
+      });
+
+      notesAllList.appendChild(li);
+    });
+
+    // If selected note disappeared, clear preview
+    if (selectedNoteId && !state.notes.find(n => n.id === selectedNoteId)) {
+      selectedNoteId = null;
+      clearNotePreview();
+    } else if (selectedNoteId) {
+      // Keep preview updated
+      void selectNote(selectedNoteId, true);
+    }
+  }
+
+  async function selectNote(noteId, silent = false) {
+    const note = state.notes.find(n => n.id === noteId);
+    if (!note) return;
+    if (!notePreviewBook || !notePreviewText || !noteEdit) return;
+    selectedNoteId = noteId;
+
+    const noteWordIndex = typeof note.wordIndex === "number"
+      ? note.wordIndex
+      : getWordIndexForTokenIndex(note.bookId, note.index ?? 0);
+    notePreviewBook.textContent = note.type === "highlight"
+      ? `${note.bookTitle || "—"} • highlight, words ${note.startWordIndex + 1}–${note.endWordIndex + 1}`
+      : `${note.bookTitle || "—"} • at word ${noteWordIndex + 1}`;
+    notePreviewText.textContent = note.type === "highlight" ? getNoteLabel(note) : note.text;
+    noteEdit.value = note.text;
+
+    if (!silent) {
+      // Also open the related book and jump to note location
+      const book = getBook(note.bookId);
+      if (book) {
+        await openBookInReader(book.id);
+        setView("reader");
+        stepWords(0); // re-render
+        const tokenIndex = typeof note.index === "number"
+          ? note.index
+          : getTokenIndexForWordIndex(note.bookId, noteWordIndex);
+        setTokenIndex(tokenIndex, { fromPlayback: false, syncPageView: true });
+        renderReaderNotes();
+      }
+    }
+  }
+
+  function clearNotePreview() {
+    if (notePreviewBook) notePreviewBook.textContent = "—";
+    if (notePreviewText) notePreviewText.textContent = "Select a note to view/edit.";
+    if (noteEdit) noteEdit.value = "";
+  }
+
+  /* ---------------------------
+     Export encryption
+     An encrypted export is a binary envelope around the plain export file:
+       "SWIFTREADER-ENC\n" | header length (uint32, big-endian) | header JSON (UTF-8) | AES-GCM ciphertext
+     The header carries the PBKDF2 salt and iterations, the IV, the inner content type and a
+     passphrase check, and is authenticated as GCM additional data. PBKDF2 derives 512 bits: the first
+     half is the AES key and a SHA-256 of the second half is the check, so a wrong passphrase can be
+     told apart from a file that was modified after export.
+  --------------------------- */
+  const EXPORT_ENVELOPE_MAGIC = "SWIFTREADER-ENC\n";
+  const EXPORT_ENVELOPE_VERSION = 1;
+  const EXPORT_KDF_ITERATIONS = 600000;
+  // Bounds for iteration counts read from a file, so a crafted header can't stall the page.
+  const EXPORT_KDF_ITERATIONS_RANGE = [100000, 5000000];
+  const EXPORT_HEADER_MAX_BYTES = 4096;
+  const MIN_EXPORT_PASSPHRASE_LENGTH = 8;
+
+  function exportCryptoError(reason, message) {
+    const err = new Error(message);
+    err.reason = reason; // "unsupported" | "format" | "passphrase" | "tampered"
+    return err;
+  }
+
+  function bytesToBase64(bytes) {
+    let binary = "";
+    for (let i = 0; i < bytes.length; i += 1) binary += String.fromCharCode(bytes[i]);
+    return btoa(binary);
+  }
+
+  function base64ToBytes(value) {
+    const binary = atob(String(value || ""));
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i += 1) bytes[i] = binary.charCodeAt(i);
+    return bytes;
+  }
+
+  async function deriveExportKey(passphrase, salt, iterations) {
+    const material = await crypto.subtle.importKey("raw", new TextEncoder().encode(passphrase), "PBKDF2", false, ["deriveBits"]);
+    const bits = new Uint8Array(await crypto.subtle.deriveBits({ name: "PBKDF2", hash: "SHA-256", salt, iterations }, material, 512));
+    const key = await crypto.subtle.importKey("raw", bits.slice(0, 32), "AES-GCM", false, ["encrypt", "decrypt"]);
+    const check = bytesToBase64(new Uint8Array(await crypto.subtle.digest("SHA-256", bits.slice(32))));
+    return { key, check };
+  }
+
+  function isEncryptedExport(bytes) {
+    const magic = new TextEncoder().encode(EXPORT_ENVELOPE_MAGIC);
+    if (!bytes || bytes.length < magic.length + 4) return false;
+    return magic.every((byte, i) => bytes[i] === byte);
+  }
+
+  async function encryptExportPayload(data, passphrase, contentType) {
+    if (!window.crypto?.subtle) {
+      throw exportCryptoError("unsupported", "Encryption needs a secure (https or localhost) page.");
+    }
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const { key, check } = await deriveExportKey(passphrase, salt, EXPORT_KDF_ITERATIONS);
+    const header = new TextEncoder().encode(JSON.stringify({
+      app: "SwiftReader",
+      version: EXPORT_ENVELOPE_VERSION,
+      contentType,
+      kdf: { name: "PBKDF2", hash: "SHA-256", iterations: EXPORT_KDF_ITERATIONS, salt: bytesToBase64(salt) },
+      cipher: { name: "AES-GCM", iv: bytesToBase64(iv) },
+      check
+    }));
+    const ciphertext = await crypto.subtle.encrypt({ name: "AES-GCM", iv, additionalData: header }, key, data);
+    const length = new Uint8Array(4);
+    new DataView(length.buffer).setUint32(0, header.length);
+    return new Blob([new TextEncoder().encode(EXPORT_ENVELOPE_MAGIC), length, header, ciphertext], { type: "application/octet-stream" });
+  }
+
+  function readExportEnvelope(bytes) {
+    const start = new TextEncoder().encode(EXPORT_ENVELOPE_MAGIC).length;
+    const headerLength = new DataView(bytes.buffer, bytes.byteOffset + start, 4).getUint32(0);
+    const headerEnd = start + 4 + headerLength;
+    const invalid = () => exportCryptoError("format", "This encrypted file is damaged or from a newer version of SwiftReader.");
+    if (!headerLength || headerLength > EXPORT_HEADER_MAX_BYTES || headerEnd > bytes.length) throw invalid();
+    const headerBytes = bytes.subarray(start + 4, headerEnd);
+    let header = null;
+    try {
+      header = JSON.parse(new TextDecoder().decode(headerBytes));
+    } catch {
+      throw invalid();
+    }
+    const iterations = header?.kdf?.iterations;
+    if (header?.version !== EXPORT_ENVELOPE_VERSION
+      || header.kdf?.name !== "PBKDF2"
+      || header.cipher?.name !== "AES-GCM"
+      || !Number.isInteger(iterations)
+      || iterations < EXPORT_KDF_ITERATIONS_RANGE[0]
+      || iterations > EXPORT_KDF_ITERATIONS_RANGE[1]) {
+      throw invalid();
+    }
+    return { header, headerBytes, ciphertext: bytes.subarray(headerEnd) };
+  }
+
+  async function decryptExportPayload(envelope, passphrase) {
+    if (!window.crypto?.subtle) {
+      throw exportCryptoError("unsupported", "Decryption needs a secure (https or localhost) page.");
+    }
+    const { header, headerBytes, ciphertext } = envelope;
+    let salt = null;
+    let iv = null;
+    try {
+      salt = base64ToBytes(header.kdf.salt);
+      iv = base64ToBytes(header.cipher.iv);
+    } catch {
+      throw exportCryptoError("format", "This encrypted file is damaged.");
+    }
+    const { key, check } = await deriveExportKey(passphrase, salt, header.kdf.iterations);
+    if (check !== header.check) throw exportCryptoError("passphrase", "Wrong passphrase.");
+    try {
+      return new Uint8Array(await crypto.subtle.decrypt({ name: "AES-GCM", iv, additionalData: headerBytes }, key, ciphertext));
+    } catch {
+      throw exportCryptoError("tampered", "The passphrase is right, but the file was modified or damaged after it was exported.");
+    }
+  }
+
+  // Returns the bytes of an export file, asking for the passphrase if it is encrypted. Resolves to null
+  // when the user gives up; other failures throw.
+  async function readExportFileBytes(file) {
+    const bytes = new Uint8Array(await file.arrayBuffer());
+    if (!isEncryptedExport(bytes)) return bytes;
+    const envelope = readExportEnvelope(bytes);
+    let error = "";
+    for (;;) {
+      const passphrase = await askPassphrase({
+        title: "Encrypted export",
+        message: `"${file.name}" is encrypted. Enter the passphrase it was exported with.`,
+        okText: "Decrypt",
+        error
+      });
+      if (!passphrase) return null;
+      try {
+        return await decryptExportPayload(envelope, passphrase);
+      } catch (err) {
+        if (err?.reason !== "passphrase") throw err;
+        error = "Wrong passphrase. Try again.";
+      }
+    }
+  }
+
+  /* ---------------------------
+     Backup archive
+     Exports are ZIP archives (JSZip) so original PDF/EPUB files can travel with the text:
+       manifest.json      { app, format, formatVersion, version, exportedAt, partial, includes, settings, notes,
+                            books: [{ id, title, entry, file }] }
+       settings.json      { settings, reader, lastOpenedBookId }
+       notes.json         Note[]
+       books/0001.json    { book, content } (content without fileData)
+       files/0001.pdf     original file bytes, stored uncompressed
+     Both directions go one book at a time: export reads each book's content from IndexedDB and
+     serializes it into its own entry, then streams the archive out in chunks; import decompresses
+     book entries in batches and writes each batch in one transaction. No step holds the whole
+     library as one string or object.
+  --------------------------- */
+  const BACKUP_FORMAT = "swiftreader-backup";
+  const BACKUP_FORMAT_VERSION = 1;
+  // What an export carries. Partial exports record this in the manifest (or the legacy JSON) and
+  // import leaves out whatever is false.
+  const EXPORT_INCLUDES_ALL = Object.freeze({ contents: true, files: true, notes: true, bookmarks: true, settings: true });
+  // Books decompressed and written to IndexedDB per transaction on import.
+  const IMPORT_CONTENT_BATCH_SIZE = 20;
+
+  function isZipData(bytes) {
+    return bytes?.length > 4 && bytes[0] === 0x50 && bytes[1] === 0x4b && bytes[2] === 0x03 && bytes[3] === 0x04;
+  }
+
+  async function readBookContentForExport(book) {
+    if (idbReady) return idbGet(DB_STORES.contents, book.id);
+    if (!book.text && !(book.tokens && book.tokens.length)) return null;
+    return {
+      bookId: book.id,
+      rawText: book.text || "",
+      tokens: book.tokens || [],
+      tokenCount: (book.tokens || []).length,
+      updatedAt: book.updatedAt || nowISO()
+    };
+  }
+
+  function getBackupFileExtension(book, content) {
+    if (["pdf", "epub"].includes(book?.sourceType)) return book.sourceType;
+    const match = /\.([a-z0-9]{1,8})$/i.exec(book?.source?.filename || "");
+    return match ? match[1].toLowerCase() : (content?.fileType === "application/pdf" ? "pdf" : "bin");
+  }
+
+  // { books, notes, includes, partial } for an export. bookIds null means every book (and every
+  // note, including notes whose book is gone).
+  async function selectExportData({ bookIds = null, includes = EXPORT_INCLUDES_ALL } = {}) {
+    const books = state.library.books
+      .filter(b => !bookIds || bookIds.has(b.id))
+      .map(b => {
+        const book = normalizeBook(b);
+        return includes.bookmarks ? book : { ...book, progress: { ...book.progress, bookmarks: [] } };
+      });
+    let notes = [];
+    if (includes.notes) {
+      notes = idbReady ? await idbGetAll(DB_STORES.notes) : state.notes;
+      if (bookIds) notes = notes.filter(n => bookIds.has(n.bookId));
+    }
+    const partial = !!bookIds || Object.values(includes).some(value => !value);
+    return { books, notes, includes: { ...includes, files: includes.contents && includes.files }, partial };
+  }
+
+  async function readExportContent(book, includes) {
+    if (!includes.contents) return null;
+    const content = await readBookContentForExport(book);
+    if (!content) return null;
+    const fileData = includes.files && content.fileData ? await coerceToArrayBuffer(content.fileData) : null;
+    return { content: { ...content, fileData: null }, fileData };
+  }
+
+  function describeBundleContents(bookCount, noteCount) {
+    const parts = [];
+    if (bookCount) parts.push(`${bookCount} book${bookCount === 1 ? "" : "s"}`);
+    if (noteCount) parts.push(`${noteCount} note${noteCount === 1 ? "" : "s"}`);
+    return parts.length ? parts.join(" and ") : "settings only";
+  }
+
+  // Resolves to a Blob. onProgress receives a 0-1 fraction: reading books is the first half,
+  // compressing and writing the archive the second.
+  async function buildBackupArchive(selection, { onProgress } = {}) {
+    const { books, notes, includes, partial } = selection;
+    const zip = new window.JSZip();
+    const encoder = new TextEncoder();
+    const manifestBooks = [];
+    for (const [index, book] of books.entries()) {
+      const slug = String(index + 1).padStart(4, "0");
+      const { content = null, fileData = null } = (await readExportContent(book, includes)) || {};
+      const entry = `books/${slug}.json`;
+      const file = fileData ? `files/${slug}.${getBackupFileExtension(book, content)}` : null;
+      const serialized = safeStringifyJSON({ book, content }, "export data");
+      if (!serialized) throw new Error(`"${book.title}" could not be serialized.`);
+      // Bytes rather than the string, so the JSON text can be collected while the archive is built.
+      zip.file(entry, encoder.encode(serialized), { binary: true });
+      if (file) zip.file(file, fileData, { binary: true, compression: "STORE" });
+      manifestBooks.push({ id: book.id, title: book.title || "", entry, file });
+      onProgress?.((index + 1) / Math.max(1, books.length) / 2);
+    }
+    if (includes.notes) zip.file("notes.json", safeStringifyJSON(notes, "export data") || "[]");
+    if (includes.settings) {
+      zip.file("settings.json", safeStringifyJSON({
+        settings: state.settings,
+        reader: state.reader,
+        lastOpenedBookId: state.lastOpenedBookId || null
+      }, "export data") || "{}");
+    }
+    zip.file("manifest.json", JSON.stringify({
+      app: "SwiftReader",
+      format: BACKUP_FORMAT,
+      formatVersion: BACKUP_FORMAT_VERSION,
+      version: CURRENT_SCHEMA_VERSION,
+      exportedAt: nowISO(),
+      partial,
+      includes,
+      settings: includes.settings ? "settings.json" : null,
+      notes: includes.notes ? "notes.json" : null,
+      books: manifestBooks
+    }, null, 2));
+
+    return new Promise((resolve, reject) => {
+      const chunks = [];
+      zip.generateInternalStream({ type: "uint8array", compression: "DEFLATE", compressionOptions: { level: 6 }, streamFiles: true })
+        .on("data", (chunk, meta) => {
+          chunks.push(chunk);
+          onProgress?.(0.5 + (meta.percent || 0) / 200);
+        })
+        .on("error", reject)
+        .on("end", () => resolve(new Blob(chunks, { type: "application/zip" })))
+        .resume();
+    });
+  }
+
+  // Without JSZip, exports fall back to the legacy single-JSON file (text only, no original files).
+  // Null if the data can't be serialized.
+  async function buildLegacyExport(selection) {
+    const contents = [];
+    for (const book of selection.books) {
+      const exported = await readExportContent(book, selection.includes);
+      if (exported) contents.push(exported.content);
+    }
+    const serialized = safeStringifyJSON({
+      exportedAt: nowISO(),
+      app: "SwiftReader",
+      version: CURRENT_SCHEMA_VERSION,
+      partial: selection.partial,
+      includes: { ...selection.includes, files: false },
+      settings: selection.includes.settings ? state.settings : undefined,
+      reader: selection.includes.settings ? state.reader : undefined,
+      books: selection.books,
+      contents,
+      notes: selection.notes
+    }, "export data");
+    return serialized ? new Blob([serialized], { type: "application/json" }) : null;
+  }
+
+  // Import sources share one shape whatever the file format:
+  //   { payload, contentCount, eachContentBatch(fn) }
+  // payload is the legacy export object without its contents; eachContentBatch calls fn with arrays
+  // of content records (fileData included for archives) and awaits it before reading the next batch.
+  function createArrayImportSource(parsed) {
+    const contents = Array.isArray(parsed.contents) ? parsed.contents : [];
+    return {
+      payload: parsed,
+      contentCount: contents.length,
+      async eachContentBatch(fn) {
+        for (let i = 0; i < contents.length; i += IMPORT_CONTENT_BATCH_SIZE) {
+          await fn(contents.slice(i, i + IMPORT_CONTENT_BATCH_SIZE));
+        }
+      }
+    };
+  }
+
+  async function openBackupArchive(bytes) {
+    if (!window.JSZip) throw new Error("JSZip is required to read backup archives.");
+    const zip = await window.JSZip.loadAsync(bytes);
+    const readJson = async (name, fallback) => {
+      const entry = name ? zip.file(name) : null;
+      if (!entry) return fallback;
+      return safeParseJSON(await entry.async("string"), fallback, `backup entry ${name}`);
+    };
+    const manifest = await readJson("manifest.json", null);
+    if (manifest?.format !== BACKUP_FORMAT) throw new Error("This ZIP file is not a SwiftReader backup.");
+    if (manifest.formatVersion > BACKUP_FORMAT_VERSION) {
+      throw new Error("This backup was made by a newer version of SwiftReader.");
+    }
+    const settingsEntry = await readJson(manifest.settings, {});
+    const entries = (Array.isArray(manifest.books) ? manifest.books : []).filter(item => item?.entry);
+
+    // Book records are small next to their content, so they are read up front (the merge needs
+    // them); the content is re-read batch by batch and dropped once written.
+    const books = [];
+    for (const item of entries) {
+      const record = await readJson(item.entry, null);
+      if (record?.book) books.push(record.book);
+    }
+    return {
+      payload: {
+        exportedAt: manifest.exportedAt,
+        app: manifest.app,
+        version: manifest.version,
+        settings: settingsEntry?.settings,
+        reader: settingsEntry?.reader,
+        lastOpenedBookId: settingsEntry?.lastOpenedBookId || null,
+        partial: !!manifest.partial,
+        includes: { ...EXPORT_INCLUDES_ALL, ...(manifest.includes || {}) },
+        books,
+        notes: await readJson(manifest.notes, [])
+      },
+      contentCount: entries.length,
+      async eachContentBatch(fn) {
+        for (let i = 0; i < entries.length; i += IMPORT_CONTENT_BATCH_SIZE) {
+          const batch = [];
+          for (const item of entries.slice(i, i + IMPORT_CONTENT_BATCH_SIZE)) {
+            const record = await readJson(item.entry, null);
+            if (!record?.book || !record.content) continue;
+            const original = item.file ? zip.file(item.file) : null;
+            batch.push({
+              ...record.content,
+              bookId: record.book.id,
+              fileData: original ? await original.async("arraybuffer") : null
+            });
+          }
+          await fn(batch);
+        }
+      }
+    };
+  }
+
+  // Opens an export file's bytes as an import source: a backup archive or the legacy single JSON
+  // file. Null if it is neither.
+  async function openImportSource(bytes) {
+    if (isZipData(bytes)) return openBackupArchive(bytes);
+    const parsed = safeParseJSON(new TextDecoder().decode(bytes), null, "import file");
+    return parsed && typeof parsed === "object" ? createArrayImportSource(parsed.state ? parsed.state : parsed) : null;
+  }
+
+  /* ---------------------------
+     Export dialog
+     Picks the books (all, chosen, by tag or by search) and what to include for exportData.
+  --------------------------- */
+  let exportDialogOpener = null;
+
+  function openExportDialog(opener) {
+    if (!modalExport) {
+      void exportData(opener);
+      return;
+    }
+    exportDialogOpener = opener || null;
+    if (exportScopeSelect) exportScopeSelect.value = "all";
+    if (exportTagSelect) {
+      const tags = Array.from(new Set(state.library.books.flatMap(b => b.tags || []))).sort((a, b) => a.localeCompare(b));
+      exportTagSelect.innerHTML = "";
+      tags.forEach(tag => {
+        const option = document.createElement("option");
+        option.value = tag;
+        option.textContent = tag;
+        exportTagSelect.appendChild(option);
+      });
+    }
+    if (exportFilterInput) exportFilterInput.value = (librarySearch?.value || "").trim();
+    if (exportBookList) {
+      exportBookList.innerHTML = "";
+      [...state.library.books]
+        .sort((a, b) => String(a.title).localeCompare(String(b.title)))
+        .forEach(book => {
+          const li = document.createElement("li");
+          const label = document.createElement("label");
+          label.className = "checkbox";
+          const input = document.createElement("input");
+          input.type = "checkbox";
+          input.value = book.id;
+          // The open book is the usual "send this one to a colleague" case.
+          input.checked = book.id === selectedBookId;
+          const span = document.createElement("span");
+          span.textContent = book.author ? `${book.title} — ${book.author}` : book.title;
+          label.append(input, span);
+          li.appendChild(label);
+          exportBookList.appendChild(li);
+        });
+    }
+    [exportIncludeContents, exportIncludeFiles, exportIncludeNotes, exportIncludeBookmarks, exportIncludeSettings]
+      .forEach(input => {
+        if (input) input.checked = true;
+      });
+    updateExportDialog();
+    openModal(modalExport, opener);
+  }
+
+  function getExportDialogBooks() {
+    const scope = exportScopeSelect?.value || "all";
+    const books = state.library.books;
+    if (scope === "chosen") {
+      const ids = new Set(Array.from(exportBookList?.querySelectorAll("input:checked") || [], input => input.value));
+      return books.filter(b => ids.has(b.id));
+    }
+    if (scope === "tag") {
+      const tag = exportTagSelect?.value || "";
+      return tag ? books.filter(b => (b.tags || []).includes(tag)) : [];
+    }
+    if (scope === "filter") {
+      const q = (exportFilterInput?.value || "").trim().toLowerCase();
+      return q ? books.filter(b => bookMatchesQuery(b, q)) : books;
+    }
+    return books;
+  }
+
+  function getExportDialogOptions() {
+    const scope = exportScopeSelect?.value || "all";
+    return {
+      bookIds: scope === "all" ? null : new Set(getExportDialogBooks().map(b => b.id)),
+      includes: {
+        contents: !!exportIncludeContents?.checked,
+        files: !!exportIncludeContents?.checked && !!exportIncludeFiles?.checked,
+        notes: !!exportIncludeNotes?.checked,
+        bookmarks: !!exportIncludeBookmarks?.checked,
+        settings: !!exportIncludeSettings?.checked
+      }
+    };
+  }
+
+  function updateExportDialog() {
+    const scope = exportScopeSelect?.value || "all";
+    if (exportTagRow) exportTagRow.hidden = scope !== "tag";
+    if (exportFilterRow) exportFilterRow.hidden = scope !== "filter";
+    if (exportBookList) exportBookList.hidden = scope !== "chosen";
+    // Original files travel with the book text.
+    if (exportIncludeFiles) exportIncludeFiles.disabled = !exportIncludeContents?.checked;
+
+    const { bookIds, includes } = getExportDialogOptions();
+    const bookCount = bookIds ? bookIds.size : state.library.books.length;
+    const noteCount = includes.notes
+      ? state.notes.filter(n => !bookIds || bookIds.has(n.bookId)).length
+      : 0;
+    const empty = !bookCount && !noteCount && !includes.settings;
+    if (exportSummary) {
+      exportSummary.textContent = empty
+        ? "Nothing to export with these choices."
+        : `Exports ${describeBundleContents(bookCount, noteCount)}${includes.settings && (bookCount || noteCount) ? " and settings" : ""}.`;
+    }
+    if (exportConfirmBtn) exportConfirmBtn.disabled = empty;
+  }
+
+  /* ---------------------------
+     Import merge
+     Before a merge writes anything, each incoming book and note is compared with the local one of
+     the same id:
+       new          not in the library
+       unchanged    identical, or the local copy is ahead in every respect
+       updated      the import is newer and the local copy has nothing it lacks
+       conflicting  each side has something the other lacks
+     The user confirms or changes the choice per item. Merging a book keeps the local text, takes the
+     newer details (by updatedAt) and, when both count the same tokens, the furthest reading position
+     and the union of both bookmark lists (by id).
+  --------------------------- */
+  const MERGE_REVIEW_MAX_ROWS = 200;
+  const MERGE_STATUS_LABELS = {
+    new: "New",
+    updated: "Updated",
+    conflicting: "Conflict",
+    unchanged: "Unchanged"
+  };
+  const MERGE_CHOICE_LABELS = {
+    add: "Add",
+    skip: "Skip",
+    import: "Use imported",
+    keep: "Keep mine",
+    merge: "Merge both"
+  };
+
+  function toTime(value) {
+    const time = Date.parse(value || "");
+    return Number.isFinite(time) ? time : 0;
+  }
 
-      li.addEventListener("click", () => void selectNote(n.id));
-      li.addEventListener("keydown", (e) => {
-        if (e.key === "Enter") void selectNote(n.id);
-      });
+  function laterISO(a, b) {
+    return toTime(a) >= toTime(b) ? a : b;
+  }
 
-      notesAllList.appendChild(li);
-    });
+  function getBookmarkKey(bookmark) {
+    return bookmark?.id || `${bookmark?.index}:${bookmark?.createdAt}`;
+  }
 
-    // If selected note disappeared, clear preview
-    if (selectedNoteId && !state.notes.find(n => n.id === selectedNoteId)) {
-      selectedNoteId = null;
-      clearNotePreview();
-    } else if (selectedNoteId) {
-      // Keep preview updated
-      void selectNote(selectedNoteId, true);
+  function unionBookmarks(local = [], incoming = []) {
+    const byKey = new Map();
+    [...local, ...incoming].forEach(bookmark => {
+      if (!bookmark) return;
+      const key = getBookmarkKey(bookmark);
+      const previous = byKey.get(key);
+      if (!previous || toTime(bookmark.updatedAt || bookmark.createdAt) > toTime(previous.updatedAt || previous.createdAt)) {
+        byKey.set(key, bookmark);
+      }
+    });
+    return Array.from(byKey.values()).sort((a, b) => toTime(b.createdAt) - toTime(a.createdAt));
+  }
+
+  function getBookDetailsKey(book) {
+    return JSON.stringify([book.title, book.author, book.tags, book.readerState?.wpm, book.readerState?.pause]);
+  }
+
+  function formatBookPercent(book) {
+    const total = Math.max(1, book.tokenCount || 0);
+    return `${Math.round(clamp((book.progress?.index || 0) / total, 0, 1) * 100)}%`;
+  }
+
+  // What each side has that the other lacks, as short phrases for the review list.
+  function diffBookForMerge(local, incoming) {
+    const sameText = local.tokenCount === incoming.tokenCount
+      && (!local.source?.contentHash || !incoming.source?.contentHash || local.source.contentHash === incoming.source.contentHash);
+    const detailsTime = toTime(incoming.updatedAt) - toTime(local.updatedAt);
+    const detailsDiffer = getBookDetailsKey(local) !== getBookDetailsKey(incoming);
+    const incomingGains = [];
+    const localGains = [];
+    if (sameText) {
+      const localKeys = new Set((local.progress?.bookmarks || []).map(getBookmarkKey));
+      const incomingKeys = new Set((incoming.progress?.bookmarks || []).map(getBookmarkKey));
+      const added = [...incomingKeys].filter(key => !localKeys.has(key)).length;
+      const missing = [...localKeys].filter(key => !incomingKeys.has(key)).length;
+      if (added) incomingGains.push(`${added} bookmark${added === 1 ? "" : "s"}`);
+      if (missing) localGains.push(`${missing} bookmark${missing === 1 ? "" : "s"}`);
+      const ahead = (incoming.progress?.index || 0) - (local.progress?.index || 0);
+      if (ahead > 0) incomingGains.push(`further position (${formatBookPercent(incoming)})`);
+      if (ahead < 0) localGains.push(`further position (${formatBookPercent(local)})`);
+    } else if (detailsTime > 0) {
+      incomingGains.push("newer text");
+    } else {
+      localGains.push("newer text");
+    }
+    if (detailsDiffer) {
+      if (detailsTime >= 0) incomingGains.push("newer title, tags or settings");
+      if (detailsTime <= 0) localGains.push("newer title, tags or settings");
     }
+    const status = !incomingGains.length ? "unchanged" : (localGains.length ? "conflicting" : "updated");
+    return { status, sameText, incomingGains, localGains };
   }
 
-  async function selectNote(noteId, silent = false) {
-    const note = state.notes.find(n => n.id === noteId);
-    if (!note) return;
-    if (!notePreviewBook || !notePreviewText || !noteEdit) return;
-    selectedNoteId = noteId;
+  function mergeBookRecords(local, incoming) {
+    const { sameText } = diffBookForMerge(local, incoming);
+    const newer = toTime(incoming.updatedAt) > toTime(local.updatedAt) ? incoming : local;
+    const furthest = sameText && (incoming.progress?.index || 0) > (local.progress?.index || 0) ? incoming : local;
+    const openedAt = [local.stats?.openedAt, incoming.stats?.openedAt].filter(Boolean).sort()[0] || null;
+    // Text-bound fields (source, counts, cleanup options) stay with the local text.
+    return {
+      ...local,
+      title: newer.title,
+      author: newer.author,
+      tags: newer.tags,
+      updatedAt: laterISO(local.updatedAt, incoming.updatedAt),
+      progress: {
+        ...furthest.progress,
+        updatedAt: laterISO(local.progress?.updatedAt, incoming.progress?.updatedAt),
+        bookmarks: sameText
+          ? unionBookmarks(local.progress?.bookmarks, incoming.progress?.bookmarks)
+          : (local.progress?.bookmarks || [])
+      },
+      readerState: {
+        ...local.readerState,
+        wpm: newer.readerState?.wpm ?? local.readerState?.wpm,
+        pause: newer.readerState?.pause ?? local.readerState?.pause,
+        currentWordIndex: furthest.readerState?.currentWordIndex ?? 0,
+        currentPdfPage: furthest.readerState?.currentPdfPage ?? 1
+      },
+      stats: {
+        openedAt,
+        lastSessionAt: laterISO(local.stats?.lastSessionAt, incoming.stats?.lastSessionAt) || null,
+        totalReadWords: Math.max(local.stats?.totalReadWords || 0, incoming.stats?.totalReadWords || 0)
+      }
+    };
+  }
 
-    const noteWordIndex = typeof note.wordIndex === "number"
-      ? note.wordIndex
-      : getWordIndexForTokenIndex(note.bookId, note.index ?? 0);
-    notePreviewBook.textContent = `${note.bookTitle || "—"} • at word ${noteWordIndex + 1}`;
-    notePreviewText.textContent = note.text;
-    noteEdit.value = note.text;
+  function getNoteMergeKey(note) {
+    return JSON.stringify([note.text, note.index, note.type || "", note.color || "", note.startWordIndex, note.endWordIndex]);
+  }
 
-    if (!silent) {
-      // Also open the related book and jump to note location
-      const book = getBook(note.bookId);
-      if (book) {
-        await openBookInReader(book.id);
-        setView("reader");
-        stepWords(0); // re-render
-        const tokenIndex = typeof note.index === "number"
-          ? note.index
-          : getTokenIndexForWordIndex(note.bookId, noteWordIndex);
-        setTokenIndex(tokenIndex, { fromPlayback: false, syncPageView: true });
-        renderReaderNotes();
+  function diffNoteForMerge(local, incoming) {
+    if (getNoteMergeKey(local) === getNoteMergeKey(incoming)) return "unchanged";
+    return toTime(incoming.updatedAt) > toTime(local.updatedAt) ? "updated" : "conflicting";
+  }
+
+  function getMergeChoices(status, kind) {
+    if (status === "new") return ["add", "skip"];
+    if (status === "updated") return ["import", "keep"];
+    if (status === "conflicting") return kind === "book" ? ["merge", "import", "keep"] : ["keep", "import"];
+    return [];
+  }
+
+  // { books: Map(id → item), notes: Map(id → item), items } where item is
+  // { kind, id, status, label, detail, choices, choice }. Unchanged items have no choice.
+  function buildMergePlan(incomingBooks, incomingNotes) {
+    const items = [];
+    const books = new Map();
+    const notes = new Map();
+    const addItem = (map, item) => {
+      item.choices = getMergeChoices(item.status, item.kind);
+      item.choice = item.choices[0] || null;
+      map.set(item.id, item);
+      items.push(item);
+    };
+    incomingBooks.forEach(incoming => {
+      const local = getBook(incoming.id);
+      if (!local) {
+        addItem(books, { kind: "book", id: incoming.id, status: "new", label: incoming.title, detail: incoming.author || "" });
+        return;
+      }
+      const diff = diffBookForMerge(local, incoming);
+      const detail = [
+        diff.incomingGains.length ? `Import has ${diff.incomingGains.join(", ")}` : "",
+        diff.localGains.length ? `yours has ${diff.localGains.join(", ")}` : ""
+      ].filter(Boolean).join("; ");
+      addItem(books, { kind: "book", id: incoming.id, status: diff.status, label: incoming.title, detail });
+    });
+    const localNotes = new Map(state.notes.map(n => [n.id, n]));
+    incomingNotes.forEach(incoming => {
+      const local = localNotes.get(incoming.id);
+      const status = local ? diffNoteForMerge(local, incoming) : "new";
+      const label = `${incoming.type === "highlight" ? "Highlight" : "Note"} in ${incoming.bookTitle || "an unknown book"}`;
+      const text = getNoteLabel(incoming) || "";
+      addItem(notes, { kind: "note", id: incoming.id, status, label, detail: text.length > 80 ? text.slice(0, 80) + "…" : text });
+    });
+    return { books, notes, items };
+  }
+
+  function countMergeStatuses(items) {
+    const counts = { new: 0, updated: 0, conflicting: 0, unchanged: 0 };
+    items.forEach(item => {
+      counts[item.status] += 1;
+    });
+    return counts;
+  }
+
+  // Shows the plan and lets the user change choices. Resolves to true to import, false to cancel.
+  function reviewMergePlan(plan) {
+    if (!modalMerge || !mergeList) return Promise.resolve(true);
+    const counts = countMergeStatuses(plan.items);
+    if (mergeSummary) {
+      mergeSummary.textContent = ["new", "updated", "conflicting", "unchanged"]
+        .map(status => `${counts[status]} ${status}`)
+        .join(" • ");
+    }
+    const order = { conflicting: 0, updated: 1, new: 2 };
+    const reviewable = plan.items
+      .filter(item => item.status !== "unchanged")
+      .sort((a, b) => order[a.status] - order[b.status] || (a.kind === b.kind ? 0 : a.kind === "book" ? -1 : 1));
+    mergeList.innerHTML = "";
+    reviewable.slice(0, MERGE_REVIEW_MAX_ROWS).forEach(item => {
+      const li = document.createElement("li");
+      li.className = `merge-item is-${item.status}`;
+      const info = document.createElement("div");
+      const head = document.createElement("div");
+      head.className = "merge-item-head";
+      const badge = document.createElement("span");
+      badge.className = "import-queue-badge";
+      badge.textContent = MERGE_STATUS_LABELS[item.status];
+      const title = document.createElement("span");
+      title.className = "merge-item-title";
+      title.textContent = item.label || "Untitled";
+      head.append(badge, title);
+      info.appendChild(head);
+      if (item.detail) {
+        const detail = document.createElement("div");
+        detail.className = "merge-item-detail";
+        detail.textContent = item.detail;
+        info.appendChild(detail);
       }
+      const select = document.createElement("select");
+      select.className = "select";
+      select.setAttribute("aria-label", `Choice for ${item.label || "item"}`);
+      item.choices.forEach(choice => {
+        const option = document.createElement("option");
+        option.value = choice;
+        option.textContent = MERGE_CHOICE_LABELS[choice];
+        select.appendChild(option);
+      });
+      select.value = item.choice;
+      select.addEventListener("change", () => {
+        item.choice = select.value;
+      });
+      li.append(info, select);
+      mergeList.appendChild(li);
+    });
+    if (mergeMore) {
+      const more = reviewable.length - MERGE_REVIEW_MAX_ROWS;
+      mergeMore.hidden = more <= 0;
+      mergeMore.textContent = more > 0 ? `${more} more item${more === 1 ? "" : "s"} use the first choice for their status.` : "";
     }
+    openModal(modalMerge, document.activeElement);
+    return new Promise(resolve => {
+      mergeReviewResolver = resolve;
+    });
   }
 
-  function clearNotePreview() {
-    if (notePreviewBook) notePreviewBook.textContent = "—";
-    if (notePreviewText) notePreviewText.textContent = "Select a note to view/edit.";
-    if (noteEdit) noteEdit.value = "";
+  function resolveMergeReview(proceed) {
+    if (activeModal === modalMerge) closeModal(modalMerge);
+    if (mergeReviewResolver) {
+      mergeReviewResolver(!!proceed);
+      mergeReviewResolver = null;
+    }
   }
 
   /* ---------------------------
      Export / Import
   --------------------------- */
-  async function exportData() {
-    const books = state.library.books.map(b => normalizeBook(b));
-    const notes = idbReady ? await idbGetAll(DB_STORES.notes) : state.notes;
-    let contents = [];
-    if (idbReady) {
-      contents = await idbGetAll(DB_STORES.contents);
-    } else {
-      contents = books
-        .filter(b => b.text || (b.tokens && b.tokens.length))
-        .map(b => ({
-          bookId: b.id,
-          rawText: b.text || "",
-          tokens: b.tokens || [],
-          tokenCount: (b.tokens || []).length,
-          updatedAt: b.updatedAt || nowISO()
-        }));
-    }
-
-    const safeContents = contents.map(content => ({
-      ...content,
-      fileData: null
-    }));
-
-    const payload = {
-      exportedAt: nowISO(),
-      app: "SwiftReader",
-      version: CURRENT_SCHEMA_VERSION,
-      settings: state.settings,
-      reader: state.reader,
-      books,
-      contents: safeContents,
-      notes
-    };
+  // options: { bookIds, includes } from the export dialog; no options exports everything.
+  async function exportData(triggerBtn, options = {}) {
+    const date = new Date().toISOString().slice(0, 10);
+    let blob = null;
+    let contentType = "application/zip";
+    let filename = `swiftreader-backup-${date}.zip`;
+    setButtonLoading(triggerBtn, true, "Exporting…");
+    try {
+      const selection = await selectExportData(options);
+      if (selection.partial) filename = `swiftreader-export-${date}.zip`;
+      if (window.JSZip) {
+        blob = await buildBackupArchive(selection, {
+          onProgress: fraction => setButtonLoading(triggerBtn, true, `Exporting… ${Math.round(fraction * 100)}%`)
+        });
+      } else {
+        blob = await buildLegacyExport(selection);
+        if (!blob) return;
+        contentType = "application/json";
+        filename = `swiftreader-export-${date}.json`;
+      }
+    } catch (err) {
+      console.error("Export failed", err);
+      showToast({ title: "Export failed", message: err?.message || "The backup could not be created.", type: "error" });
+      return;
+    } finally {
+      setButtonLoading(triggerBtn, false);
+    }
 
-    const serialized = safeStringifyJSON(payload, "export data");
-    if (!serialized) return;
-    const blob = new Blob([serialized], { type: "application/json" });
+    if (state.settings.encryptExport) {
+      const passphrase = await askPassphrase({
+        title: "Encrypt export",
+        message: "Choose a passphrase for this export. It can't be recovered: without it the file can't be imported.",
+        okText: "Encrypt and export",
+        confirm: true
+      });
+      if (!passphrase) {
+        showToast({ title: "Export cancelled", message: "No file was written.", type: "info" });
+        return;
+      }
+      setButtonLoading(triggerBtn, true, "Encrypting…");
+      try {
+        // AES-GCM has no streaming mode in WebCrypto, so the archive is encrypted in one piece.
+        blob = await encryptExportPayload(new Uint8Array(await blob.arrayBuffer()), passphrase, contentType);
+        filename += ".enc";
+      } catch (err) {
+        console.error("Export encryption failed", err);
+        showToast({ title: "Encryption failed", message: err?.message || "The export could not be encrypted.", type: "error" });
+        return;
+      } finally {
+        setButtonLoading(triggerBtn, false);
+      }
+    }
     const url = URL.createObjectURL(blob);
     const a = document.createElement("a");
     a.href = url;
-    a.download = `swiftreader-export-${new Date().toISOString().slice(0, 10)}.json`;
+    a.download = filename;
     document.body.appendChild(a);
     a.click();
     a.remove();
     URL.revokeObjectURL(url);
-    showToast({ title: "Export ready", message: "Your data download has started.", type: "success" });
+    showToast({
+      title: "Export ready",
+      message: state.settings.encryptExport ? "Your encrypted data download has started." : "Your data download has started.",
+      type: "success"
+    });
   }
 
   function importData(triggerBtn) {
     const input = document.createElement("input");
     input.type = "file";
-    input.accept = ".json,application/json";
+    input.accept = ".zip,.json,.enc,application/zip,application/json";
     input.addEventListener("change", async () => {
       setButtonLoading(triggerBtn, true, "Importing…");
       const file = input.files?.[0];
@@ -4935,113 +9148,500 @@ Paragraph two begins here. Commas, periods, and paragraph breaks can pause sligh
         return;
       }
       try {
-        const text = await fileToTextAsync(file);
-        const parsed = safeParseJSON(text, null, "import file");
-        if (!parsed || typeof parsed !== "object") {
-          showToast({ title: "Invalid file", message: "This JSON file could not be read.", type: "error" });
+        let bytes = null;
+        let source = null;
+        try {
+          bytes = await readExportFileBytes(file);
+          if (bytes) source = await openImportSource(bytes);
+        } catch (err) {
+          console.error("Reading import file failed", err);
+          showToast({
+            title: err?.reason === "tampered" ? "File was modified" : "Can't read file",
+            message: err?.message || "This file could not be read.",
+            type: "error",
+            duration: 7000
+          });
           return;
         }
-        const imported = parsed.state ? parsed.state : parsed;
-        const migratedImport = migrateState(imported);
-        const incomingBooks = Array.isArray(migratedImport.library?.books) ? migratedImport.library.books : [];
-        const incomingNotes = Array.isArray(migratedImport.notes) ? migratedImport.notes : [];
-        const incomingContents = Array.isArray(imported.contents) ? imported.contents : [];
-        const incomingSettings = migratedImport.settings || imported.settings || imported.state?.settings;
-        const incomingReader = migratedImport.reader || imported.reader || imported.state?.reader;
-
-        if (!incomingBooks.length && !incomingNotes.length && !incomingContents.length) {
-          showToast({ title: "No data found", message: "Import file does not contain library data.", type: "error" });
+        if (bytes === null) {
+          showToast({ title: "Import cancelled", message: "Your library was not changed.", type: "info" });
           return;
         }
+        if (!source) {
+          showToast({ title: "Invalid file", message: "This file is not a SwiftReader export.", type: "error" });
+          return;
+        }
+        await importFromSource(source, triggerBtn);
+      } finally {
+        setButtonLoading(triggerBtn, false);
+      }
+    });
+    input.click();
+  }
 
-        const replace = await openConfirm({
-          title: "Import data",
-          message: "Replace current library with imported data? Choose Cancel to merge instead.",
-          confirmText: "Replace data",
-          cancelText: "Merge instead"
-        });
+  // Imports an opened source (see openImportSource). restoring replaces the library without asking:
+  // restoreSnapshot has already confirmed.
+  async function importFromSource(source, triggerBtn, { restoring = false } = {}) {
+    const imported = source.payload;
+    const migratedImport = migrateState({ ...imported, contents: undefined });
+    // Partial exports (some books, or some kinds of data) only ever merge, and what they leave
+    // out is left alone locally.
+    const includes = { ...EXPORT_INCLUDES_ALL, ...(imported.includes || {}) };
+    const partial = !!imported.partial;
+    const incomingBooks = (Array.isArray(migratedImport.library?.books) ? migratedImport.library.books : [])
+      .filter(b => includes.contents || getBook(b.id));
+    const incomingNotes = Array.isArray(migratedImport.notes) ? migratedImport.notes : [];
+    // migrateState fills in default settings, so only take them when the file has its own.
+    const incomingSettings = includes.settings && imported.settings ? migratedImport.settings : null;
+    const incomingReader = includes.settings && imported.reader ? migratedImport.reader : null;
+
+    if (!incomingBooks.length && !incomingNotes.length && !source.contentCount) {
+      showToast({ title: "No data found", message: "Import file does not contain library data.", type: "error" });
+      return;
+    }
 
-        if (replace) {
-          state = defaultState();
-          await resetIndexedDb();
-        }
+    let replace = restoring;
+    if (partial && !restoring) {
+      const merge = await openConfirm({
+        title: "Import partial export",
+        message: `This file holds ${describeBundleContents(incomingBooks.length, incomingNotes.length)}. Merge it into your library? Other books, notes and settings stay as they are.`,
+        confirmText: "Merge"
+      });
+      if (!merge) {
+        showToast({ title: "Import cancelled", message: "Your library was not changed.", type: "info" });
+        return;
+      }
+    } else if (!restoring) {
+      replace = await openConfirm({
+        title: "Import data",
+        message: "Replace current library with imported data? Choose Cancel to merge instead.",
+        confirmText: "Replace data",
+        cancelText: "Merge instead"
+      });
+    }
 
-        if (incomingSettings) {
-          state.settings = { ...state.settings, ...incomingSettings };
-        }
-        if (incomingReader) {
-          state.reader = { ...state.reader, ...incomingReader };
-        }
-        if (migratedImport.lastOpenedBookId) {
-          state.lastOpenedBookId = migratedImport.lastOpenedBookId;
-          state.library.lastOpenedBookId = migratedImport.lastOpenedBookId;
-        }
+    // Incoming books whose content matches a different local book (merge only).
+    const duplicateIds = new Map();
+    if (!replace) {
+      incomingBooks.forEach(b => {
+        const match = getBook(b.id) ? null : findBookByContentHash(b.source?.contentHash, { excludeId: b.id });
+        if (match) duplicateIds.set(b.id, match.id);
+      });
+    }
+    let duplicateAction = "copy";
+    if (duplicateIds.size) {
+      duplicateAction = await openChoice({
+        title: "Duplicate books",
+        message: `${duplicateIds.size} imported ${duplicateIds.size === 1 ? "book matches a book" : "books match books"} already in your library. Keep the existing ${duplicateIds.size === 1 ? "copy" : "copies"}, replace ${duplicateIds.size === 1 ? "its" : "their"} content (keeping progress and notes), or import ${duplicateIds.size === 1 ? "a separate copy" : "separate copies"}?`,
+        choices: [
+          { value: "keep", label: "Keep existing" },
+          { value: "replace", label: "Replace content" },
+          { value: "copy", label: duplicateIds.size === 1 ? "Import as copy" : "Import as copies" }
+        ],
+        cancelText: "Cancel import"
+      });
+      if (!duplicateAction) {
+        showToast({ title: "Import cancelled", message: "Your library was not changed.", type: "info" });
+        return;
+      }
+      if (duplicateAction === "copy") duplicateIds.clear();
+    }
+    // Notes and content of a kept/replaced duplicate move to the local book id.
+    const resolveBookId = bookId => duplicateIds.get(bookId) || bookId;
 
-        if (incomingBooks.length) {
-          const normalized = incomingBooks.map(b => normalizeBook(b));
-          if (replace) {
-            state.library.books = normalized;
-          } else {
-            const existing = new Map(state.library.books.map(b => [b.id, b]));
-            normalized.forEach(b => existing.set(b.id, b));
-            state.library.books = Array.from(existing.values());
-          }
+    const preparedBooks = incomingBooks.map(b => {
+      const incoming = normalizeBook(b);
+      if (!includes.bookmarks) {
+        incoming.progress = { ...incoming.progress, bookmarks: getBook(incoming.id)?.progress?.bookmarks || [] };
+      }
+      return incoming;
+    });
+    const preparedNotes = incomingNotes.map(n => normalizeNote({ ...n, bookId: resolveBookId(n.bookId) }));
+
+    // Merges are reviewed item by item before anything is written.
+    let mergePlan = null;
+    if (!replace) {
+      mergePlan = buildMergePlan(preparedBooks.filter(b => !duplicateIds.has(b.id)), preparedNotes);
+      const counts = countMergeStatuses(mergePlan.items);
+      if (counts.new + counts.updated + counts.conflicting) {
+        const proceed = await reviewMergePlan(mergePlan);
+        if (!proceed) {
+          showToast({ title: "Import cancelled", message: "Your library was not changed.", type: "info" });
+          return;
         }
+      } else if (!duplicateIds.size && !incomingSettings && !incomingReader) {
+        showToast({ title: "Already up to date", message: "Your library already has everything in this file.", type: "info" });
+        return;
+      }
+    }
 
-        if (incomingNotes.length) {
-          const normalizedNotes = incomingNotes.map(n => normalizeNote(n));
-          if (replace) {
-            state.notes = normalizedNotes;
-          } else {
-            const existing = new Map(state.notes.map(n => [n.id, n]));
-            normalizedNotes.forEach(n => existing.set(n.id, n));
-            state.notes = Array.from(existing.values());
+    if (replace) {
+      const proceed = await snapshotBeforeChange(restoring ? "restore" : "import", triggerBtn);
+      if (!proceed) {
+        showToast({ title: "Import cancelled", message: "Your library was not changed.", type: "info" });
+        return;
+      }
+      setButtonLoading(triggerBtn, true, restoring ? "Restoring…" : "Importing…");
+      state = defaultState();
+      await resetIndexedDb();
+    }
+
+    if (incomingSettings) {
+      state.settings = { ...state.settings, ...incomingSettings };
+    }
+    if (incomingReader) {
+      state.reader = { ...state.reader, ...incomingReader };
+    }
+    if (migratedImport.lastOpenedBookId && !partial) {
+      state.lastOpenedBookId = migratedImport.lastOpenedBookId;
+      state.library.lastOpenedBookId = migratedImport.lastOpenedBookId;
+    }
+
+    // Incoming book ids whose content (text and original file) is written below.
+    const contentBookIds = new Set();
+    const skippedBookIds = new Set();
+    if (preparedBooks.length) {
+      const normalized = [];
+      preparedBooks.forEach(incoming => {
+        const localId = duplicateIds.get(incoming.id);
+        if (!localId) {
+          const choice = replace ? "import" : mergePlan.books.get(incoming.id)?.choice;
+          if (choice === "add" || choice === "import") {
+            normalized.push(incoming);
+            contentBookIds.add(incoming.id);
+          } else if (choice === "merge") {
+            normalized.push(mergeBookRecords(getBook(incoming.id), incoming));
+          } else if (choice === "skip") {
+            skippedBookIds.add(incoming.id);
           }
+          return;
         }
+        const local = getBook(localId);
+        if (duplicateAction !== "replace" || !local) return;
+        contentBookIds.add(incoming.id);
+        normalized.push({
+          ...local,
+          updatedAt: nowISO(),
+          sourceType: incoming.sourceType,
+          type: incoming.type,
+          source: incoming.source,
+          wordCount: incoming.wordCount,
+          tokenCount: incoming.tokenCount
+        });
+      });
+      if (replace) {
+        state.library.books = normalized;
+      } else {
+        const existing = new Map(state.library.books.map(b => [b.id, b]));
+        normalized.forEach(b => existing.set(b.id, b));
+        state.library.books = Array.from(existing.values());
+      }
+    }
 
-        for (const book of state.library.books) {
-          await persistBookMetadataToIdb(book.id);
-        }
+    if (preparedNotes.length) {
+      if (replace) {
+        state.notes = preparedNotes;
+      } else {
+        // Notes of a skipped new book would have nothing to belong to.
+        const existing = new Map(state.notes.map(n => [n.id, n]));
+        preparedNotes.forEach(n => {
+          const choice = mergePlan.notes.get(n.id)?.choice;
+          if ((choice === "add" || choice === "import") && !skippedBookIds.has(n.bookId)) existing.set(n.id, n);
+        });
+        state.notes = Array.from(existing.values());
+      }
+    }
 
-        if (incomingContents.length) {
-          for (const content of incomingContents) {
-            const entry = {
-              bookId: content.bookId,
-              rawText: content.rawText || "",
-              tokens: Array.isArray(content.tokens) ? content.tokens : [],
-              tokenCount: typeof content.tokenCount === "number" ? content.tokenCount : (content.tokens || []).length,
-              updatedAt: content.updatedAt || nowISO(),
-              pageRanges: Array.isArray(content.pageRanges) ? content.pageRanges : [],
-              fileData: content.fileData || null,
-              fileType: content.fileType || null,
-              pdfTotalPages: typeof content.pdfTotalPages === "number" ? content.pdfTotalPages : null
-            };
-            await idbPut(DB_STORES.contents, entry);
-            contentCache.set(content.bookId, entry);
-          }
-        }
+    if (idbReady) {
+      await idbPutMany(DB_STORES.books, state.library.books.map(b => ({ ...normalizeBook(b), text: "", tokens: [] })));
+    }
+
+    let contentsDone = 0;
+    await source.eachContentBatch(async batch => {
+      const entries = [];
+      for (const content of batch) {
+        if (!replace && !contentBookIds.has(content.bookId)) continue;
+        const bookId = resolveBookId(content.bookId);
+        if (pdfState.currentBookId === bookId) resetPdfViewer();
+        if (epubState.currentBookId === bookId) resetEpubViewer();
+        // Exports without original files don't remove the ones already stored here.
+        const local = !replace && !content.fileData ? await idbGet(DB_STORES.contents, bookId) : null;
+        entries.push({
+          bookId,
+          rawText: content.rawText || "",
+          tokens: Array.isArray(content.tokens) ? content.tokens : [],
+          tokenCount: typeof content.tokenCount === "number" ? content.tokenCount : (content.tokens || []).length,
+          updatedAt: content.updatedAt || nowISO(),
+          pageRanges: Array.isArray(content.pageRanges) ? content.pageRanges : [],
+          toc: normalizeToc(content.toc),
+          fileData: content.fileData || local?.fileData || null,
+          fileType: content.fileType || local?.fileType || null,
+          pdfTotalPages: typeof content.pdfTotalPages === "number" ? content.pdfTotalPages : null,
+          html: typeof content.html === "string" ? content.html : "",
+          sourceUrl: typeof content.sourceUrl === "string" ? content.sourceUrl : "",
+          ocr: !!content.ocr
+        });
+      }
+      await idbPutMany(DB_STORES.contents, entries);
+      entries.forEach(({ bookId }) => {
+        // Left for ensureBookContent to load on demand, so a large import isn't kept in memory.
+        contentCache.delete(bookId);
+        wordIndexCache.delete(bookId);
+        pageMapCache.delete(bookId);
+        queueSearchIndexUpdate(bookId, async () => (await idbGet(DB_STORES.contents, bookId))?.tokens || []);
+      });
+      contentsDone += batch.length;
+      setButtonLoading(triggerBtn, true, `Importing… ${contentsDone}/${source.contentCount}`);
+    });
 
-        for (const note of state.notes) {
-          await idbPut(DB_STORES.notes, note);
-        }
+    await idbPutMany(DB_STORES.notes, state.notes);
 
-        state.storage.migratedToIdb = true;
-        state.storage.migratedAt = nowISO();
-        saveState();
+    state.storage.migratedToIdb = true;
+    state.storage.migratedAt = nowISO();
+    saveState();
 
-        stopReader(true);
-        selectedBookId = null;
-        selectedNoteId = null;
-        applyThemeFromSettings();
-        applyReaderStyleSettings();
-        hydrateSettingsUI();
-        renderAll();
-        showToast({ title: "Import completed", message: replace ? "Library replaced." : "Library merged.", type: "success" });
-      } finally {
-        setButtonLoading(triggerBtn, false);
-      }
+    stopReader(true);
+    selectedBookId = null;
+    selectedNoteId = null;
+    applyThemeFromSettings();
+    applyReaderStyleSettings();
+    hydrateSettingsUI();
+    renderAll();
+    if (restoring) {
+      showToast({ title: "Snapshot restored", message: "Your library is back to the snapshot.", type: "success" });
+    } else {
+      showToast({ title: "Import completed", message: replace ? "Library replaced." : "Library merged.", type: "success" });
+    }
+  }
+
+  /* ---------------------------
+     Local snapshots
+     Full backups of the library (the export archive, original files included) kept in their own
+     IndexedDB store, which resetIndexedDb never clears. One is taken before anything replaces or
+     wipes the library (replace-import, restore, reset, repair) and on the schedule chosen in
+     Settings; beyond settings.snapshotKeep the oldest are deleted.
+     Record: { id, createdAt, reason, size, bookCount, noteCount, fingerprint, data: Blob }
+  --------------------------- */
+  const SNAPSHOT_INTERVALS = { daily: 24 * 60 * 60 * 1000, weekly: 7 * 24 * 60 * 60 * 1000 };
+  // The first scheduled check runs shortly after start-up, then hourly while the app stays open.
+  const SNAPSHOT_FIRST_CHECK_MS = 60 * 1000;
+  const SNAPSHOT_CHECK_INTERVAL_MS = 60 * 60 * 1000;
+  const SNAPSHOT_REASON_LABELS = {
+    scheduled: "Scheduled",
+    manual: "Saved manually",
+    import: "Before import",
+    restore: "Before restore",
+    reset: "Before reset",
+    repair: "Before repair"
+  };
+
+  let snapshotQueue = Promise.resolve();
+  let snapshotTimer = null;
+
+  // Newest first, without the archive data.
+  async function listSnapshots() {
+    if (!idbReady) return [];
+    const snapshots = [];
+    await idbForEach(DB_STORES.snapshots, ({ data, ...meta }) => {
+      snapshots.push(meta);
     });
-    input.click();
+    return snapshots.sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+  }
+
+  // Changes whenever a book, its position or a note changes; scheduled snapshots of an unchanged
+  // library are skipped.
+  function getLibraryFingerprint() {
+    return computeContentHash(JSON.stringify([
+      state.library.books.map(b => [b.id, b.updatedAt, b.progress?.updatedAt]),
+      state.notes.map(n => [n.id, n.updatedAt])
+    ]));
+  }
+
+  // Resolves to the stored record, or null when there was nothing to save. Snapshots are taken one
+  // at a time, so a scheduled one still running finishes before the next starts.
+  function createSnapshot(reason, { onProgress } = {}) {
+    const run = snapshotQueue.then(() => writeSnapshot(reason, onProgress));
+    snapshotQueue = run.catch(() => {});
+    return run;
+  }
+
+  async function writeSnapshot(reason, onProgress) {
+    if (!idbReady || (!state.library.books.length && !state.notes.length)) return null;
+    const fingerprint = await getLibraryFingerprint();
+    if (reason === "scheduled") {
+      const [latest] = await listSnapshots();
+      if (latest?.fingerprint === fingerprint) return null;
+    }
+    const selection = await selectExportData();
+    const data = window.JSZip ? await buildBackupArchive(selection, { onProgress }) : await buildLegacyExport(selection);
+    if (!data) throw new Error("The library could not be serialized.");
+    const headroom = await getStorageHeadroom();
+    if (headroom && data.size > headroom.free) {
+      throw new Error(`A snapshot needs about ${formatBytes(data.size)}, more than the storage left.`);
+    }
+    const record = {
+      id: uid("snapshot"),
+      createdAt: nowISO(),
+      reason,
+      size: data.size,
+      bookCount: selection.books.length,
+      noteCount: selection.notes.length,
+      fingerprint,
+      data
+    };
+    await idbPut(DB_STORES.snapshots, record);
+    // Old ones go only once the new one is stored.
+    const stale = (await listSnapshots()).slice(state.settings.snapshotKeep);
+    for (const snapshot of stale) {
+      await idbDelete(DB_STORES.snapshots, snapshot.id);
+    }
+    void renderSnapshotList();
+    updateStorageEstimate();
+    return { ...record, data: undefined };
+  }
+
+  // Called before the library is replaced or wiped. Resolves to false when the snapshot failed and
+  // the user chose not to go on without one. Leaves the button loading; the caller resets it.
+  async function snapshotBeforeChange(reason, triggerBtn) {
+    setButtonLoading(triggerBtn, true, "Saving snapshot…");
+    try {
+      await createSnapshot(reason, {
+        onProgress: fraction => setButtonLoading(triggerBtn, true, `Saving snapshot… ${Math.round(fraction * 100)}%`)
+      });
+      return true;
+    } catch (err) {
+      console.error("Snapshot failed", err);
+      return openConfirm({
+        title: "Snapshot failed",
+        message: `${err?.message || "A snapshot of your library could not be saved."} Continue without one? This can't be undone.`,
+        confirmText: "Continue anyway"
+      });
+    }
+  }
+
+  async function saveSnapshotNow() {
+    setButtonLoading(snapshotNowBtn, true, "Saving…");
+    try {
+      const record = await createSnapshot("manual", {
+        onProgress: fraction => setButtonLoading(snapshotNowBtn, true, `Saving… ${Math.round(fraction * 100)}%`)
+      });
+      showToast(record
+        ? { title: "Snapshot saved", message: `${describeBundleContents(record.bookCount, record.noteCount)}, ${formatBytes(record.size)}.`, type: "success" }
+        : { title: "Nothing to save", message: "Your library is empty.", type: "info" });
+    } catch (err) {
+      console.error("Snapshot failed", err);
+      showToast({ title: "Snapshot failed", message: err?.message || "The snapshot could not be saved.", type: "error", duration: 7000 });
+    } finally {
+      setButtonLoading(snapshotNowBtn, false);
+    }
+  }
+
+  async function restoreSnapshot(snapshotId, triggerBtn) {
+    const record = idbReady ? await idbGet(DB_STORES.snapshots, snapshotId) : null;
+    if (!record?.data) {
+      showToast({ title: "Snapshot not found", message: "It may have been deleted.", type: "error" });
+      void renderSnapshotList();
+      return;
+    }
+    const confirmed = await openConfirm({
+      title: "Restore snapshot",
+      message: `Replace your library with the snapshot from ${new Date(record.createdAt).toLocaleString()} (${describeBundleContents(record.bookCount, record.noteCount)})? A snapshot of the current library is saved first.`,
+      confirmText: "Restore"
+    });
+    if (!confirmed) return;
+    setButtonLoading(triggerBtn, true, "Restoring…");
+    try {
+      // Read before the pre-restore snapshot, which may prune this one.
+      const source = await openImportSource(new Uint8Array(await record.data.arrayBuffer()));
+      if (!source) throw new Error("The snapshot could not be read.");
+      await importFromSource(source, triggerBtn, { restoring: true });
+    } catch (err) {
+      console.error("Snapshot restore failed", err);
+      showToast({ title: "Restore failed", message: err?.message || "The snapshot could not be restored.", type: "error", duration: 7000 });
+    } finally {
+      setButtonLoading(triggerBtn, false);
+      void renderSnapshotList();
+    }
+  }
+
+  async function deleteSnapshot(snapshotId) {
+    const confirmed = await openConfirm({
+      title: "Delete snapshot",
+      message: "Delete this snapshot? It can't be restored afterwards.",
+      confirmText: "Delete"
+    });
+    if (!confirmed) return;
+    await idbDelete(DB_STORES.snapshots, snapshotId);
+    void renderSnapshotList();
+    updateStorageEstimate();
+  }
+
+  async function renderSnapshotList() {
+    if (!snapshotList) return;
+    const snapshots = await listSnapshots();
+    snapshotList.innerHTML = "";
+    if (!snapshots.length) {
+      const empty = document.createElement("li");
+      empty.className = "subtle";
+      empty.textContent = idbReady ? "No snapshots yet." : "Snapshots need IndexedDB, which is unavailable.";
+      snapshotList.appendChild(empty);
+      return;
+    }
+    snapshots.forEach(snapshot => {
+      const li = document.createElement("li");
+      li.className = "storage-item";
+
+      const info = document.createElement("div");
+      const title = document.createElement("div");
+      title.className = "storage-item-title";
+      title.textContent = new Date(snapshot.createdAt).toLocaleString();
+      const meta = document.createElement("div");
+      meta.className = "storage-item-meta";
+      meta.textContent = [
+        SNAPSHOT_REASON_LABELS[snapshot.reason] || "Snapshot",
+        describeBundleContents(snapshot.bookCount, snapshot.noteCount),
+        formatBytes(snapshot.size)
+      ].join(" • ");
+      info.append(title, meta);
+
+      const actions = document.createElement("div");
+      actions.className = "inline-actions";
+      const restoreBtn = document.createElement("button");
+      restoreBtn.type = "button";
+      restoreBtn.className = "btn btn-secondary btn-sm";
+      restoreBtn.textContent = "Restore";
+      restoreBtn.addEventListener("click", () => void restoreSnapshot(snapshot.id, restoreBtn));
+      const deleteBtn = document.createElement("button");
+      deleteBtn.type = "button";
+      deleteBtn.className = "btn btn-ghost btn-sm";
+      deleteBtn.textContent = "Delete";
+      deleteBtn.setAttribute("aria-label", `Delete snapshot from ${title.textContent}`);
+      deleteBtn.addEventListener("click", () => void deleteSnapshot(snapshot.id));
+      actions.append(restoreBtn, deleteBtn);
+
+      li.append(info, actions);
+      snapshotList.appendChild(li);
+    });
+  }
+
+  function scheduleSnapshotCheck(delay = SNAPSHOT_CHECK_INTERVAL_MS) {
+    clearTimeout(snapshotTimer);
+    snapshotTimer = setTimeout(() => void runScheduledSnapshot(), delay);
+  }
+
+  async function runScheduledSnapshot() {
+    try {
+      const interval = SNAPSHOT_INTERVALS[state.settings.snapshotSchedule];
+      // Building the archive reads every book, so it waits while a book is playing.
+      if (!interval || !idbReady || reader.isPlaying) return;
+      const [latest] = await listSnapshots();
+      if (latest && Date.now() - Date.parse(latest.createdAt) < interval) return;
+      await createSnapshot("scheduled");
+    } catch (err) {
+      console.warn("Scheduled snapshot failed", err);
+    } finally {
+      scheduleSnapshotCheck();
+    }
   }
 
   /* ---------------------------
@@ -5125,6 +9725,53 @@ Paragraph two begins here. Commas, periods, and paragraph breaks can pause sligh
       record("pdf-strip", false, err instanceof Error ? err.message : String(err));
     }
 
+    try {
+      const line = (y, x, right, text) => ({ pageIndex: 0, pageHeight: 800, y, x, right, size: 10, column: 0, role: "body", text });
+      const lines = [
+        line(700, 72, 540, "It is impor-"),
+        line(688, 72, 540, "tant to keep well-"),
+        line(676, 72, 300, "known \uFB01gures."),
+        line(664, 90, 540, "A new paragraph.")
+      ];
+      const dictionary = buildPdfHyphenDictionary([{ lines: [line(600, 72, 540, "the well-known case")] }]);
+      const repaired = buildPdfParagraphText(lines, dictionary);
+      // Prefixes keep their hyphen only before a word or a capital; ordinary splits are joined.
+      const prefixed = buildPdfParagraphText([
+        line(700, 72, 540, "It pro-"),
+        line(688, 72, 540, "vides and re-"),
+        line(676, 72, 540, "turns pre-"),
+        line(664, 72, 300, "Columbian art.")
+      ], dictionary);
+      const ok = repaired === "It is important to keep well-known figures.\n\nA new paragraph."
+        && prefixed === "It provides and returns pre-Columbian art.";
+      record("pdf-repair", ok, ok ? null : `Unexpected output: ${repaired} / ${prefixed}`);
+    } catch (err) {
+      record("pdf-repair", false, err instanceof Error ? err.message : String(err));
+    }
+
+    try {
+      // Re-processing to the same text must leave every stored position where it was.
+      const text = Array.from({ length: 40 }, (_, p) => Array.from({ length: 10 }, (_, w) => `word${p * 10 + w}`).join(" ")).join("\n\n");
+      const tokens = tokenize(text);
+      const map = buildWordIndexMap(tokens);
+      const at = wordIndex => ({ index: mapWordToTokenIndex(map, wordIndex), wordIndex });
+      const book = {
+        progress: { ...at(250), bookmarks: [{ id: "bm", ...at(120) }] },
+        readerState: { currentWordIndex: 250 }
+      };
+      const notes = [
+        normalizeNote({ id: "n", text: "Note", ...at(250), updatedAt: "2020-01-01T00:00:00.000Z" }),
+        normalizeNote({ id: "h", type: "highlight", ...at(200), startWordIndex: 200, endWordIndex: 202, updatedAt: "2020-01-01T00:00:00.000Z" })
+      ];
+      const moved = movePositionsToTokens(book, notes, tokens, tokens);
+      const ok = JSON.stringify(moved.progress) === JSON.stringify(book.progress)
+        && moved.currentWordIndex === 250
+        && JSON.stringify(moved.notes) === JSON.stringify(notes);
+      record("reprocess-anchors", ok, ok ? null : "Positions moved on unchanged text");
+    } catch (err) {
+      record("reprocess-anchors", false, err instanceof Error ? err.message : String(err));
+    }
+
     try {
       const payload = {
         app: "SwiftReader",
@@ -0,0 +1,126 @@
+/* =========================================================
+   SwiftReader - import-worker.js
+   Runs import extraction + tokenization off the main thread.
+
+   Messages in:  { type: "extract-pdf" | "tokenize" | "count-words" | "parse-markdown", id, ...payload }
+                 { type: "cancel", id }
+   Messages out: { type: "progress", id, current, total, message }
+                 { type: "result", id, result }
+                 { type: "error", id, error: { name, message } }
+   ========================================================= */
+
+/* global pdfjsLib */
+importScripts(
+  "./text-pipeline.js",
+  "./vendor/pdfjs/pdf.min.js",
+  // Loading the pdf.js worker script here lets pdf.js parse in this thread instead of nesting another worker.
+  "./vendor/pdfjs/pdf.worker.min.js"
+);
+
+const {
+  normalizeText,
+  tokenize,
+  countWords,
+  parseMarkdown,
+  extractPdfLines,
+  buildPdfContentFromPages,
+  readPdfOutline
+} = self.SwiftReaderText;
+
+const cancelled = new Set();
+
+function throwIfCancelled(id) {
+  if (!cancelled.has(id)) return;
+  const err = new Error("Import cancelled.");
+  err.name = "AbortError";
+  throw err;
+}
+
+function postProgress(id, current, total, message) {
+  self.postMessage({ type: "progress", id, current, total, message });
+}
+
+// Extracts per-page lines (returned for the strip-rules preview) and, unless the PDF looks scanned,
+// the cleaned tokens + page ranges too.
+async function extractPdf(id, { buffer, cleanupOptions }) {
+  const pdf = await pdfjsLib.getDocument({ data: buffer, isEvalSupported: false, disableFontFace: true }).promise;
+  try {
+    const totalPages = pdf.numPages || 0;
+    const pages = [];
+    for (let i = 1; i <= totalPages; i += 1) {
+      throwIfCancelled(id);
+      postProgress(id, i, totalPages, `Extracting PDF… page ${i} / ${totalPages}`);
+      const page = await pdf.getPage(i);
+      const viewport = page.getViewport({ scale: 1 });
+      const content = await page.getTextContent();
+      const lines = extractPdfLines(content, i, viewport.height, viewport.width);
+      pages.push({
+        pageIndex: i,
+        pageHeight: viewport.height,
+        lines,
+        text: normalizeText(lines.map(line => line.text).join("\n"))
+      });
+      page.cleanup();
+    }
+    throwIfCancelled(id);
+    const text = pages.map(p => p.text).join("\n\n");
+    const outline = await readPdfOutline(pdf);
+    postProgress(id, totalPages, totalPages, "Tokenizing…");
+    const content = text.length >= 40 ? buildPdfContentFromPages(pages, cleanupOptions || {}) : null;
+    return { text, totalPages, outline, content, pages };
+  } finally {
+    void pdf.destroy();
+  }
+}
+
+function tokenizeText(id, { text }) {
+  const tokens = tokenize(text);
+  return { tokens, wordCount: countWords(tokens) };
+}
+
+function countSectionWords(id, { texts }) {
+  return (texts || []).map((text, i) => {
+    if (i % 20 === 0) {
+      throwIfCancelled(id);
+      postProgress(id, i, texts.length, "Counting words…");
+    }
+    return countWords(tokenize(text));
+  });
+}
+
+function parseMarkdownText(id, { text }) {
+  const parsed = parseMarkdown(text);
+  return { ...parsed, wordCount: countWords(parsed.tokens) };
+}
+
+const handlers = {
+  "extract-pdf": extractPdf,
+  "tokenize": tokenizeText,
+  "count-words": countSectionWords,
+  "parse-markdown": parseMarkdownText
+};
+
+self.addEventListener("message", async event => {
+  const { type, id, ...payload } = event.data || {};
+  if (type === "cancel") {
+    cancelled.add(id);
+    return;
+  }
+  const handler = handlers[type];
+  if (!handler) {
+    self.postMessage({ type: "error", id, error: { name: "Error", message: `Unknown task: ${type}` } });
+    return;
+  }
+  try {
+    const result = await handler(id, payload);
+    self.postMessage({ type: "result", id, result });
+  } catch (err) {
+    self.postMessage({
+      type: "error",
+      id,
+      error: { name: err?.name || "Error", message: err?.message || String(err) }
+    });
+  } finally {
+    cancelled.delete(id);
+  }
+});
@@ -1,9 +1,24 @@
-const CACHE_NAME = "swiftreader-shell-v3";
-const SHELL_ASSETS = [
+// Bump CACHE_VERSION with every release: the new worker precaches the new shell, waits, and the
+// page offers an "Update available" reload that activates it (see watchServiceWorkerUpdates in app.js).
+const CACHE_VERSION = "v6";
+const CACHE_NAME = `swiftreader-shell-${CACHE_VERSION}`;
+// Content shared to the installed app (manifest share_target) waits here until the page picks it up.
+const SHARE_CACHE_NAME = "swiftreader-share";
+// The app can't start offline without these, so a failure to cache any of them fails the install
+// and the browser tries again on the next visit.
+const CORE_ASSETS = [
   "./",
   "./index.html",
   "./styles.css",
   "./app.js",
+  "./text-pipeline.js",
+  "./import-worker.js",
+  "./vendor/idb/umd.js",
+  "./vendor/pdfjs/pdf.min.js",
+  "./vendor/pdfjs/pdf.worker.min.js"
+];
+// EPUB/DOCX import and the manifest: worth precaching, but not worth failing the install over.
+const OPTIONAL_ASSETS = [
   "./vendor/jszip.min.js",
   "./vendor/epub.min.js",
   "./manifest.json"
@@ -12,11 +27,12 @@ const SHELL_ASSETS = [
 self.addEventListener("install", event => {
   event.waitUntil(
     caches.open(CACHE_NAME).then(async cache => {
-      const results = await Promise.allSettled(
-        SHELL_ASSETS.map(asset => cache.add(asset))
-      );
+      // Fetch past the HTTP cache so a new version never precaches stale files.
+      const fresh = asset => new Request(asset, { cache: "reload" });
+      await cache.addAll(CORE_ASSETS.map(fresh));
+      const results = await Promise.allSettled(OPTIONAL_ASSETS.map(asset => cache.add(fresh(asset))));
       const failed = results
-        .map((result, index) => (result.status === "rejected" ? SHELL_ASSETS[index] : null))
+        .map((result, index) => (result.status === "rejected" ? OPTIONAL_ASSETS[index] : null))
         .filter(Boolean);
       if (failed.length) {
         console.warn("Service worker precache failed for:", failed);
@@ -27,17 +43,76 @@ self.addEventListener("install", event => {
 
 self.addEventListener("activate", event => {
   event.waitUntil(
-    caches.keys().then(keys =>
-      Promise.all(keys.filter(key => key !== CACHE_NAME).map(key => caches.delete(key)))
-    )
+    caches.keys()
+      .then(keys =>
+        Promise.all(keys.filter(key => key !== CACHE_NAME && key !== SHARE_CACHE_NAME).map(key => caches.delete(key)))
+      )
+      .then(() => self.clients.claim())
   );
 });
 
+self.addEventListener("message", event => {
+  if (event.data?.type === "SKIP_WAITING") self.skipWaiting();
+});
+
+async function receiveShare(request) {
+  const form = await request.formData();
+  const cache = await caches.open(SHARE_CACHE_NAME);
+  const files = form.getAll("files").filter(file => typeof file === "object" && file.size);
+  const entries = await Promise.all(files.map(async (file, index) => {
+    const key = `./__share/file-${index}`;
+    await cache.put(key, new Response(file, { headers: { "Content-Type": file.type || "application/octet-stream" } }));
+    return { key, name: file.name || `Shared file ${index + 1}`, type: file.type || "" };
+  }));
+  const meta = {
+    title: String(form.get("title") || ""),
+    text: String(form.get("text") || ""),
+    url: String(form.get("url") || ""),
+    files: entries
+  };
+  await cache.put("./__share/meta", new Response(JSON.stringify(meta), { headers: { "Content-Type": "application/json" } }));
+  return Response.redirect("./?share-target=received", 303);
+}
+
+// Navigations get the cached shell (query strings such as ?share-target are ignored), then the
+// network, then a minimal offline page.
+async function handleNavigation(request) {
+  const cached = await caches.match(request, { ignoreSearch: true }) || await caches.match("./index.html");
+  if (cached) return cached;
+  try {
+    return await fetch(request);
+  } catch (err) {
+    return new Response(
+      "<!doctype html><meta charset=\"utf-8\"><title>SwiftReader</title><p>SwiftReader is offline and not cached yet. Connect once to install it.</p>",
+      { status: 503, headers: { "Content-Type": "text/html; charset=utf-8" } }
+    );
+  }
+}
+
+// Other same-origin files: cache first. Files outside the precache list (OCR engine and language
+// data) are cached the first time they load, so OCR also works offline afterwards.
+async function handleAsset(request) {
+  const cached = await caches.match(request);
+  if (cached) return cached;
+  const response = await fetch(request);
+  if (response.ok && response.type === "basic") {
+    const copy = response.clone();
+    caches.open(CACHE_NAME).then(cache => cache.put(request, copy)).catch(() => {});
+  }
+  return response;
+}
+
 self.addEventListener("fetch", event => {
   const { request } = event;
+  const url = new URL(request.url);
+  if (request.method === "POST" && url.origin === self.location.origin && url.searchParams.has("share-target")) {
+    event.respondWith(receiveShare(request).catch(err => {
+      console.warn("Share target failed", err);
+      return Response.redirect("./?share-target=failed", 303);
+    }));
+    return;
+  }
   if (request.method !== "GET") return;
-  if (new URL(request.url).origin !== self.location.origin) return;
-  event.respondWith(
-    caches.match(request).then(cached => cached || fetch(request))
-  );
+  if (url.origin !== self.location.origin) return;
+  event.respondWith(request.mode === "navigate" ? handleNavigation(request) : handleAsset(request));
 });
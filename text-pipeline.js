@@ -0,0 +1,1076 @@
+/* =========================================================
+   SwiftReader - text-pipeline.js
+   Pure text pipeline shared by the page (app.js) and the import worker:
+   - Normalization + tokenization
+   - Markdown structure (headings, lists, emphasis, code, tables)
+   - PDF line grouping (columns, footnotes, captions), header/footer stripping, page ranges, outline
+   No DOM access: this file must stay loadable with importScripts().
+   ========================================================= */
+
+(() => {
+  "use strict";
+
+  /* ---------------------------
+     Tokenization
+     Tokens: { t, kind: "word" | "punct" | "para" }
+  --------------------------- */
+  const WORD_CHAR_RE = (() => {
+    try {
+      return new RegExp("[\\p{L}\\p{N}]", "u");
+    } catch (err) {
+      return /[A-Za-z0-9]/;
+    }
+  })();
+
+  function normalizeText(raw) {
+    if (!raw) return "";
+    // Normalize line endings and remove excessive whitespace
+    let t = raw.replace(/\r\n/g, "\n").replace(/\r/g, "\n");
+
+    // Fix hyphenated line breaks: "some-\nthing" -> "something"
+    t = t.replace(/(\w)-\n(\w)/g, "$1$2");
+
+    // Convert multiple newlines into paragraph breaks marker
+    // We'll preserve paragraph boundaries as "\n\n"
+    t = t.replace(/[ \t]+\n/g, "\n");
+    t = t.replace(/\n{3,}/g, "\n\n");
+
+    // Trim trailing spaces per line
+    t = t.split("\n").map(line => line.trimEnd()).join("\n");
+
+    // Trim overall
+    return t.trim();
+  }
+
+  function sanitizeExtractedText(raw) {
+    if (!raw) return "";
+    const cleaned = String(raw).replace(/\u0000/g, "");
+    return normalizeText(cleaned);
+  }
+
+  function mergePunctuationTokens(tokens) {
+    if (!Array.isArray(tokens) || tokens.length === 0) return { tokens: [], changed: false };
+    const merged = [];
+    let leading = "";
+    let changed = false;
+
+    const appendToPreviousWord = (text) => {
+      const last = merged[merged.length - 1];
+      if (last && last.kind === "word") {
+        last.t += text;
+        return;
+      }
+      leading += text;
+    };
+
+    tokens.forEach(tok => {
+      if (!tok) return;
+      if (tok.kind === "para") {
+        if (leading) {
+          changed = true;
+          leading = "";
+        }
+        merged.push({ ...tok });
+        return;
+      }
+
+      if (tok.kind === "punct") {
+        changed = true;
+        appendToPreviousWord(tok.t || "");
+        return;
+      }
+
+      if (tok.kind === "word") {
+        const text = `${leading}${tok.t || ""}`;
+        if (text) merged.push({ ...tok, t: text, kind: "word" });
+        if (leading) changed = true;
+        leading = "";
+      }
+    });
+
+    return { tokens: merged, changed };
+  }
+
+  function tokenize(text) {
+    const t = normalizeText(text);
+    if (!t) return [];
+
+    // Preserve paragraph breaks
+    const parts = t.split(/\n{2,}/g);
+    const tokens = [];
+
+    for (let p = 0; p < parts.length; p++) {
+      const para = parts[p].trim();
+      if (!para) continue;
+
+      const raw = para
+        .split(/\s+/g)
+        .map(token => token.trim())
+        .filter(Boolean);
+
+      for (const r of raw) {
+        const isWordLike = WORD_CHAR_RE.test(r);
+        if (!isWordLike) {
+          tokens.push({ t: r, kind: "punct" });
+        } else {
+          tokens.push({ t: r, kind: "word" });
+        }
+      }
+
+      // Paragraph break (except after last)
+      if (p < parts.length - 1) {
+        tokens.push({ t: "\n\n", kind: "para" });
+      }
+    }
+
+    return mergePunctuationTokens(tokens).tokens;
+  }
+
+  function countWords(tokens) {
+    return tokens.reduce((acc, tok) => acc + (tok.kind === "word" ? 1 : 0), 0);
+  }
+
+  /* ---------------------------
+     Markdown
+     parseMarkdown(source) -> { title, text, tokens, toc }. Syntax is stripped; structure stays on
+     the tokens: block ("heading" | "list" | "quote" | "code" | "table") plus level (headings),
+     depth and marker (list items), and em / strong / code for inline emphasis. Every code line and
+     table row is its own paragraph.
+  --------------------------- */
+  const MD_FENCE_RE = /^ {0,3}(`{3,}|~{3,})/;
+  const MD_ATX_RE = /^ {0,3}(#{1,6})(?:[ \t]+(.*?))?(?:[ \t]+#+)?[ \t]*$/;
+  const MD_SETEXT_RE = /^ {0,3}(=+|-+)[ \t]*$/;
+  const MD_RULE_RE = /^ {0,3}([-*_])(?:[ \t]*\1){2,}[ \t]*$/;
+  const MD_LIST_RE = /^([ \t]*)([-*+]|\d{1,9}[.)])[ \t]+(.*)$/;
+  const MD_QUOTE_RE = /^ {0,3}>[ \t]?/;
+  const MD_TABLE_DELIMITER_RE = /^[ \t]*\|?[ \t]*:?-+:?[ \t]*(\|[ \t]*:?-+:?[ \t]*)*\|?[ \t]*$/;
+  const MD_LINK_DEFINITION_RE = /^ {0,3}\[[^\]]+\]:[ \t]*\S+/;
+  const MD_HTML_TAG_RE = /^<\/?[A-Za-z][^>]*>/;
+  const MD_AUTOLINK_RE = /^<((?:https?|mailto|ftp):[^>\s]+)>/i;
+  const MD_LINK_RE = /^\[((?:[^[\]\\]|\\.|\[[^\]]*\])*)\](?:\(([^()]*(?:\([^()]*\)[^()]*)*)\)|\[([^\]]*)\])?/;
+  const MD_ESCAPABLE_RE = /[\\`*_{}[\]()#+\-.!|~<>]/;
+
+  function splitMarkdownTableRow(line) {
+    return line.trim().replace(/^\|/, "").replace(/(?<!\\)\|$/, "")
+      .split(/(?<!\\)\|/)
+      .map(cell => cell.trim().replace(/\\\|/g, "|"))
+      .filter(Boolean);
+  }
+
+  // Source lines -> blocks: { type: "paragraph" | "heading" | "list" | "quote" | "code" | "table", text, ... }
+  function parseMarkdownBlocks(lines) {
+    const blocks = [];
+    let paragraph = null;
+    const closeParagraph = () => {
+      if (paragraph) blocks.push(paragraph);
+      paragraph = null;
+    };
+
+    for (let i = 0; i < lines.length; i += 1) {
+      const line = lines[i];
+      if (!line.trim()) {
+        closeParagraph();
+        continue;
+      }
+
+      const fence = line.match(MD_FENCE_RE);
+      if (fence) {
+        closeParagraph();
+        const closing = new RegExp(`^ {0,3}${fence[1][0] === "`" ? "`" : "~"}{${fence[1].length},}[ \\t]*$`);
+        for (i += 1; i < lines.length && !closing.test(lines[i]); i += 1) {
+          if (lines[i].trim()) blocks.push({ type: "code", text: lines[i].trim() });
+        }
+        continue;
+      }
+
+      if (!paragraph && /^( {4}|\t)/.test(line) && blocks[blocks.length - 1]?.type !== "list") {
+        blocks.push({ type: "code", text: line.trim() });
+        continue;
+      }
+
+      const atx = line.match(MD_ATX_RE);
+      if (atx) {
+        closeParagraph();
+        blocks.push({ type: "heading", level: atx[1].length, text: atx[2] || "" });
+        continue;
+      }
+
+      const setext = line.match(MD_SETEXT_RE);
+      if (setext && paragraph?.type === "paragraph") {
+        blocks.push({ type: "heading", level: setext[1][0] === "=" ? 1 : 2, text: paragraph.text });
+        paragraph = null;
+        continue;
+      }
+
+      if (MD_RULE_RE.test(line)) {
+        closeParagraph();
+        continue;
+      }
+
+      if (line.includes("|") && MD_TABLE_DELIMITER_RE.test(lines[i + 1] || "") && !paragraph) {
+        blocks.push({ type: "table", text: splitMarkdownTableRow(line).join("; ") });
+        for (i += 2; i < lines.length && lines[i].trim() && lines[i].includes("|"); i += 1) {
+          blocks.push({ type: "table", text: splitMarkdownTableRow(lines[i]).join("; ") });
+        }
+        i -= 1;
+        continue;
+      }
+
+      const item = line.match(MD_LIST_RE);
+      if (item) {
+        closeParagraph();
+        const indent = item[1].replace(/\t/g, "    ").length;
+        let text = item[3];
+        let marker = /\d/.test(item[2]) ? `${parseInt(item[2], 10)}.` : "•";
+        const task = text.match(/^\[([ xX])\][ \t]+/);
+        if (task) {
+          marker = task[1] === " " ? "☐" : "☑";
+          text = text.slice(task[0].length);
+        }
+        paragraph = { type: "list", depth: Math.floor(indent / 2), marker, text };
+        continue;
+      }
+
+      if (MD_QUOTE_RE.test(line)) {
+        const text = line.replace(/^(?: {0,3}>[ \t]?)+/, "");
+        if (paragraph?.type !== "quote") closeParagraph();
+        if (!text.trim()) continue;
+        if (paragraph) paragraph.text += ` ${text.trim()}`;
+        else paragraph = { type: "quote", text: text.trim() };
+        continue;
+      }
+
+      if (MD_LINK_DEFINITION_RE.test(line) && !paragraph) continue;
+
+      // Lazy continuation: indented or plain lines extend the open paragraph, list item or quote.
+      if (paragraph) paragraph.text += ` ${line.trim()}`;
+      else paragraph = { type: "paragraph", text: line.trim() };
+    }
+    closeParagraph();
+    return blocks;
+  }
+
+  // Inline Markdown -> [{ text, em, strong, code }] with the syntax removed.
+  function parseMarkdownInline(text, style = {}) {
+    const segments = [];
+    let buffer = "";
+    const flush = () => {
+      if (buffer) segments.push({ text: buffer, ...style });
+      buffer = "";
+    };
+    // Where each delimiter run can close, collected once per text: scanning ahead from every
+    // unmatched opener would be quadratic.
+    const closers = new Map();
+    const findCloser = (run, from) => {
+      let list = closers.get(run);
+      if (!list) {
+        list = [];
+        const ch = run[0];
+        for (let at = text.indexOf(run); at > -1; at = text.indexOf(run, at + 1)) {
+          const after = text[at + run.length] || " ";
+          if (!/\s/.test(text[at - 1]) && text[at - 1] !== ch && after !== ch && (ch !== "_" || !WORD_CHAR_RE.test(after))) {
+            list.push(at);
+          }
+        }
+        closers.set(run, list);
+      }
+      let lo = 0;
+      let hi = list.length;
+      while (lo < hi) {
+        const mid = (lo + hi) >> 1;
+        if (list[mid] < from) lo = mid + 1;
+        else hi = mid;
+      }
+      return lo < list.length ? list[lo] : -1;
+    };
+    let i = 0;
+    while (i < text.length) {
+      const ch = text[i];
+      const rest = text.slice(i);
+
+      if (ch === "\\" && MD_ESCAPABLE_RE.test(text[i + 1] || "")) {
+        buffer += text[i + 1];
+        i += 2;
+        continue;
+      }
+
+      if (ch === "`") {
+        const run = rest.match(/^`+/)[0];
+        const close = text.indexOf(run, i + run.length);
+        if (close > -1) {
+          flush();
+          segments.push({ text: text.slice(i + run.length, close).trim(), ...style, code: true });
+          i = close + run.length;
+          continue;
+        }
+        buffer += run;
+        i += run.length;
+        continue;
+      }
+
+      if (ch === "!" && text[i + 1] === "[") {
+        const image = rest.slice(1).match(MD_LINK_RE);
+        if (image && (image[2] !== undefined || image[3] !== undefined)) {
+          i += image[0].length + 1;
+          continue;
+        }
+      }
+
+      if (ch === "[") {
+        const link = rest.match(MD_LINK_RE);
+        if (link && (link[2] !== undefined || link[3] !== undefined)) {
+          flush();
+          segments.push(...parseMarkdownInline(link[1], style));
+          i += link[0].length;
+          continue;
+        }
+      }
+
+      if (ch === "<") {
+        const autolink = rest.match(MD_AUTOLINK_RE);
+        if (autolink) {
+          buffer += autolink[1].replace(/^mailto:/i, "");
+          i += autolink[0].length;
+          continue;
+        }
+        const tag = rest.match(MD_HTML_TAG_RE);
+        if (tag) {
+          i += tag[0].length;
+          continue;
+        }
+      }
+
+      if (ch === "*" || ch === "_" || ch === "~") {
+        const run = rest.match(ch === "*" ? /^\*+/ : ch === "_" ? /^_+/ : /^~+/)[0].slice(0, 3);
+        const prev = text[i - 1] || " ";
+        const opens = !/\s/.test(text[i + run.length] || " ") && (ch !== "_" || !WORD_CHAR_RE.test(prev));
+        const close = opens && (ch !== "~" || run.length === 2) ? findCloser(run, i + run.length + 1) : -1;
+        if (close > -1) {
+          flush();
+          const inner = text.slice(i + run.length, close);
+          const nested = ch === "~"
+            ? { ...style }
+            : { ...style, em: style.em || run.length !== 2, strong: style.strong || run.length >= 2 };
+          segments.push(...parseMarkdownInline(inner, nested));
+          i = close + run.length;
+          continue;
+        }
+        buffer += run;
+        i += run.length;
+        continue;
+      }
+
+      buffer += ch;
+      i += 1;
+    }
+    flush();
+    return segments;
+  }
+
+  function readMarkdownFrontMatter(lines) {
+    if (!/^---[ \t]*$/.test(lines[0] || "")) return { title: "", bodyStart: 0 };
+    const end = lines.findIndex((line, i) => i > 0 && /^(---|\.\.\.)[ \t]*$/.test(line));
+    if (end < 0) return { title: "", bodyStart: 0 };
+    const titleLine = lines.slice(1, end).find(line => /^title:/i.test(line));
+    const title = titleLine ? titleLine.replace(/^title:\s*/i, "").replace(/^["']|["']$/g, "").trim() : "";
+    return { title, bodyStart: end + 1 };
+  }
+
+  function parseMarkdown(source) {
+    const lines = String(source || "").replace(/\r\n?/g, "\n").split("\n");
+    const frontMatter = readMarkdownFrontMatter(lines);
+    const blocks = parseMarkdownBlocks(lines.slice(frontMatter.bodyStart));
+
+    const raw = [];
+    const texts = [];
+    blocks.forEach(block => {
+      const segments = block.type === "code"
+        ? [{ text: block.text }]
+        : parseMarkdownInline(block.text);
+      const meta = {};
+      if (block.type !== "paragraph") meta.block = block.type;
+      if (block.type === "heading") meta.level = block.level;
+      if (block.type === "list") {
+        meta.depth = block.depth;
+        meta.marker = block.marker;
+      }
+
+      // Segment boundaries inside a word ("**bold**ly") don't split it; the word keeps its first style.
+      const blockTokens = [];
+      let open = null;
+      segments.forEach(segment => {
+        segment.text.split(/(\s+)/).forEach(part => {
+          if (!part) return;
+          if (/^\s+$/.test(part)) {
+            open = null;
+            return;
+          }
+          if (open) {
+            open.t += part;
+            return;
+          }
+          open = { t: part, ...meta };
+          if (segment.em) open.em = true;
+          if (segment.strong) open.strong = true;
+          if (segment.code) open.code = true;
+          blockTokens.push(open);
+        });
+      });
+      if (!blockTokens.length) return;
+      blockTokens.forEach(tok => {
+        tok.kind = WORD_CHAR_RE.test(tok.t) ? "word" : "punct";
+      });
+      if (raw.length) raw.push({ t: "\n\n", kind: "para" });
+      raw.push(...blockTokens);
+      texts.push(blockTokens.map(tok => tok.t).join(" "));
+    });
+
+    const tokens = mergePunctuationTokens(raw).tokens;
+    const headings = [];
+    let wordIndex = 0;
+    tokens.forEach((tok, i) => {
+      if (tok.kind !== "word") return;
+      const prev = tokens[i - 1];
+      if (tok.block === "heading" && (!prev || prev.kind === "para" || prev.block !== "heading")) {
+        headings.push({ level: tok.level, wordIndex, words: [] });
+      }
+      if (tok.block === "heading") headings[headings.length - 1].words.push(tok.t);
+      wordIndex += 1;
+    });
+    const topLevel = headings.length ? Math.min(...headings.map(h => h.level)) : 1;
+    const toc = headings.map(h => ({ title: h.words.join(" "), depth: h.level - topLevel, wordIndex: h.wordIndex }));
+    const firstHeading = headings.find(h => h.level === 1);
+
+    return {
+      title: frontMatter.title || (firstHeading ? firstHeading.words.join(" ") : ""),
+      text: texts.join("\n\n"),
+      tokens,
+      toc
+    };
+  }
+
+  /* ---------------------------
+     PDF text cleanup
+  --------------------------- */
+  function normalizeLineForMatch(text) {
+    return String(text || "")
+      .toLowerCase()
+      .replace(/[^\w\s]/g, "")
+      .replace(/\s+/g, " ")
+      .trim();
+  }
+
+  function removeDigits(text) {
+    return String(text || "").replace(/\d+/g, "").trim();
+  }
+
+  function parseCustomIgnorePhrases(raw) {
+    return String(raw || "")
+      .split("\n")
+      .map(line => line.trim())
+      .filter(Boolean);
+  }
+
+  function escapeRegExp(value) {
+    return String(value).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  }
+
+  function removeCustomIgnorePhrases(text, phrases) {
+    if (!text) return "";
+    if (!Array.isArray(phrases) || phrases.length === 0) return text;
+    let cleaned = String(text);
+    phrases.forEach(phrase => {
+      const parts = String(phrase).match(/[\p{L}\p{N}]+/gu);
+      if (!parts || !parts.length) return;
+      const pattern = parts.map(part => escapeRegExp(part)).join("[\\s\\W_]*");
+      const regex = new RegExp(pattern, "gi");
+      cleaned = cleaned.replace(regex, " ");
+    });
+    return cleaned;
+  }
+
+  function isPageNumberLike(text) {
+    const trimmed = String(text || "").trim();
+    if (!trimmed) return false;
+    const compact = trimmed.replace(/\s+/g, "");
+    if (/^[\W_]*\d+[\W_]*$/.test(compact)) return true;
+    if (/^\d+\s*\/\s*\d+$/.test(trimmed)) return true;
+    if (/^page\s*\d+(\s*(of|\/)\s*\d+)?/i.test(trimmed)) return true;
+    if (/^[\W_]*[ivxlcdm]+[\W_]*$/i.test(compact)) return true;
+    return false;
+  }
+
+  /* ---------------------------
+     PDF reading order
+     Lines: { pageIndex, y, x, right, text, pageHeight, size, column, order, role }
+     role: "body" | "footnote" | "caption" | "sidebar"; order is the reading order within the page,
+     with footnotes, captions and sidebars after the body text.
+  --------------------------- */
+  const PDF_LINE_TOLERANCE = 2;
+  const PDF_MIN_GUTTER = 10;
+  const PDF_SPANNING_WIDTH = 0.55;
+  const PDF_CAPTION_RE = /^(fig(ure)?|table|tab|chart|plate|exhibit|photo|image)\.?\s*[\dIVXivx]+[a-z]?\s*[.:\-–—]?\s/i;
+  const PDF_FOOTNOTE_MARKER_RE = /^(\d{1,3}|[*†‡§¶])(\s|\.|\)|[A-Za-z])/;
+
+  function toPdfTextItems(content) {
+    return (content?.items || [])
+      .map(item => ({
+        text: item?.str || "",
+        x: item?.transform?.[4] || 0,
+        y: item?.transform?.[5] || 0,
+        width: item?.width || 0,
+        size: Math.abs(item?.transform?.[3] || 0) || item?.height || 0
+      }))
+      .filter(item => item.text.trim().length);
+  }
+
+  function groupPdfItemsIntoLines(items) {
+    const sorted = [...items].sort((a, b) => {
+      if (Math.abs(b.y - a.y) > 1) return b.y - a.y;
+      return a.x - b.x;
+    });
+    const lines = [];
+    for (const item of sorted) {
+      const last = lines[lines.length - 1];
+      if (!last || Math.abs(last.y - item.y) > PDF_LINE_TOLERANCE) {
+        lines.push({ y: item.y, items: [item] });
+      } else {
+        last.items.push(item);
+      }
+    }
+    return lines.map(line => {
+      const lineItems = line.items.sort((a, b) => a.x - b.x);
+      const left = lineItems[0].x;
+      return {
+        y: line.y,
+        x: left,
+        right: Math.max(...lineItems.map(i => i.x + i.width)),
+        size: Math.max(...lineItems.map(i => i.size)),
+        text: lineItems.map(i => i.text).join(" ").replace(/\s+/g, " ").trim()
+      };
+    }).filter(line => line.text.length);
+  }
+
+  // (Nearly) empty vertical strips between columns, as [{ start, end }] in page units. Items wider than
+  // PDF_SPANNING_WIDTH of the page (titles, full-width figures) are ignored so they don't close a gutter.
+  function findPdfColumnGutters(items, pageWidth) {
+    const width = pageWidth || Math.max(0, ...items.map(item => item.x + item.width));
+    const narrow = items.filter(item => item.width > 0 && item.width < width * PDF_SPANNING_WIDTH);
+    if (!width || narrow.length < 8) return [];
+    const step = 2;
+    const coverage = new Uint16Array(Math.ceil(width / step) + 2);
+    let minX = Infinity;
+    let maxX = -Infinity;
+    narrow.forEach(item => {
+      const from = Math.max(0, Math.floor(item.x / step));
+      const to = Math.min(coverage.length - 1, Math.floor((item.x + item.width) / step));
+      for (let b = from; b <= to; b += 1) coverage[b] += 1;
+      minX = Math.min(minX, item.x);
+      maxX = Math.max(maxX, item.x + item.width);
+    });
+
+    // A few stray items (a wide footnote, a page number) may cross the gutter.
+    const allowed = Math.max(1, Math.floor(narrow.length * 0.05));
+    const runs = [];
+    let runStart = -1;
+    for (let b = Math.floor(minX / step); b <= Math.floor(maxX / step); b += 1) {
+      if (coverage[b] <= allowed) {
+        if (runStart < 0) runStart = b;
+      } else if (runStart >= 0) {
+        if ((b - runStart) * step >= PDF_MIN_GUTTER) runs.push({ start: runStart * step, end: b * step });
+        runStart = -1;
+      }
+    }
+
+    // A real gutter has a fair share of text on both sides, and the two sides overlap vertically.
+    return runs.filter(run => {
+      const left = narrow.filter(item => item.x + item.width <= run.start);
+      const right = narrow.filter(item => item.x >= run.end);
+      if (left.length < narrow.length * 0.15 || right.length < narrow.length * 0.15) return false;
+      const span = list => [Math.min(...list.map(i => i.y)), Math.max(...list.map(i => i.y))];
+      const [leftLow, leftHigh] = span(left);
+      const [rightLow, rightHigh] = span(right);
+      const overlap = Math.min(leftHigh, rightHigh) - Math.max(leftLow, rightLow);
+      return overlap > 0.3 * Math.min(leftHigh - leftLow, rightHigh - rightLow);
+    });
+  }
+
+  function getPdfBodySize(lines) {
+    const sizes = [];
+    lines.forEach(line => {
+      const weight = Math.min(200, line.text.length);
+      for (let i = 0; i < weight; i += 1) sizes.push(line.size);
+    });
+    if (!sizes.length) return 0;
+    sizes.sort((a, b) => a - b);
+    return sizes[Math.floor(sizes.length / 2)];
+  }
+
+  // Captions: a "Figure 3: …" line plus the following lines set no larger, within one column.
+  function markPdfCaptions(lines) {
+    let inCaption = false;
+    let prev = null;
+    lines.forEach(line => {
+      if (PDF_CAPTION_RE.test(line.text)) {
+        inCaption = true;
+      } else if (inCaption) {
+        const gap = prev.y - line.y;
+        inCaption = gap <= Math.max(line.size, prev.size) * 1.8 && line.size <= prev.size;
+      }
+      if (inCaption && line.role === "body") line.role = "caption";
+      prev = line;
+    });
+  }
+
+  // Footnotes: from the highest small-type marker line ("1 …", "* …") in the lower part of the
+  // page down, every small-type line in any column.
+  function markPdfFootnotes(lines, bodySize, pageHeight) {
+    if (!bodySize) return;
+    const small = line => line.size && line.size < bodySize * 0.88;
+    const starts = lines.filter(line => small(line) && line.y < pageHeight * 0.4 && PDF_FOOTNOTE_MARKER_RE.test(line.text));
+    if (!starts.length) return;
+    const top = Math.max(...starts.map(line => line.y));
+    lines.forEach(line => {
+      if (line.y <= top && small(line) && line.role === "body") line.role = "footnote";
+    });
+  }
+
+  function extractPdfLines(content, pageIndex, pageHeight, pageWidth = 0) {
+    const items = toPdfTextItems(content);
+    const gutters = findPdfColumnGutters(items, pageWidth);
+    const width = pageWidth || Math.max(0, ...items.map(item => item.x + item.width));
+
+    // Column 0..n between gutters; -1 for items that cross a gutter.
+    const columnOf = item => {
+      if (gutters.some(g => item.x < g.start && item.x + item.width > g.end)) return -1;
+      const center = item.x + item.width / 2;
+      return gutters.filter(g => center > g.end).length;
+    };
+    const groups = new Map();
+    items.forEach(item => {
+      const column = gutters.length ? columnOf(item) : 0;
+      if (!groups.has(column)) groups.set(column, []);
+      groups.get(column).push(item);
+    });
+
+    const spanning = groupPdfItemsIntoLines(groups.get(-1) || []).map(line => ({ ...line, column: -1, role: "body" }));
+    const columns = [];
+    for (let c = 0; c <= gutters.length; c += 1) {
+      columns.push(groupPdfItemsIntoLines(groups.get(c) || []).map(line => ({ ...line, column: c, role: "body" })));
+    }
+    const allLines = [...spanning, ...columns.flat()];
+    columns.forEach(markPdfCaptions);
+    markPdfCaptions(spanning);
+    markPdfFootnotes(allLines, getPdfBodySize(allLines), pageHeight);
+
+    // Narrow columns next to a much wider one are sidebars.
+    if (columns.length > 1 && width) {
+      const widths = columns.map(col => (col.length ? Math.max(...col.map(l => l.right)) - Math.min(...col.map(l => l.x)) : 0));
+      const widest = Math.max(...widths);
+      columns.forEach((col, c) => {
+        if (widths[c] && widths[c] < width * 0.3 && widest >= width * 0.45) {
+          col.forEach(line => {
+            if (line.role === "body") line.role = "sidebar";
+          });
+        }
+      });
+    }
+
+    // Full-width lines split the page into bands; each band is read column by column.
+    const ordered = [];
+    let upper = Infinity;
+    [...spanning, { y: -Infinity }].forEach(split => {
+      columns.forEach(column => {
+        column.forEach(line => {
+          if (line.y > split.y && line.y <= upper) ordered.push(line);
+        });
+      });
+      if (split.text) ordered.push(split);
+      upper = split.y;
+    });
+
+    const body = ordered.filter(line => line.role === "body");
+    const asides = ordered.filter(line => line.role !== "body");
+    return [...body, ...asides].map((line, order) => ({
+      pageIndex,
+      y: line.y,
+      x: line.x,
+      right: line.right,
+      text: line.text,
+      pageHeight,
+      size: line.size,
+      column: line.column,
+      order,
+      role: line.role
+    }));
+  }
+
+  // Reading order for extracted lines; OCR lines have no `order` and fall back to top-to-bottom.
+  function comparePdfLineOrder(a, b) {
+    if (typeof a.order === "number" && typeof b.order === "number") return a.order - b.order;
+    return b.y - a.y;
+  }
+
+  /* ---------------------------
+     PDF line repair
+     Optional stage (options.repairLines): fixes ligature glyphs and soft hyphens, joins words
+     hyphenated across lines, and rebuilds paragraphs from line spacing and indentation.
+  --------------------------- */
+  const PDF_LIGATURES = {
+    "\uFB00": "ff",
+    "\uFB01": "fi",
+    "\uFB02": "fl",
+    "\uFB03": "ffi",
+    "\uFB04": "ffl",
+    "\uFB05": "st",
+    "\uFB06": "st"
+  };
+  const PDF_LIGATURE_RE = /[\uFB00-\uFB06]/g;
+  const PDF_LINE_HYPHEN_RE = /(\p{L}+)[-\u2010\u2011]$/u;
+  const PDF_LINE_START_WORD_RE = /^(\p{L}+)/u;
+  const PDF_COMPOUND_RE = /^\p{L}+[-\u2010\u2011]\p{L}+$/u;
+  const PDF_PARAGRAPH_END_RE = /[.!?:;"\u201D\u2019)]$/;
+  // Prefixes that keep their hyphen before a known word or a capital ("pre-Columbian") even when the
+  // document never spells the compound out; "pro-/vides" is still joined.
+  const HYPHEN_PREFIXES = new Set([
+    "all", "anti", "co", "counter", "cross", "ex", "half", "inter", "multi", "non", "post",
+    "pre", "pro", "quasi", "re", "self", "semi", "well"
+  ]);
+
+  function fixPdfGlyphs(text) {
+    return String(text || "")
+      .replace(PDF_LIGATURE_RE, ch => PDF_LIGATURES[ch] || ch)
+      .replace(/\u00AD(?!$)/g, "");
+  }
+
+  // Words and hyphenated compounds the document spells out in full, used to decide line-end hyphens.
+  function buildPdfHyphenDictionary(pages) {
+    const words = new Set();
+    const compounds = new Set();
+    pages.forEach(page => {
+      (page.lines || []).forEach(line => {
+        const parts = fixPdfGlyphs(line.text).split(/\s+/);
+        // The first and last word of a line may be halves of a split word.
+        parts.slice(1, -1).forEach(part => {
+          const word = part.replace(/^[^\p{L}]+|[^\p{L}]+$/gu, "").toLowerCase();
+          if (!word) return;
+          if (PDF_COMPOUND_RE.test(word)) compounds.add(word.replace(/[\u2010\u2011]/g, "-"));
+          else if (/^\p{L}+$/u.test(word)) words.add(word);
+        });
+      });
+    });
+    return { words, compounds };
+  }
+
+  function shouldKeepLineHyphen(left, right, dictionary) {
+    const head = left.toLowerCase();
+    const tail = right.toLowerCase();
+    if (dictionary.compounds.has(`${head}-${tail}`)) return true;
+    if (dictionary.words.has(head + tail)) return false;
+    if (HYPHEN_PREFIXES.has(head)) return dictionary.words.has(tail) || /^\p{Lu}/u.test(right);
+    return head.length >= 3 && tail.length >= 3 && dictionary.words.has(head) && dictionary.words.has(tail);
+  }
+
+  function joinPdfParagraphLines(texts, dictionary) {
+    let out = "";
+    texts.forEach(raw => {
+      const text = raw.trim();
+      if (!text) return;
+      if (!out) {
+        out = text;
+      } else if (out.endsWith("\u00AD")) {
+        out = out.slice(0, -1) + text;
+      } else {
+        const hyphenated = out.match(PDF_LINE_HYPHEN_RE);
+        const next = text.match(PDF_LINE_START_WORD_RE);
+        // A capitalized next line is only a word half after a prefix ("pre-/Columbian").
+        if (hyphenated && next && (/^\p{Ll}/u.test(next[1]) || HYPHEN_PREFIXES.has(hyphenated[1].toLowerCase()))) {
+          out = shouldKeepLineHyphen(hyphenated[1], next[1], dictionary) ? out + text : out.slice(0, -1) + text;
+        } else {
+          out += ` ${text}`;
+        }
+      }
+    });
+    return out.replace(/\u00AD/g, "");
+  }
+
+  function median(values) {
+    if (!values.length) return 0;
+    const sorted = [...values].sort((a, b) => a - b);
+    return sorted[Math.floor(sorted.length / 2)];
+  }
+
+  // Ordered page lines -> paragraphs separated by blank lines. A paragraph ends at a role change,
+  // a gap well above the usual line spacing, a font-size change, a first-line indent, or a short
+  // line ending in sentence punctuation. OCR lines (no x/size) only use the spacing rule.
+  function buildPdfParagraphText(lines, dictionary) {
+    const sameFlow = (a, b) => a.role === b.role && a.column === b.column;
+    const gaps = [];
+    const margins = new Map();
+    const rights = new Map();
+    lines.forEach((line, i) => {
+      const prev = lines[i - 1];
+      if (prev && sameFlow(prev, line) && prev.y > line.y) gaps.push(prev.y - line.y);
+      if (typeof line.x === "number") {
+        margins.set(line.column, Math.min(margins.get(line.column) ?? Infinity, line.x));
+        rights.set(line.column, Math.max(rights.get(line.column) ?? -Infinity, line.right ?? line.x));
+      }
+    });
+    const lineGap = median(gaps);
+
+    const paragraphs = [];
+    let current = [];
+    lines.forEach((line, i) => {
+      const prev = lines[i - 1];
+      let breakBefore = false;
+      if (prev) {
+        const text = fixPdfGlyphs(prev.text).trim();
+        const endsSentence = PDF_PARAGRAPH_END_RE.test(text);
+        if (prev.role !== line.role) {
+          breakBefore = true;
+        } else if (prev.column !== line.column || prev.y <= line.y) {
+          // Continuing in the next column: only a finished sentence ends the paragraph.
+          breakBefore = endsSentence;
+        } else if (lineGap && prev.y - line.y > lineGap * 1.5) {
+          breakBefore = true;
+        } else if (prev.size && line.size && Math.abs(prev.size - line.size) > Math.min(prev.size, line.size) * 0.15) {
+          breakBefore = true;
+        } else if (typeof line.x === "number" && typeof prev.x === "number") {
+          const margin = margins.get(line.column) ?? line.x;
+          const right = rights.get(line.column) ?? line.right;
+          const indent = Math.max(4, (line.size || 10) * 0.8);
+          const indented = line.x - margin > indent && prev.x - margin <= indent;
+          const shortLine = typeof prev.right === "number" && right - prev.right > (right - margin) * 0.15;
+          breakBefore = indented || (shortLine && endsSentence);
+        }
+      }
+      if (breakBefore && current.length) {
+        paragraphs.push(current);
+        current = [];
+      }
+      current.push(fixPdfGlyphs(line.text));
+    });
+    if (current.length) paragraphs.push(current);
+    return paragraphs.map(texts => joinPdfParagraphLines(texts, dictionary)).filter(Boolean).join("\n\n");
+  }
+
+  // One key per band line: the normalized text without digits, so a running header that carries
+  // a chapter or page number is a single candidate. Lines left too short or too long by that use
+  // the text with its digits; "" when neither fits.
+  function getPdfLineKey(text, options = {}) {
+    const minLen = options.minLength ?? 3;
+    const maxLen = options.maxLength ?? 90;
+    const fits = key => key.length >= minLen && key.length <= maxLen;
+    const norm = normalizeLineForMatch(text);
+    const normNoDigits = removeDigits(norm);
+    if (fits(normNoDigits)) return normNoDigits;
+    return fits(norm) ? norm : "";
+  }
+
+  // Lines inside the top/bottom bands, keyed by getPdfLineKey.
+  function collectPdfBandLines(pages, options = {}) {
+    const topBand = options.topBand ?? 0.15;
+    const bottomBand = options.bottomBand ?? 0.15;
+    const lineMap = new Map();
+
+    pages.forEach(page => {
+      const height = page.pageHeight || 0;
+      const topMin = height * (1 - topBand);
+      const bottomMax = height * bottomBand;
+      const seen = new Set();
+      (page.lines || []).forEach(line => {
+        if (line.y < bottomMax || line.y > topMin) {
+          const key = getPdfLineKey(line.text, options);
+          if (!key || seen.has(key)) return;
+          seen.add(key);
+          if (!lineMap.has(key)) {
+            lineMap.set(key, { key, text: line.text, band: line.y > topMin ? "top" : "bottom", pages: new Set() });
+          }
+          lineMap.get(key).pages.add(page.pageIndex);
+        }
+      });
+    });
+
+    return lineMap;
+  }
+
+  // Header/footer candidates for the strip-rules preview, most frequent first.
+  // suggested: whether the frequency threshold alone would strip the line.
+  function detectPdfRepeatedLines(pages, options = {}) {
+    const totalPages = pages.length || 0;
+    const minPct = options.minFrequency ?? 0.35;
+    return Array.from(collectPdfBandLines(pages, options).values())
+      .filter(entry => entry.pages.size > 1)
+      .map(entry => ({
+        key: entry.key,
+        text: entry.text,
+        band: entry.band,
+        pages: entry.pages.size,
+        suggested: !!totalPages && entry.pages.size / totalPages >= minPct
+      }))
+      .sort((a, b) => b.pages - a.pages || a.key.localeCompare(b.key));
+  }
+
+  // options.stripLines (an explicit list of keys) replaces the frequency threshold;
+  // options.pageOverrides ({ [pageIndex]: { keep: [key], strip: [key] } }) wins over both.
+  function buildPdfStripRules(pages, options = {}) {
+    const totalPages = pages.length || 0;
+    const minPct = options.minFrequency ?? 0.35;
+    let removeSet;
+    if (Array.isArray(options.stripLines)) {
+      removeSet = new Set(options.stripLines);
+    } else {
+      removeSet = new Set();
+      collectPdfBandLines(pages, options).forEach((entry, key) => {
+        if (totalPages && entry.pages.size / totalPages >= minPct) {
+          removeSet.add(key);
+        }
+      });
+    }
+
+    const customPhrases = (options.customPhrases || [])
+      .map(phrase => normalizeLineForMatch(phrase))
+      .filter(Boolean);
+    const pageOverrides = options.pageOverrides && typeof options.pageOverrides === "object" ? options.pageOverrides : {};
+
+    return { removeSet, customPhrases, pageOverrides };
+  }
+
+  // Per-page overrides are the user's own choices, so they apply even with automatic stripping off.
+  function shouldKeepPdfLine(line, rules, enabled = true) {
+    const rawText = line.text.trim();
+    const norm = normalizeLineForMatch(rawText);
+    const override = rules.pageOverrides[line.pageIndex];
+    if (override?.keep?.includes(norm)) return true;
+    if (override?.strip?.includes(norm)) return false;
+    if (!enabled && !rules.customPhrases.length) return true;
+    if (!rawText) return false;
+    const normNoDigits = removeDigits(norm);
+    const wordCount = rawText.split(/\s+/).filter(Boolean).length;
+    if (rawText.length > 120 || wordCount > 15) return true;
+    if (isPageNumberLike(rawText)) return false;
+    if (rules.removeSet.has(norm) || rules.removeSet.has(normNoDigits)) return false;
+    if (rules.customPhrases.length) {
+      const matchesCustom = rules.customPhrases.some(phrase => norm.includes(phrase) || normNoDigits.includes(phrase));
+      if (matchesCustom) return false;
+    }
+    return true;
+  }
+
+  function stripPdfHeadersFooters(pages, options = {}) {
+    if (!pages.length) return { pageTexts: [], pageRanges: [] };
+    const enabled = options.enabled !== false;
+    const rules = buildPdfStripRules(pages, options);
+
+    const skipAsides = options.asides === "skip";
+    const dictionary = options.repairLines ? buildPdfHyphenDictionary(pages) : null;
+
+    const pageTexts = pages.map(page => {
+      const filtered = (page.lines || []).filter(line => {
+        if (skipAsides && line.role && line.role !== "body") return false;
+        return shouldKeepPdfLine(line, rules, enabled);
+      });
+
+      const ordered = filtered.sort(comparePdfLineOrder);
+      if (dictionary) return normalizeText(buildPdfParagraphText(ordered, dictionary));
+      return normalizeText(ordered.map(line => line.text).join("\n"));
+    });
+
+    return { pageTexts };
+  }
+
+  function buildPdfContentFromPages(pages, options = {}) {
+    const { pageTexts } = stripPdfHeadersFooters(pages, options);
+    const customPhrases = Array.isArray(options.customPhrases) ? options.customPhrases : [];
+    const sanitizedPageTexts = pageTexts.map(text => normalizeText(removeCustomIgnorePhrases(text, customPhrases)));
+    const tokensByPage = sanitizedPageTexts.map(text => tokenize(text));
+    const wordCounts = tokensByPage.map(tokens => countWords(tokens));
+    let cursor = 0;
+    const pageRanges = wordCounts.map((wordCount, idx) => {
+      const start = cursor;
+      const end = wordCount ? cursor + wordCount - 1 : cursor;
+      cursor += wordCount;
+      return {
+        page: idx + 1,
+        start,
+        end,
+        wordCount
+      };
+    });
+    const combinedText = sanitizedPageTexts.join("\n\n");
+    const combinedTokens = tokensByPage.flat();
+    return {
+      text: combinedText,
+      tokens: combinedTokens,
+      wordCount: countWords(combinedTokens),
+      pageRanges
+    };
+  }
+
+  /* ---------------------------
+     PDF outline
+     Works on any pdf.js document proxy; returns [{ title, depth, page }].
+  --------------------------- */
+  async function resolvePdfOutlinePage(pdf, dest) {
+    try {
+      const explicit = typeof dest === "string" ? await pdf.getDestination(dest) : dest;
+      if (!Array.isArray(explicit) || !explicit.length) return null;
+      const ref = explicit[0];
+      if (typeof ref === "number") return ref + 1;
+      const pageIndex = await pdf.getPageIndex(ref);
+      return typeof pageIndex === "number" ? pageIndex + 1 : null;
+    } catch (err) {
+      return null;
+    }
+  }
+
+  async function readPdfOutline(pdf) {
+    let outline = null;
+    try {
+      outline = await pdf.getOutline();
+    } catch (err) {
+      console.warn("PDF outline read failed", err);
+      return [];
+    }
+    if (!Array.isArray(outline) || !outline.length) return [];
+    const entries = [];
+    const walk = async (items, depth) => {
+      for (const item of items) {
+        const page = await resolvePdfOutlinePage(pdf, item?.dest);
+        if (page) entries.push({ title: item?.title || "", depth, page });
+        if (Array.isArray(item?.items) && item.items.length) {
+          await walk(item.items, depth + 1);
+        }
+      }
+    };
+    await walk(outline, 0);
+    return entries;
+  }
+
+  self.SwiftReaderText = Object.freeze({
+    WORD_CHAR_RE,
+    normalizeText,
+    sanitizeExtractedText,
+    mergePunctuationTokens,
+    tokenize,
+    countWords,
+    parseMarkdown,
+    normalizeLineForMatch,
+    removeDigits,
+    parseCustomIgnorePhrases,
+    escapeRegExp,
+    removeCustomIgnorePhrases,
+    isPageNumberLike,
+    extractPdfLines,
+    comparePdfLineOrder,
+    buildPdfHyphenDictionary,
+    buildPdfParagraphText,
+    getPdfLineKey,
+    detectPdfRepeatedLines,
+    buildPdfStripRules,
+    shouldKeepPdfLine,
+    stripPdfHeadersFooters,
+    buildPdfContentFromPages,
+    readPdfOutline
+  });
+})();